@@ -0,0 +1,140 @@
+/**
+ * Typed-Array Cell Buffers
+ *
+ * Packs the cells returned by computeVoronoiCells into a handful of flat
+ * typed arrays so they can be posted between threads as transferables
+ * (no copying, no per-object structured cloning), and rebuilds the
+ * ConvexPolyhedron cells on the other side.
+ *
+ * Layout (CSR style, offsets have one entry more than items):
+ *   cellIndices        seed index of each cell
+ *   cellVertexOffsets  cell c owns vertices cellVertexOffsets[c]..[c + 1]
+ *   vertices           x, y, z per vertex
+ *   cellFaceOffsets    cell c owns faces cellFaceOffsets[c]..[c + 1]
+ *   faceOffsets        face f lists faceVertices[faceOffsets[f]]..[f + 1]
+ *   faceVertices       vertex indices, local to their cell
+ *   faceNeighbors      neighbor id per face (NO_NEIGHBOR for none)
+ *   faceImages         periodic image x, y, z per face (NO_IMAGE for none)
+ *   cellCapFallbacks   capFallbacks count of each cell
+ */
+
+import { Vec3, ConvexPolyhedron } from './voronoi3d.js';
+import { NO_NEIGHBOR, NO_IMAGE } from './compactPolyhedron.js';
+
+/**
+ * Pack cells into flat typed arrays
+ * @param {Array<{index: number, cell: ConvexPolyhedron}>} cells - Output from computeVoronoiCells
+ * @returns {Object} Typed arrays described in the module comment, plus `robust`
+ */
+export function packCells(cells) {
+    let vertexCount = 0, faceCount = 0, faceVertexCount = 0;
+    for (const { cell } of cells) {
+        vertexCount += cell.vertices.length;
+        faceCount += cell.faces.length;
+        for (const face of cell.faces) faceVertexCount += face.length;
+    }
+
+    const packed = {
+        cellIndices: new Int32Array(cells.length),
+        cellVertexOffsets: new Int32Array(cells.length + 1),
+        vertices: new Float64Array(vertexCount * 3),
+        cellFaceOffsets: new Int32Array(cells.length + 1),
+        faceOffsets: new Int32Array(faceCount + 1),
+        faceVertices: new Int32Array(faceVertexCount),
+        faceNeighbors: new Int32Array(faceCount),
+        faceImages: new Int32Array(faceCount * 3),
+        cellCapFallbacks: new Int32Array(cells.length),
+        robust: cells.length > 0 && !!cells[0].cell.robust,
+    };
+
+    let v = 0, f = 0, fv = 0;
+    cells.forEach(({ index, cell }, c) => {
+        packed.cellIndices[c] = index;
+        packed.cellCapFallbacks[c] = cell.capFallbacks;
+
+        for (const vertex of cell.vertices) {
+            packed.vertices[v * 3] = vertex.x;
+            packed.vertices[v * 3 + 1] = vertex.y;
+            packed.vertices[v * 3 + 2] = vertex.z;
+            v++;
+        }
+        packed.cellVertexOffsets[c + 1] = v;
+
+        cell.faces.forEach((face, k) => {
+            packed.faceVertices.set(face, fv);
+            fv += face.length;
+            packed.faceOffsets[f + 1] = fv;
+
+            const neighbor = cell.faceNeighbors[k];
+            packed.faceNeighbors[f] = neighbor ?? NO_NEIGHBOR;
+
+            const image = cell.faceImages[k];
+            packed.faceImages[f * 3] = image ? image.x : NO_IMAGE;
+            packed.faceImages[f * 3 + 1] = image ? image.y : NO_IMAGE;
+            packed.faceImages[f * 3 + 2] = image ? image.z : NO_IMAGE;
+            f++;
+        });
+        packed.cellFaceOffsets[c + 1] = f;
+    });
+
+    return packed;
+}
+
+/**
+ * Get the buffers of packed cells, to pass as postMessage transferables
+ */
+export function getTransferables(packed) {
+    return Object.values(packed)
+        .filter(value => ArrayBuffer.isView(value))
+        .map(array => array.buffer);
+}
+
+/**
+ * Rebuild cells from packed typed arrays
+ * @param {Object} packed - Output from packCells
+ * @param {Array<Object>} seeds - The seeds the cells were computed for
+ * @returns {Array<{seed, index, cell, neighbors}>} Cells as returned by computeVoronoiCells
+ */
+export function unpackCells(packed, seeds) {
+    const cells = [];
+
+    for (let c = 0; c < packed.cellIndices.length; c++) {
+        const cell = new ConvexPolyhedron();
+        cell.robust = packed.robust;
+        cell.capFallbacks = packed.cellCapFallbacks[c];
+
+        const vertexStart = packed.cellVertexOffsets[c];
+        for (let v = vertexStart; v < packed.cellVertexOffsets[c + 1]; v++) {
+            cell.vertices.push(new Vec3(
+                packed.vertices[v * 3],
+                packed.vertices[v * 3 + 1],
+                packed.vertices[v * 3 + 2]
+            ));
+        }
+
+        for (let f = packed.cellFaceOffsets[c]; f < packed.cellFaceOffsets[c + 1]; f++) {
+            cell.faces.push(Array.from(
+                packed.faceVertices.subarray(packed.faceOffsets[f], packed.faceOffsets[f + 1])
+            ));
+
+            const neighbor = packed.faceNeighbors[f];
+            cell.faceNeighbors.push(neighbor === NO_NEIGHBOR ? null : neighbor);
+
+            cell.faceImages.push(packed.faceImages[f * 3] === NO_IMAGE ? null : {
+                x: packed.faceImages[f * 3],
+                y: packed.faceImages[f * 3 + 1],
+                z: packed.faceImages[f * 3 + 2]
+            });
+        }
+
+        const index = packed.cellIndices[c];
+        cells.push({
+            seed: seeds[index],
+            index,
+            cell,
+            neighbors: cell.getNeighbors()
+        });
+    }
+
+    return cells;
+}
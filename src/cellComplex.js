@@ -0,0 +1,409 @@
+/**
+ * Welded Cell Complex
+ *
+ * The cells returned by computeVoronoiCells each carry their own copy of
+ * every vertex and face, so a face shared by two cells exists twice and a
+ * vertex shared by four cells four times. CellComplex welds them into one
+ * global complex with unique vertices, edges and faces:
+ * - vertices are merged by position (scale-relative tolerance, as in
+ *   computeDelaunayDual), in periodic tessellations after translating
+ *   them into the base period
+ * - each shared face is stored once, keyed by its two cells and periodic
+ *   image, and lists both cells; faces on the container list a negative
+ *   wall id as their second cell
+ * - edges come from the face loops, keyed by their two vertices and, in
+ *   periodic complexes, the period offset between them (two edges may
+ *   join the same vertices through different images), and the
+ *   vertex-edge-face incidence is recorded in both directions
+ *
+ * Exported meshes (OBJ, PLY) reference the welded vertices, so cells meet
+ * without cracks or duplicated walls.
+ *
+ * In periodic complexes the welded vertices lie in the base period, which
+ * suits the topology but not the geometry: a face crossing the boundary
+ * has vertices on both sides of the box. Every face therefore also keeps
+ * the period offsets of its vertices in its cells, and exports put each
+ * face where its cell has it, repeating the vertices met at several
+ * offsets.
+ */
+
+import { Vec3 } from './voronoi3d.js';
+
+/**
+ * Global complex of unique vertices, edges and faces
+ */
+export class CellComplex {
+    /**
+     * @param {Array<{seed, index, cell}>} cells - Output from computeVoronoiCells
+     * @param {Object} options - Complex options
+     * @param {{x: number, y: number, z: number}} options.period - Box lengths along
+     *        periodic axes (0 or missing for non-periodic axes)
+     * @param {number} options.tolerance - Relative tolerance for merging vertices
+     */
+    constructor(cells, options = {}) {
+        const { period = null, tolerance = 1e-7 } = options;
+
+        this.vertices = [];  // Unique vertex positions {x, y, z}
+        this.edges = [];  // Vertex pairs [a, b] with a <= b
+        this.edgeOffsets = [];  // Per edge: period offset of vertex b relative to vertex a
+        this.faces = [];  // { vertices, offsets, cells: [a, b], image, area }, oriented outward from cells[0]
+        this.cells = [];  // { index, faces, orientations, offsets } with orientation +1 where the face points out of the cell
+
+        this.vertexEdges = [];  // Per vertex: incident edge ids
+        this.vertexFaces = [];  // Per vertex: incident face ids
+        this.edgeFaces = [];  // Per edge: incident face ids
+        this.faceEdges = [];  // Per face: edge ids in loop order (edge k runs from vertex k to k + 1)
+
+        let scale = 0;
+        for (const { cell } of cells) {
+            for (const v of cell.vertices) {
+                scale = Math.max(scale, Math.abs(v.x), Math.abs(v.y), Math.abs(v.z));
+            }
+        }
+        this.tolerance = tolerance * Math.max(scale, 1);
+        this.period = period;
+
+        this.buckets = new Map();
+        this.faceIds = new Map();
+        this.edgeIds = new Map();
+
+        for (const entry of cells) {
+            this.addCell(entry);
+        }
+
+        // Lookup tables are only needed while welding
+        delete this.buckets;
+        delete this.faceIds;
+        delete this.edgeIds;
+    }
+
+    /**
+     * Weld one cell's vertices and faces into the complex
+     */
+    addCell({ index, cell }) {
+        const vertexIds = cell.vertices.map(v => this.weldVertex(v));
+        const vertexOffsets = cell.vertices.map(v => this.getPeriodOffset(v));
+        const faceProperties = cell.getFaceProperties();
+        const record = { index, faces: [], orientations: [], offsets: [] };
+
+        cell.faces.forEach((face, f) => {
+            // Drop vertices that welded together (tiny edges)
+            const loop = [];
+            const offsets = [];
+            const same = (k, id, offset) => loop[k] === id && isSameOffset(offsets[k], offset);
+            for (const v of face) {
+                if (same(loop.length - 1, vertexIds[v], vertexOffsets[v])) continue;
+                loop.push(vertexIds[v]);
+                offsets.push(vertexOffsets[v]);
+            }
+            while (loop.length > 1 && same(0, loop[loop.length - 1], offsets[offsets.length - 1])) {
+                loop.pop();
+                offsets.pop();
+            }
+            if (loop.length < 3) return;
+
+            const neighbor = cell.faceNeighbors[f] ?? null;
+            const image = cell.faceImages[f] ?? null;
+            const isShared = neighbor !== null && neighbor >= 0;
+            const key = isShared ? getFaceKey(index, neighbor, image) : null;
+
+            let faceId = isShared ? this.faceIds.get(key) : undefined;
+            let orientation = -1;
+            if (faceId === undefined) {
+                faceId = this.faces.length;
+                if (isShared) this.faceIds.set(key, faceId);
+                this.faces.push({
+                    vertices: loop,
+                    offsets,
+                    cells: [index, neighbor],
+                    image: image && { ...image },
+                    area: faceProperties[f].area,
+                });
+                this.addFaceIncidence(faceId);
+                orientation = 1;
+            }
+
+            record.faces.push(faceId);
+            record.orientations.push(orientation);
+            record.offsets.push(orientation > 0 ? offsets : alignOffsets(this.faces[faceId].vertices, loop, offsets));
+        });
+
+        this.cells.push(record);
+    }
+
+    /**
+     * Find or create the welded vertex at a position
+     * @returns {number} Vertex id
+     */
+    weldVertex(vertex) {
+        const tolerance = this.tolerance;
+
+        // Translate periodic vertices back into the base period
+        const offset = this.getPeriodOffset(vertex);
+        const p = new Vec3(
+            vertex.x - offset.x * this.getPeriod('x'),
+            vertex.y - offset.y * this.getPeriod('y'),
+            vertex.z - offset.z * this.getPeriod('z')
+        );
+
+        const size = 4 * tolerance;
+        const bx = Math.floor(p.x / size);
+        const by = Math.floor(p.y / size);
+        const bz = Math.floor(p.z / size);
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    for (const id of this.buckets.get(`${bx + dx},${by + dy},${bz + dz}`) ?? []) {
+                        const q = this.vertices[id];
+                        if (Math.hypot(q.x - p.x, q.y - p.y, q.z - p.z) <= tolerance) return id;
+                    }
+                }
+            }
+        }
+
+        const id = this.vertices.length;
+        this.vertices.push({ x: p.x, y: p.y, z: p.z });
+        this.vertexEdges.push([]);
+        this.vertexFaces.push([]);
+
+        const key = `${bx},${by},${bz}`;
+        if (!this.buckets.has(key)) this.buckets.set(key, []);
+        this.buckets.get(key).push(id);
+        return id;
+    }
+
+    /**
+     * Box length along an axis, or 0 if the axis isn't periodic
+     */
+    getPeriod(axis) {
+        return this.period && this.period[axis] ? this.period[axis] : 0;
+    }
+
+    /**
+     * Number of periods a position lies away from the base period, per axis
+     * @returns {{x: number, y: number, z: number}}
+     */
+    getPeriodOffset(position) {
+        const offset = { x: 0, y: 0, z: 0 };
+        for (const axis of ['x', 'y', 'z']) {
+            const length = this.getPeriod(axis);
+            if (length > 0) offset[axis] = Math.floor((position[axis] + this.tolerance) / length);
+        }
+        return offset;
+    }
+
+    /**
+     * Record the edges of a new face and its incidence
+     */
+    addFaceIncidence(faceId) {
+        const { vertices: loop, offsets } = this.faces[faceId];
+        const faceEdges = [];
+
+        for (let k = 0; k < loop.length; k++) {
+            const next = (k + 1) % loop.length;
+            const a = loop[k];
+            const b = loop[next];
+
+            // Offset of b seen from a, reversed when the edge is stored as [b, a]
+            let x = offsets[next].x - offsets[k].x;
+            let y = offsets[next].y - offsets[k].y;
+            let z = offsets[next].z - offsets[k].z;
+            const flip = a > b || (a === b && isNegative(x, y, z));
+            if (flip) [x, y, z] = [-x + 0, -y + 0, -z + 0];
+            const [lo, hi] = flip ? [b, a] : [a, b];
+            const key = `${lo}-${hi}|${x},${y},${z}`;
+
+            let edgeId = this.edgeIds.get(key);
+            if (edgeId === undefined) {
+                edgeId = this.edges.length;
+                this.edgeIds.set(key, edgeId);
+                this.edges.push([lo, hi]);
+                this.edgeOffsets.push({ x, y, z });
+                this.edgeFaces.push([]);
+                this.vertexEdges[lo].push(edgeId);
+                if (hi !== lo) this.vertexEdges[hi].push(edgeId);
+            }
+
+            this.edgeFaces[edgeId].push(faceId);
+            this.vertexFaces[a].push(faceId);
+            faceEdges.push(edgeId);
+        }
+
+        this.faceEdges.push(faceEdges);
+    }
+
+    /**
+     * Ids of the faces on the container (those with a single cell)
+     */
+    getBoundaryFaces() {
+        const ids = [];
+        this.faces.forEach((face, id) => {
+            if (face.cells[1] === null || face.cells[1] < 0) ids.push(id);
+        });
+        return ids;
+    }
+
+    /**
+     * Check that the complex is watertight: every edge is shared by at
+     * least two faces, and edges of the container surface by exactly two
+     * boundary faces
+     */
+    isWatertight() {
+        const boundary = new Set(this.getBoundaryFaces());
+        return this.edgeFaces.every(faces => {
+            const boundaryCount = faces.filter(f => boundary.has(f)).length;
+            return faces.length >= 2 && (boundaryCount === 0 || boundaryCount === 2);
+        });
+    }
+
+    /**
+     * Export as Wavefront OBJ, one group per cell (its faces reference the
+     * shared vertices, so every interior face appears in both cells' groups)
+     * @param {Object} options - Export options
+     * @param {boolean} options.boundaryOnly - Only export the container surface
+     * @returns {string} OBJ text
+     */
+    toOBJ(options = {}) {
+        const { boundaryOnly = false } = options;
+        const exported = this.createExportVertices();
+        const faceLines = [];
+
+        const faceLine = (id, orientation, offsets) => {
+            const loop = exported.getLoop(this.faces[id].vertices, offsets);
+            if (orientation < 0) loop.reverse();
+            return `f ${loop.map(v => v + 1).join(' ')}`;
+        };
+
+        if (boundaryOnly) {
+            faceLines.push('g boundary');
+            for (const id of this.getBoundaryFaces()) faceLines.push(faceLine(id, 1, this.faces[id].offsets));
+        } else {
+            for (const { index, faces, orientations, offsets } of this.cells) {
+                faceLines.push(`g cell_${index}`);
+                faces.forEach((id, k) => faceLines.push(faceLine(id, orientations[k], offsets[k])));
+            }
+        }
+
+        const lines = ['# Voronoi cell complex', `# ${this.cells.length} cells, ${this.faces.length} faces`];
+        for (const v of exported.positions) {
+            lines.push(`v ${v.x} ${v.y} ${v.z}`);
+        }
+        return [...lines, ...faceLines].join('\n') + '\n';
+    }
+
+    /**
+     * Export as ASCII PLY with every unique face once, tagged with its two
+     * cells (cell1 is a negative wall id on the container)
+     * @returns {string} PLY text
+     */
+    toPLY() {
+        const exported = this.createExportVertices();
+        const loops = this.faces.map(({ vertices, offsets }) => exported.getLoop(vertices, offsets));
+
+        const lines = [
+            'ply',
+            'format ascii 1.0',
+            'comment Voronoi cell complex',
+            `element vertex ${exported.positions.length}`,
+            'property double x',
+            'property double y',
+            'property double z',
+            `element face ${this.faces.length}`,
+            'property list uchar int vertex_indices',
+            'property int cell0',
+            'property int cell1',
+            'end_header',
+        ];
+
+        for (const v of exported.positions) {
+            lines.push(`${v.x} ${v.y} ${v.z}`);
+        }
+        this.faces.forEach(({ cells }, id) => {
+            lines.push(`${loops[id].length} ${loops[id].join(' ')} ${cells[0]} ${cells[1] ?? -1}`);
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Vertex list for export: the welded vertices themselves, plus a copy
+     * per further period offset a face puts a vertex at
+     * @returns {{positions: Array<{x, y, z}>, getLoop: Function}} Positions, and
+     *          a function mapping a face's vertex ids and offsets to export indices
+     */
+    createExportVertices() {
+        const positions = [...this.vertices];
+        const copies = new Map();  // "id:x,y,z" -> export index
+
+        const getIndex = (id, offset) => {
+            if (!offset.x && !offset.y && !offset.z) return id;
+
+            const key = `${id}:${offset.x},${offset.y},${offset.z}`;
+            if (!copies.has(key)) {
+                const v = this.vertices[id];
+                copies.set(key, positions.length);
+                positions.push({
+                    x: v.x + offset.x * this.getPeriod('x'),
+                    y: v.y + offset.y * this.getPeriod('y'),
+                    z: v.z + offset.z * this.getPeriod('z'),
+                });
+            }
+            return copies.get(key);
+        };
+
+        return {
+            positions,
+            getLoop: (vertices, offsets) => vertices.map((id, k) => getIndex(id, offsets[k])),
+        };
+    }
+}
+
+/**
+ * Reorder the vertex offsets of a cell's copy of a face to match the
+ * face's stored loop, which runs the other way from another start
+ * @param {Array<number>} stored - Vertex ids of the stored face
+ * @param {Array<number>} loop - Vertex ids of this cell's copy
+ * @param {Array<Object>} offsets - Period offsets along this cell's copy
+ * @returns {Array<Object>} Offsets per vertex of the stored face
+ */
+function alignOffsets(stored, loop, offsets) {
+    const n = loop.length;
+    const reversed = loop.map((id, k) => ({ id, offset: offsets[k] })).reverse();
+    for (let start = 0; start < n && n === stored.length; start++) {
+        if (stored.every((id, k) => reversed[(start + k) % n].id === id)) {
+            return stored.map((id, k) => reversed[(start + k) % n].offset);
+        }
+    }
+
+    // Copies that welded differently: match vertices by id
+    return stored.map(id => offsets[loop.indexOf(id)] ?? { x: 0, y: 0, z: 0 });
+}
+
+/**
+ * Key shared by both copies of a face between two cells: the cells and
+ * the periodic image between them, seen from the lower cell index
+ */
+function getFaceKey(index, neighbor, image) {
+    const [x, y, z] = image ? [image.x, image.y, image.z] : [0, 0, 0];
+    // Seen from the other cell, the image is reversed
+    const flip = neighbor < index || (neighbor === index && (x || y || z) && isNegative(x, y, z));
+    const [a, b] = flip ? [neighbor, index] : [index, neighbor];
+    const s = flip ? -1 : 1;
+    return `${a}|${b}|${s * x + 0},${s * y + 0},${s * z + 0}`;
+}
+
+/**
+ * Check whether two period offsets are equal
+ */
+function isSameOffset(a, b) {
+    return a.x === b.x && a.y === b.y && a.z === b.z;
+}
+
+/**
+ * Check whether an image vector is lexicographically negative
+ */
+function isNegative(x, y, z) {
+    if (x !== 0) return x < 0;
+    if (y !== 0) return y < 0;
+    return z < 0;
+}
@@ -0,0 +1,176 @@
+/**
+ * Cell Adjacency Graph
+ *
+ * The dual graph of a tessellation: one node per cell, keyed by seed
+ * index, and an edge between every two cells sharing a face. A node's
+ * degree is its cell's face count among other cells, i.e. the
+ * coordination number of its seed; faces on the container or walls
+ * (negative neighbor ids) don't count.
+ *
+ * Edges are undirected and simple: a cell listing a neighbor makes both
+ * adjacent, and in periodic tessellations a neighbor met across several
+ * faces (through different images) or a cell neighboring its own image
+ * counts once or not at all. Neighbors without a cell of their own in
+ * the given list (e.g. when only some cells were computed) are left out.
+ */
+
+/**
+ * Undirected adjacency graph of the cells of a tessellation
+ */
+export class CellGraph {
+    /**
+     * @param {Array<{index, neighbors}>} cells - Output from computeVoronoiCells
+     */
+    constructor(cells) {
+        this.adjacency = new Map();  // Seed index -> Set of adjacent seed indices
+
+        for (const { index } of cells) {
+            this.adjacency.set(index, new Set());
+        }
+        for (const { index, neighbors } of cells) {
+            for (const neighbor of neighbors) {
+                if (neighbor < 0 || neighbor === index || !this.adjacency.has(neighbor)) continue;
+                this.adjacency.get(index).add(neighbor);
+                this.adjacency.get(neighbor).add(index);
+            }
+        }
+    }
+
+    /**
+     * Seed indices of all cells in the graph
+     * @returns {Array<number>}
+     */
+    getNodes() {
+        return [...this.adjacency.keys()];
+    }
+
+    /**
+     * Seed indices of the cells sharing a face with a cell
+     * @param {number} index - Seed index
+     * @returns {Array<number>} Adjacent cells (empty for cells not in the graph)
+     */
+    getNeighbors(index) {
+        return [...(this.adjacency.get(index) ?? [])];
+    }
+
+    /**
+     * Number of cells sharing a face with a cell (its coordination number)
+     * @param {number} index - Seed index
+     * @returns {number}
+     */
+    getDegree(index) {
+        return this.adjacency.get(index)?.size ?? 0;
+    }
+
+    /**
+     * Summarise the degrees of all cells
+     * @returns {Object} { mean, min, max, counts } where counts maps each degree to
+     *          the number of cells with it
+     */
+    getDegreeDistribution() {
+        const counts = new Map();
+        let total = 0;
+        for (const neighbors of this.adjacency.values()) {
+            counts.set(neighbors.size, (counts.get(neighbors.size) ?? 0) + 1);
+            total += neighbors.size;
+        }
+        const degrees = [...counts.keys()];
+
+        return {
+            mean: this.adjacency.size > 0 ? total / this.adjacency.size : 0,
+            min: degrees.length > 0 ? Math.min(...degrees) : 0,
+            max: degrees.length > 0 ? Math.max(...degrees) : 0,
+            counts,
+        };
+    }
+
+    /**
+     * Graph distances from a cell by breadth-first search
+     * @param {number} start - Seed index of the start cell
+     * @param {number} maxDistance - Don't search beyond this many steps
+     * @returns {Map<number, number>} Distance of every reached cell, in visiting order
+     *          (empty if the start cell is not in the graph)
+     */
+    getDistances(start, maxDistance = Infinity) {
+        const distances = new Map();
+        if (!this.adjacency.has(start)) return distances;
+
+        distances.set(start, 0);
+        let frontier = [start];
+        for (let distance = 1; frontier.length > 0 && distance <= maxDistance; distance++) {
+            const next = [];
+            for (const index of frontier) {
+                for (const neighbor of this.adjacency.get(index)) {
+                    if (distances.has(neighbor)) continue;
+                    distances.set(neighbor, distance);
+                    next.push(neighbor);
+                }
+            }
+            frontier = next;
+        }
+        return distances;
+    }
+
+    /**
+     * Shells of cells around a cell by graph distance
+     * @param {number} start - Seed index of the center cell
+     * @param {number} maxDistance - Last shell to collect
+     * @returns {Array<Array<number>>} rings[k] holds the cells k steps away
+     *          (rings[0] is the center cell itself); stops early at the last
+     *          non-empty shell
+     */
+    getRings(start, maxDistance = Infinity) {
+        const rings = [];
+        for (const [index, distance] of this.getDistances(start, maxDistance)) {
+            if (!rings[distance]) rings[distance] = [];
+            rings[distance].push(index);
+        }
+        return rings;
+    }
+
+    /**
+     * A shortest path between two cells by breadth-first search
+     * @param {number} from - Seed index of the first cell
+     * @param {number} to - Seed index of the last cell
+     * @returns {Array<number>|null} Seed indices along the path, both ends
+     *          included, or null if the cells are not connected
+     */
+    getShortestPath(from, to) {
+        if (!this.adjacency.has(from) || !this.adjacency.has(to)) return null;
+
+        const previous = new Map([[from, null]]);
+        const queue = [from];
+        for (let head = 0; head < queue.length && !previous.has(to); head++) {
+            for (const neighbor of this.adjacency.get(queue[head])) {
+                if (previous.has(neighbor)) continue;
+                previous.set(neighbor, queue[head]);
+                queue.push(neighbor);
+            }
+        }
+        if (!previous.has(to)) return null;
+
+        const path = [];
+        for (let index = to; index !== null; index = previous.get(index)) {
+            path.push(index);
+        }
+        return path.reverse();
+    }
+
+    /**
+     * Split the graph into connected components
+     * @returns {Array<Array<number>>} Seed indices of each component, largest first
+     */
+    getConnectedComponents() {
+        const components = [];
+        const visited = new Set();
+
+        for (const start of this.adjacency.keys()) {
+            if (visited.has(start)) continue;
+            const component = [...this.getDistances(start).keys()];
+            component.forEach(index => visited.add(index));
+            components.push(component);
+        }
+
+        return components.sort((a, b) => b.length - a.length);
+    }
+}
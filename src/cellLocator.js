@@ -0,0 +1,191 @@
+/**
+ * Point Location in a Voronoi Tessellation
+ *
+ * Answers "which cell contains this point?" and "which seeds are nearest
+ * to this point?" for the output of computeVoronoiCells, using the same
+ * SpatialGrid and ring search as the tessellation itself: bins are
+ * visited in growing rings until the nearest unvisited bin is further
+ * away than the current answer.
+ *
+ * A point belongs to the cell of its nearest seed, or in a power diagram
+ * to the seed with the least power |x - p|² - w. Points outside the
+ * container (box or walls) belong to no cell. In anisotropic
+ * tessellations distances are measured in the tessellation's metric.
+ */
+
+import { SpatialGrid } from './spatialGrid.js';
+import { getSeedWeight, hasSeedWeight } from './voronoi3d.js';
+import { createMetric, metricLengthSquared } from './metric.js';
+
+/**
+ * Spatial index over the seeds of a tessellation
+ */
+export class CellLocator {
+    /**
+     * @param {Array<{seed, index, cell}>} cells - Output from computeVoronoiCells
+     * @param {Object} options - Tessellation settings, needed for periodic tessellations
+     * @param {Object} options.bounds - Bounding box the cells were computed with
+     * @param {number} options.padding - Padding the cells were computed with
+     * @param {{x: boolean, y: boolean, z: boolean}} options.periodic - Periodic axes
+     * @param {Array<Array<number>>} options.metric - Metric tensor the cells were computed with
+     * @param {{x: number, y: number, z: number}} options.axisScale - Per-axis scales the cells were computed with
+     */
+    constructor(cells, options = {}) {
+        const {
+            bounds = null,
+            padding = 0.5,
+            periodic = { x: false, y: false, z: false },
+        } = options;
+
+        this.cells = cells;
+        this.periodic = periodic;
+        this.metric = createMetric(options);
+
+        // Periodic box, as in computeVoronoiCells
+        this.box = bounds && {
+            min: { x: bounds.min.x - padding, y: bounds.min.y - padding, z: bounds.min.z - padding },
+            max: { x: bounds.max.x + padding, y: bounds.max.y + padding, z: bounds.max.z + padding },
+        };
+        this.period = this.box
+            ? {
+                x: this.box.max.x - this.box.min.x,
+                y: this.box.max.y - this.box.min.y,
+                z: this.box.max.z - this.box.min.z,
+            }
+            : { x: 0, y: 0, z: 0 };
+
+        this.grid = new SpatialGrid(cells.map(({ seed }) => seed), { bounds: this.box, periodic });
+
+        // Power diagram weights (seeds whose cell vanished aren't indexed)
+        this.weights = cells.map(({ seed }) => getSeedWeight(seed));
+        this.maxWeight = this.weights.reduce((max, w) => Math.max(max, w), 0);
+        this.weighted = cells.some(({ seed }) => hasSeedWeight(seed));
+    }
+
+    /**
+     * Find the cell containing a point
+     * @param {{x, y, z}} point - Query point
+     * @returns {Object|null} The cell entry ({seed, index, cell, ...}), or null outside the container
+     */
+    locate(point) {
+        return this.locateImage(point)?.entry ?? null;
+    }
+
+    /**
+     * Find the cell containing a point, and in periodic tessellations the
+     * image of the cell that does: the point lies in cell + image * period
+     * once it has been wrapped into the box (see wrap)
+     * @returns {{entry: Object, image: {x, y, z}}|null}
+     */
+    locateImage(point) {
+        const p = this.wrap(point);
+        const owner = this.weighted
+            ? this.search(p, 1, (d, k) => d * d - this.weights[k], c => c * c - this.maxWeight)[0]
+            : this.search(p, 1, d => d, c => c)[0];
+        if (!owner) return null;
+
+        // Test the point in the frame of the owning seed's image
+        const entry = this.cells[owner.cell];
+        const local = {
+            x: p.x - owner.image.x * this.period.x,
+            y: p.y - owner.image.y * this.period.y,
+            z: p.z - owner.image.z * this.period.z,
+        };
+        return entry.cell.containsPoint(local) ? { entry, image: owner.image } : null;
+    }
+
+    /**
+     * Find the k seeds nearest to a point (each seed once, at its nearest
+     * periodic image)
+     * @param {{x, y, z}} point - Query point
+     * @param {number} k - Number of seeds
+     * @returns {Array<{index: number, seed: Object, distance: number, image: Object}>}
+     *          Nearest first; `index` is the seed index and `distance` is
+     *          measured in the metric, if any
+     */
+    nearestSeeds(point, k = 1) {
+        const p = this.wrap(point);
+        return this.search(p, Math.min(k, this.cells.length), d => d, c => c).map(({ cell, distance, image }) => ({
+            index: this.cells[cell].index,
+            seed: this.cells[cell].seed,
+            distance,
+            image,
+        }));
+    }
+
+    /**
+     * Assign many points to cells
+     * @param {Array<{x, y, z}>} points - Query points
+     * @returns {Int32Array} Seed index of each point's cell, or -1 outside the container
+     */
+    locateAll(points) {
+        const owners = new Int32Array(points.length);
+        points.forEach((point, i) => {
+            const entry = this.locate(point);
+            owners[i] = entry ? entry.index : -1;
+        });
+        return owners;
+    }
+
+    /**
+     * Ring search for the `count` seeds with the smallest score
+     * @param {{x, y, z}} p - Query point (wrapped into the periodic box)
+     * @param {number} count - Number of results
+     * @param {Function} score - Score of an indexed seed from (distance, cellIndex)
+     * @param {Function} lowerBound - Least possible score of a seed at least this distance away
+     * @returns {Array<{cell: number, distance: number, score: number, image: Object}>}
+     */
+    search(p, count, score, lowerBound) {
+        if (count <= 0) return [];
+
+        const best = [];  // Sorted by score, one entry per seed
+        const [bx, by, bz] = this.grid.binOf(p);
+
+        for (let ring = 0; ; ring++) {
+            this.grid.forEachInRing(bx, by, bz, ring, (k, ix, iy, iz) => {
+                const s = this.cells[k].seed;
+                const dx = s.x + ix * this.period.x - p.x;
+                const dy = s.y + iy * this.period.y - p.y;
+                const dz = s.z + iz * this.period.z - p.z;
+                const distance = this.metric
+                    ? Math.sqrt(metricLengthSquared(this.metric, dx, dy, dz))
+                    : Math.sqrt(dx * dx + dy * dy + dz * dz);
+                const value = score(distance, k);
+
+                const existing = best.findIndex(entry => entry.cell === k);
+                if (existing !== -1) {
+                    if (best[existing].score <= value) return;
+                    best.splice(existing, 1);
+                }
+                if (best.length === count && best[count - 1].score <= value) return;
+
+                let at = best.length;
+                while (at > 0 && best[at - 1].score > value) at--;
+                best.splice(at, 0, { cell: k, distance, score: value, image: { x: ix, y: iy, z: iz } });
+                if (best.length > count) best.pop();
+            });
+
+            // Bins are Euclidean; a metric shrinks distances by at most minScale
+            let clearance = this.grid.ringClearance(p, bx, by, bz, ring);
+            if (clearance === Infinity) break;
+            if (this.metric) clearance *= this.metric.minScale;
+            if (best.length === count && best[count - 1].score <= lowerBound(clearance)) break;
+        }
+
+        return best;
+    }
+
+    /**
+     * Wrap a point into the box along periodic axes
+     */
+    wrap(point) {
+        const p = { x: point.x, y: point.y, z: point.z };
+        for (const axis of ['x', 'y', 'z']) {
+            if (!this.periodic[axis]) continue;
+            const min = this.box.min[axis];
+            const length = this.period[axis];
+            p[axis] = min + ((((p[axis] - min) % length) + length) % length);
+        }
+        return p;
+    }
+}
@@ -290,37 +290,497 @@ export function createPointsGroup(points, options = {}) {
     return group;
 }
 
+/**
+ * Create line segments for the Delaunay edges between seed points
+ * @param {Array<{x, y, z}>} points - Seed points, indexed like the edges
+ * @param {Array<{a, b, image}>} edges - Edges from computeDelaunayDual
+ * @param {Object} options - Rendering options
+ * @returns {THREE.Group} Group containing the edge lines
+ */
+export function createDelaunayEdgesGroup(points, edges, options = {}) {
+    const {
+        edgeColor = COLORS.cellEdgeBright,
+        opacity = 0.6,
+        period = null, // Box lengths, for edges to periodic images
+    } = options;
+    
+    const group = new THREE.Group();
+    if (edges.length === 0) return group;
+    
+    const positions = new Float32Array(edges.length * 6);
+    edges.forEach(({ a, b, image }, i) => {
+        const pa = points[a];
+        const pb = points[b];
+        positions.set([
+            pa.x, pa.y, pa.z,
+            pb.x + (period ? image.x * period.x : 0),
+            pb.y + (period ? image.y * period.y : 0),
+            pb.z + (period ? image.z * period.z : 0),
+        ], i * 6);
+    });
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    
+    const material = new THREE.LineBasicMaterial({
+        color: edgeColor,
+        transparent: true,
+        opacity,
+        depthWrite: false,
+    });
+    
+    const lines = new THREE.LineSegments(geometry, material);
+    // Draw over the cell fills, like the cell edges
+    lines.renderOrder = 2000;
+    group.add(lines);
+    
+    return group;
+}
+
+/**
+ * Create a probe ray drawn through the cells it crosses, alternating
+ * colors from cell to cell, with a marker at every face crossing
+ * @param {{x, y, z}} origin - Ray origin
+ * @param {{x, y, z}} direction - Ray direction
+ * @param {Array<{tEnter, tExit}>} steps - Steps from traceRay
+ * @param {Object} options - Rendering options
+ * @returns {THREE.Group} Group containing the ray and crossing markers
+ */
+export function createProbeRayGroup(origin, direction, steps, options = {}) {
+    const {
+        colors = [0xfacc15, 0xf97316],
+        markerRadius = 0.035,
+    } = options;
+    
+    const group = new THREE.Group();
+    if (steps.length === 0) return group;
+    
+    const start = new THREE.Vector3(origin.x, origin.y, origin.z);
+    const dir = new THREE.Vector3(direction.x, direction.y, direction.z).normalize();
+    const pointAt = t => start.clone().addScaledVector(dir, t);
+    
+    const palette = colors.map(color => new THREE.Color(color));
+    const positions = new Float32Array(steps.length * 6);
+    const vertexColors = new Float32Array(steps.length * 6);
+    steps.forEach(({ tEnter, tExit }, i) => {
+        const a = pointAt(tEnter);
+        const b = pointAt(tExit);
+        const color = palette[i % palette.length];
+        positions.set([a.x, a.y, a.z, b.x, b.y, b.z], i * 6);
+        vertexColors.set([color.r, color.g, color.b, color.r, color.g, color.b], i * 6);
+    });
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(vertexColors, 3));
+    
+    const lines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+        vertexColors: true,
+        depthTest: false,
+    }));
+    // Draw over the cells, so the ray stays visible inside them
+    lines.renderOrder = 3000;
+    group.add(lines);
+    
+    // Crossing markers, including where the ray enters and leaves the container
+    const markerGeometry = new THREE.SphereGeometry(markerRadius, 8, 8);
+    const markerMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff, depthTest: false });
+    const crossings = [steps[0].tEnter, ...steps.map(step => step.tExit)];
+    for (const t of crossings) {
+        const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+        marker.position.copy(pointAt(t));
+        marker.renderOrder = 3001;
+        group.add(marker);
+    }
+    
+    return group;
+}
+
+/**
+ * Create the caps of a cross-section: each cell's section polygon filled
+ * in its own color, with the section edges on top
+ * @param {Object} section - Output from computeCrossSection
+ * @param {Object} options - Rendering options
+ * @param {Function} options.colorOf - Fill color of a polygon
+ * @param {number} options.edgeColor - Section edge color
+ * @param {number} options.offset - Shift along the plane normal (keeps caps
+ *        on the kept side of a clipping plane)
+ * @returns {THREE.Group} Group containing the cap mesh and section edges
+ */
+export function createSectionGroup(section, options = {}) {
+    const {
+        colorOf = () => COLORS.cellFill,
+        edgeColor = 0x1c1917,
+        offset = 0,
+    } = options;
+    
+    const group = new THREE.Group();
+    if (section.polygons.length === 0) return group;
+    
+    const shift = section.plane.normal.scale(offset);
+    const positions = [];
+    const colors = [];
+    const color = new THREE.Color();
+    
+    // Fan-triangulate each (convex) polygon
+    for (const polygon of section.polygons) {
+        color.setHex(colorOf(polygon));
+        const [v0, ...rest] = polygon.vertices;
+        for (let i = 0; i < rest.length - 1; i++) {
+            for (const v of [v0, rest[i], rest[i + 1]]) {
+                positions.push(v.x + shift.x, v.y + shift.y, v.z + shift.z);
+                colors.push(color.r, color.g, color.b);
+            }
+        }
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    
+    const caps = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+        vertexColors: true,
+        side: THREE.DoubleSide,
+    }));
+    group.add(caps);
+    
+    const edgePositions = new Float32Array(section.edges.length * 6);
+    section.edges.forEach(({ start, end }, i) => {
+        edgePositions.set([
+            start.x + shift.x, start.y + shift.y, start.z + shift.z,
+            end.x + shift.x, end.y + shift.y, end.z + shift.z,
+        ], i * 6);
+    });
+    const edgeGeometry = new THREE.BufferGeometry();
+    edgeGeometry.setAttribute('position', new THREE.BufferAttribute(edgePositions, 3));
+    
+    const edges = new THREE.LineSegments(edgeGeometry, new THREE.LineBasicMaterial({ color: edgeColor }));
+    edges.renderOrder = 1;
+    group.add(edges);
+    
+    return group;
+}
+
+/**
+ * Create curved spherical Voronoi regions: each region filled on its
+ * sphere in its own palette color, with the great-circle arcs between
+ * regions drawn just outside
+ * @param {Array<Object>} diagrams - Diagrams from computeSphericalVoronoi
+ * @param {Object} options - Rendering options
+ * @param {Array<{fill: number}>} options.colorPalette - Region colors, by seed index
+ * @param {number} options.edgeColor - Arc color
+ * @param {number} options.fillOpacity - Opacity of the region fills
+ * @param {number} options.subdivisions - Arc segments per region edge
+ * @returns {THREE.Group} Group containing one fill mesh and one arc set per sphere
+ */
+export function createSphericalVoronoiGroup(diagrams, options = {}) {
+    const {
+        colorPalette = CELL_COLOR_PALETTE,
+        edgeColor = COLORS.cellEdgeBright,
+        fillOpacity = 0.6,
+        subdivisions = 6,
+    } = options;
+    
+    const group = new THREE.Group();
+    const color = new THREE.Color();
+    
+    for (const { center, radius, regions } of diagrams) {
+        // Points on the sphere, nudged inside (fills) or outside (arcs)
+        const onSphere = (d, scale) => {
+            const length = Math.hypot(d.x, d.y, d.z);
+            const r = (radius * scale) / length;
+            return [center.x + d.x * r, center.y + d.y * r, center.z + d.z * r];
+        };
+        const direction = (p) => ({ x: p.x - center.x, y: p.y - center.y, z: p.z - center.z });
+        const mix = (a, b, c, i, j, n) => {
+            const wa = (n - i - j) / n, wb = i / n, wc = j / n;
+            return {
+                x: wa * a.x + wb * b.x + wc * c.x,
+                y: wa * a.y + wb * b.y + wc * c.y,
+                z: wa * a.z + wb * b.z + wc * c.z,
+            };
+        };
+        
+        const positions = [];
+        const colors = [];
+        const arcPositions = [];
+        
+        for (const region of regions) {
+            color.setHex(colorPalette[region.index % colorPalette.length].fill);
+            const seed = direction(region.seed);
+            const corners = region.vertices.map(direction);
+            
+            region.vertices.forEach((vertex, k) => {
+                const a = corners[k];
+                const b = corners[(k + 1) % corners.length];
+                
+                // Fan triangle from the seed, subdivided so it bends with the sphere
+                const n = subdivisions;
+                const push = (...points) => {
+                    for (const p of points) {
+                        positions.push(...onSphere(p, 0.998));
+                        colors.push(color.r, color.g, color.b);
+                    }
+                };
+                for (let i = 0; i < n; i++) {
+                    for (let j = 0; j < n - i; j++) {
+                        push(mix(seed, a, b, i, j, n), mix(seed, a, b, i + 1, j, n), mix(seed, a, b, i, j + 1, n));
+                        if (i + j < n - 1) {
+                            push(mix(seed, a, b, i + 1, j, n), mix(seed, a, b, i + 1, j + 1, n), mix(seed, a, b, i, j + 1, n));
+                        }
+                    }
+                }
+                
+                // Each arc once, from the lower seed index
+                if (region.neighbors[k] < region.index) return;
+                for (let i = 0; i < n; i++) {
+                    arcPositions.push(...onSphere(mix(a, b, b, i, 0, n), 1.002));
+                    arcPositions.push(...onSphere(mix(a, b, b, i + 1, 0, n), 1.002));
+                }
+            });
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        geometry.computeVertexNormals();
+        group.add(new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+            vertexColors: true,
+            transparent: true,
+            opacity: fillOpacity,
+            side: THREE.DoubleSide,
+            depthWrite: false,
+        })));
+        
+        const arcGeometry = new THREE.BufferGeometry();
+        arcGeometry.setAttribute('position', new THREE.Float32BufferAttribute(arcPositions, 3));
+        const arcs = new THREE.LineSegments(arcGeometry, new THREE.LineBasicMaterial({ color: edgeColor }));
+        arcs.renderOrder = 2000;
+        group.add(arcs);
+    }
+    
+    return group;
+}
+
+/**
+ * Create the fragments of a fractured mesh, pushed apart from their common
+ * center like a frame of an explosion. Surface triangles take the palette
+ * color of the fragment's seed, interior (broken) faces one shared color.
+ * @param {Array<Object>} fragments - Fragments from fractureMesh
+ * @param {Object} options - Rendering options
+ * @param {Array<{fill: number}>} options.colorPalette - Surface colors, by seed index
+ * @param {number} options.interiorColor - Color of the interior faces
+ * @param {number} options.explode - Push of each fragment, relative to its
+ *        distance from the center
+ * @returns {THREE.Group} Group containing one mesh per fragment
+ */
+export function createFragmentGroup(fragments, options = {}) {
+    const {
+        colorPalette = CELL_COLOR_PALETTE,
+        interiorColor = 0xe7e5e4,
+        explode = 0.15,
+    } = options;
+    
+    const group = new THREE.Group();
+    const color = new THREE.Color();
+    
+    // Volume-weighted center of all fragments
+    const centroids = fragments.map(({ positions }) => {
+        const c = { x: 0, y: 0, z: 0 };
+        const count = positions.length / 3;
+        for (let i = 0; i < positions.length; i += 3) {
+            c.x += positions[i] / count;
+            c.y += positions[i + 1] / count;
+            c.z += positions[i + 2] / count;
+        }
+        return c;
+    });
+    const totalVolume = fragments.reduce((sum, { volume }) => sum + volume, 0) || 1;
+    const center = { x: 0, y: 0, z: 0 };
+    fragments.forEach(({ volume }, k) => {
+        center.x += (centroids[k].x * volume) / totalVolume;
+        center.y += (centroids[k].y * volume) / totalVolume;
+        center.z += (centroids[k].z * volume) / totalVolume;
+    });
+    
+    fragments.forEach((fragment, k) => {
+        const { positions: source, indices, interior } = fragment;
+        const fill = colorPalette[fragment.index % colorPalette.length].fill;
+        
+        // Unshared corners so every triangle is shaded flat in its own color
+        const positions = [];
+        const colors = [];
+        for (let t = 0; t < indices.length; t += 3) {
+            color.setHex(interior[t / 3] ? interiorColor : fill);
+            for (let i = 0; i < 3; i++) {
+                const v = 3 * indices[t + i];
+                positions.push(source[v], source[v + 1], source[v + 2]);
+                colors.push(color.r, color.g, color.b);
+            }
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        geometry.computeVertexNormals();
+        
+        const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+            vertexColors: true,
+            roughness: 0.7,
+            metalness: 0.05,
+        }));
+        mesh.position.set(
+            (centroids[k].x - center.x) * explode,
+            (centroids[k].y - center.y) * explode,
+            (centroids[k].z - center.z) * explode
+        );
+        mesh.userData.seedIndex = fragment.index;
+        group.add(mesh);
+    });
+    
+    return group;
+}
 
 /**
  * Create all Voronoi cell meshes from computed cells
- * @param {Array<{seed, cell}>} voronoiCells - Output from computeVoronoiCells
+ * 
+ * Given an IncrementalVoronoi instead of a cell array, the group follows
+ * its change events and rebuilds only the meshes of cells that changed;
+ * call group.userData.dispose() to stop following it.
+ * 
+ * @param {Array<{seed, cell}>|IncrementalVoronoi} voronoiCells - Output from computeVoronoiCells
  * @param {Function} cellToMeshData - Conversion function
  * @param {Object} options - Rendering options
  * @returns {THREE.Group} Group containing all cell meshes
  */
 export function createVoronoiCellsGroup(voronoiCells, cellToMeshData, options = {}) {
     const group = new THREE.Group();
-    const { useVariedColors = false, colorPalette = CELL_COLOR_PALETTE, ...baseOptions } = options;
+    const tessellation = Array.isArray(voronoiCells) ? null : voronoiCells;
+    const cells = tessellation ? tessellation.cells : voronoiCells;
     
-    voronoiCells.forEach(({ seed, cell }, index) => {
-        const meshData = cellToMeshData(cell);
-        
-        // Determine colors for this cell
-        let cellOptions = { ...baseOptions, cellIndex: index };
-        if (useVariedColors) {
-            const colorScheme = colorPalette[index % colorPalette.length];
-            cellOptions.fillColor = colorScheme.fill;
-            cellOptions.edgeColor = colorScheme.edge;
-        }
-        
-        const cellMesh = createCellMesh(meshData, cellOptions);
-        cellMesh.userData = { seed, meshData, colorIndex: index % colorPalette.length };
-        group.add(cellMesh);
+    cells.forEach((entry, index) => {
+        group.add(createCellEntryMesh(entry, index, cellToMeshData, options));
     });
     
+    if (tessellation) {
+        const onChange = (change) => updateVoronoiCellsGroup(group, change, cellToMeshData, options);
+        tessellation.on('change', onChange);
+        group.userData.dispose = () => tessellation.off('change', onChange);
+    }
+    
     return group;
 }
 
+/**
+ * Create the mesh of one cell, colored by its position in the palette
+ * (or by options.colorOf, which maps a cell entry to a { fill, edge } scheme)
+ */
+function createCellEntryMesh(entry, colorIndex, cellToMeshData, options) {
+    const { useVariedColors = false, colorPalette = CELL_COLOR_PALETTE, colorOf = null, ...baseOptions } = options;
+    const { seed, cell, index: seedIndex } = entry;
+    const meshData = cellToMeshData(cell, seed);
+    
+    // Determine colors for this cell
+    let cellOptions = { ...baseOptions, cellIndex: colorIndex };
+    if (useVariedColors) {
+        const colorScheme = colorOf?.(entry) ?? colorPalette[colorIndex % colorPalette.length];
+        cellOptions.fillColor = colorScheme.fill;
+        cellOptions.edgeColor = colorScheme.edge;
+    }
+    
+    const cellMesh = createCellMesh(meshData, cellOptions);
+    cellMesh.userData = {
+        seed,
+        seedIndex,
+        meshData,
+        colorIndex: colorIndex % colorPalette.length,
+        fillColor: cellOptions.fillColor ?? COLORS.cellFill,
+        renderIndex: colorIndex,
+    };
+    return cellMesh;
+}
+
+/**
+ * Apply an IncrementalVoronoi change event to a cells group: meshes of
+ * removed cells are dropped, changed cells are rebuilt in their old color
+ * and new cells are added. Other meshes are left untouched.
+ * @param {THREE.Group} group - Group from createVoronoiCellsGroup
+ * @param {{added: Array, updated: Array, removed: Array<number>}} change - Change event
+ * @param {Function} cellToMeshData - Conversion function
+ * @param {Object} options - Rendering options used for the group
+ */
+export function updateVoronoiCellsGroup(group, change, cellToMeshData, options = {}) {
+    const meshesBySeed = new Map(group.children.map(mesh => [mesh.userData.seedIndex, mesh]));
+    
+    for (const id of change.removed) {
+        const mesh = meshesBySeed.get(id);
+        if (mesh) disposeGroup(mesh);
+    }
+    
+    for (const entry of change.updated) {
+        const mesh = meshesBySeed.get(entry.index);
+        const renderIndex = mesh ? mesh.userData.renderIndex : entry.index;
+        if (mesh) disposeGroup(mesh);
+        group.add(createCellEntryMesh(entry, renderIndex, cellToMeshData, options));
+    }
+    
+    for (const entry of change.added) {
+        group.add(createCellEntryMesh(entry, entry.index, cellToMeshData, options));
+    }
+}
+
+/**
+ * Remove an object from its parent and free the geometries and materials
+ * of everything in it (groups following an IncrementalVoronoi stop
+ * following it)
+ * @param {THREE.Object3D} group - Group or mesh to dispose
+ */
+export function disposeGroup(group) {
+    group.removeFromParent();
+    group.userData.dispose?.();
+    group.traverse(object => {
+        object.geometry?.dispose();
+        object.material?.dispose();
+    });
+}
+
+/**
+ * Color the meshes of some cells (by seed index) with a highlight color,
+ * restoring every other cell's own colors
+ * @param {THREE.Group} group - Group from createVoronoiCellsGroup
+ * @param {Array<number>} seedIndices - Cells to highlight (empty to clear)
+ * @param {number} color - Highlight color
+ */
+export function highlightCells(group, seedIndices, color = 0xef4444) {
+    colorCells(group, new Map(seedIndices.map(index => [index, color])));
+}
+
+/**
+ * Color the meshes of some cells (by seed index), each with its own
+ * highlight color, restoring every other cell's own colors
+ * @param {THREE.Group} group - Group from createVoronoiCellsGroup
+ * @param {Map<number, number>} colors - Highlight color by seed index (empty to clear)
+ */
+export function colorCells(group, colors) {
+    for (const cellMesh of group.children) {
+        const color = colors.get(cellMesh.userData.seedIndex);
+        const isHighlighted = color !== undefined;
+        cellMesh.traverse(object => {
+            const material = object.material;
+            if (!material) return;
+            
+            if (!material.userData.baseColor) {
+                material.userData.baseColor = material.color.getHex();
+                material.userData.baseOpacity = material.opacity;
+            }
+            material.color.setHex(isHighlighted ? color : material.userData.baseColor);
+            material.opacity = isHighlighted
+                ? Math.max(material.userData.baseOpacity, 0.6)
+                : material.userData.baseOpacity;
+        });
+    }
+}
+
 /**
  * Create ambient lighting setup for the scene
  * @returns {Array<THREE.Light>} Array of lights to add to scene
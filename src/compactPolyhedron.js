@@ -0,0 +1,375 @@
+/**
+ * Compact Convex Polyhedron
+ *
+ * A typed-array version of ConvexPolyhedron for large tessellations.
+ * Vertices live in one Float64Array and faces in CSR form (an Int32Array
+ * of offsets into an Int32Array of vertex indices). Cutting writes into
+ * shared scratch buffers and looks edge intersections up in an
+ * Int32Array edge table (a linked list of edges per lower vertex, in the
+ * spirit of Voro++'s edge table) instead of a Map with string keys, so a
+ * cut allocates almost nothing.
+ *
+ * cutWithPlane performs exactly the same arithmetic, in the same order,
+ * as ConvexPolyhedron.cutWithPlane, so the cells are identical (vertex
+ * order, face order and coordinates). There is no robust mode.
+ */
+
+// Same classification tolerance as voronoi3d.js
+const EPSILON = 1e-10;
+
+/**
+ * Stand-ins for null face neighbors and images in the Int32Arrays
+ */
+export const NO_NEIGHBOR = -0x80000000;
+export const NO_IMAGE = -0x80000000;
+
+const INSIDE = -1, ON = 0, OUTSIDE = 1;
+
+/**
+ * Scratch buffers shared by all cuts (JavaScript runs one cut at a time)
+ */
+const scratch = {
+    distances: new Float64Array(64),
+    classes: new Int8Array(64),
+    vertexMap: new Int32Array(64),
+    edgeHead: new Int32Array(64),
+    edgeOther: new Int32Array(256),
+    edgeVertex: new Int32Array(256),
+    edgeNext: new Int32Array(256),
+    capMark: new Int32Array(256),
+    capStamp: 0,
+    angles: new Float64Array(256),
+    capVertices: [],
+    positions: new Float64Array(3 * 256),
+    faceStart: new Int32Array(65),
+    faceVertices: new Int32Array(512),
+    faceNeighbors: new Int32Array(64),
+    faceImages: new Int32Array(3 * 64),
+};
+
+/**
+ * Return `array` if it holds at least `size` items, else a larger copy
+ */
+function ensureCapacity(array, size) {
+    if (array.length >= size) return array;
+    const grown = new array.constructor(Math.max(size, array.length * 2));
+    grown.set(array);
+    return grown;
+}
+
+/**
+ * Convex polyhedron stored in flat typed arrays
+ */
+export class CompactPolyhedron {
+    constructor() {
+        this.positions = new Float64Array(3 * 64);  // x, y, z per vertex
+        this.vertexCount = 0;
+        this.faceStart = new Int32Array(33);  // Face f is faceVertices[faceStart[f]..faceStart[f + 1]]
+        this.faceVertices = new Int32Array(256);  // Counter-clockwise when viewed from outside
+        this.faceNeighbors = new Int32Array(32);  // Neighbor id or wall id per face, or NO_NEIGHBOR
+        this.faceImages = new Int32Array(3 * 32);  // Periodic image per face, or NO_IMAGE
+        this.faceCount = 0;
+        this.robust = false;
+    }
+
+    /**
+     * Create an axis-aligned box with the same vertex and face order as
+     * ConvexPolyhedron.createBox
+     * @param {Array<number>} faceIds - Wall ids of the faces zMin, zMax, yMin, yMax, xMin, xMax
+     */
+    static createBox(minX, minY, minZ, maxX, maxY, maxZ, faceIds) {
+        const poly = new CompactPolyhedron();
+        poly.positions.set([
+            minX, minY, minZ,
+            maxX, minY, minZ,
+            maxX, maxY, minZ,
+            minX, maxY, minZ,
+            minX, minY, maxZ,
+            maxX, minY, maxZ,
+            maxX, maxY, maxZ,
+            minX, maxY, maxZ,
+        ]);
+        poly.vertexCount = 8;
+
+        poly.faceVertices.set([
+            0, 3, 2, 1,
+            4, 5, 6, 7,
+            0, 1, 5, 4,
+            2, 3, 7, 6,
+            0, 4, 7, 3,
+            1, 2, 6, 5,
+        ]);
+        for (let f = 0; f <= 6; f++) poly.faceStart[f] = 4 * f;
+        poly.faceNeighbors.set(faceIds);
+        poly.faceImages.fill(NO_IMAGE, 0, 18);
+        poly.faceCount = 6;
+
+        return poly;
+    }
+
+    /**
+     * Check whether the polyhedron has been cut away entirely
+     */
+    isEmpty() {
+        return this.vertexCount === 0;
+    }
+
+    /**
+     * Remove all vertices and faces
+     */
+    clear() {
+        this.vertexCount = 0;
+        this.faceCount = 0;
+    }
+
+    /**
+     * Get the largest signed distance of a vertex from a plane
+     */
+    maxSignedDistance(plane) {
+        const { x: nx, y: ny, z: nz } = plane.normal;
+        const P = this.positions;
+        let maxDist = -Infinity;
+        for (let i = 0; i < this.vertexCount; i++) {
+            maxDist = Math.max(maxDist, nx * P[3 * i] + ny * P[3 * i + 1] + nz * P[3 * i + 2] + plane.d);
+        }
+        return maxDist;
+    }
+
+    /**
+     * Get the squared distance from a point to the furthest vertex
+     */
+    getMaxRadiusSquared(point) {
+        const P = this.positions;
+        let maxSq = 0;
+        for (let i = 0; i < this.vertexCount; i++) {
+            const dx = P[3 * i] - point.x;
+            const dy = P[3 * i + 1] - point.y;
+            const dz = P[3 * i + 2] - point.z;
+            maxSq = Math.max(maxSq, dx * dx + dy * dy + dz * dz);
+        }
+        return maxSq;
+    }
+
+    /**
+     * Cut the polyhedron with a plane, keeping the negative half-space
+     * @param {Plane} plane - Cutting plane
+     * @param {number|null} neighbor - Neighbor seed id (or negative wall id) recorded on the new cap face
+     * @param {Object|null} image - Periodic image recorded on the new cap face
+     */
+    cutWithPlane(plane, neighbor = null, image = null) {
+        const n = this.vertexCount;
+        const P = this.positions;
+        const { x: nx, y: ny, z: nz } = plane.normal;
+        const d = plane.d;
+
+        const s = scratch;
+        s.distances = ensureCapacity(s.distances, n);
+        s.classes = ensureCapacity(s.classes, n);
+        const { distances, classes } = s;
+
+        // Classify each vertex as inside (negative), outside (positive), or on the plane
+        let hasOutside = false, hasInside = false;
+        for (let i = 0; i < n; i++) {
+            const dist = nx * P[3 * i] + ny * P[3 * i + 1] + nz * P[3 * i + 2] + d;
+            distances[i] = dist;
+            const c = dist < -EPSILON ? INSIDE : (dist > EPSILON ? OUTSIDE : ON);
+            classes[i] = c;
+            if (c === OUTSIDE) hasOutside = true;
+            if (c === INSIDE) hasInside = true;
+        }
+
+        if (!hasOutside) return;
+        if (!hasInside) {
+            this.clear();
+            return;
+        }
+
+        const indexCount = this.faceStart[this.faceCount];
+
+        // A convex cut adds at most one vertex per edge and one face
+        const maxVertices = n + indexCount;
+        s.positions = ensureCapacity(s.positions, 3 * maxVertices);
+        s.vertexMap = ensureCapacity(s.vertexMap, n);
+        s.edgeHead = ensureCapacity(s.edgeHead, n);
+        s.edgeOther = ensureCapacity(s.edgeOther, indexCount);
+        s.edgeVertex = ensureCapacity(s.edgeVertex, indexCount);
+        s.edgeNext = ensureCapacity(s.edgeNext, indexCount);
+        s.capMark = ensureCapacity(s.capMark, maxVertices);
+        s.angles = ensureCapacity(s.angles, maxVertices);
+        s.faceStart = ensureCapacity(s.faceStart, this.faceCount + 2);
+        s.faceVertices = ensureCapacity(s.faceVertices, 3 * indexCount + n);
+        s.faceNeighbors = ensureCapacity(s.faceNeighbors, this.faceCount + 1);
+        s.faceImages = ensureCapacity(s.faceImages, 3 * (this.faceCount + 1));
+
+        const out = s.positions;
+        const { vertexMap, edgeHead, edgeOther, edgeVertex, edgeNext, capMark } = s;
+        edgeHead.fill(-1, 0, n);
+        let edgeCount = 0;
+
+        // First, copy inside vertices and create mapping
+        let vertexCount = 0;
+        for (let i = 0; i < n; i++) {
+            if (classes[i] !== OUTSIDE) {
+                vertexMap[i] = vertexCount;
+                out[3 * vertexCount] = P[3 * i];
+                out[3 * vertexCount + 1] = P[3 * i + 1];
+                out[3 * vertexCount + 2] = P[3 * i + 2];
+                vertexCount++;
+            }
+        }
+
+        // Intersection point on edge (i, j), created on first use. The edge
+        // table lists each crossed edge under its lower vertex.
+        const getOrCreateIntersection = (i, j) => {
+            const lo = i < j ? i : j;
+            const hi = i < j ? j : i;
+            for (let e = edgeHead[lo]; e !== -1; e = edgeNext[e]) {
+                if (edgeOther[e] === hi) return edgeVertex[e];
+            }
+
+            const d1 = distances[i];
+            const d2 = distances[j];
+            const t = d1 / (d1 - d2);
+            out[3 * vertexCount] = P[3 * i] + t * (P[3 * j] - P[3 * i]);
+            out[3 * vertexCount + 1] = P[3 * i + 1] + t * (P[3 * j + 1] - P[3 * i + 1]);
+            out[3 * vertexCount + 2] = P[3 * i + 2] + t * (P[3 * j + 2] - P[3 * i + 2]);
+
+            edgeOther[edgeCount] = hi;
+            edgeVertex[edgeCount] = vertexCount;
+            edgeNext[edgeCount] = edgeHead[lo];
+            edgeHead[lo] = edgeCount++;
+            return vertexCount++;
+        };
+
+        // Cap vertices in order of first appearance
+        const capVertices = s.capVertices;
+        capVertices.length = 0;
+        let capEdgeCount = 0;
+        const stamp = ++s.capStamp;
+        const addCapVertex = (v) => {
+            capEdgeCount++;
+            if (capMark[v] !== stamp) {
+                capMark[v] = stamp;
+                capVertices.push(v);
+            }
+        };
+
+        // Process each face
+        const faceStart = s.faceStart;
+        const faceVertices = s.faceVertices;
+        let faceCount = 0;
+        let written = 0;
+        faceStart[0] = 0;
+
+        for (let f = 0; f < this.faceCount; f++) {
+            const start = this.faceStart[f];
+            const count = this.faceStart[f + 1] - start;
+            const faceBegin = written;
+
+            for (let k = 0; k < count; k++) {
+                const curr = this.faceVertices[start + k];
+                const next = this.faceVertices[start + (k + 1) % count];
+                const currClass = classes[curr];
+                const nextClass = classes[next];
+
+                // Add current vertex if it's inside or on the plane
+                if (currClass !== OUTSIDE) {
+                    faceVertices[written++] = vertexMap[curr];
+                }
+
+                // Check if edge crosses the plane
+                if ((currClass === INSIDE && nextClass === OUTSIDE) ||
+                    (currClass === OUTSIDE && nextClass === INSIDE)) {
+                    const intersectionIndex = getOrCreateIntersection(curr, next);
+                    faceVertices[written++] = intersectionIndex;
+                    addCapVertex(intersectionIndex);
+                } else if (currClass === ON && nextClass === OUTSIDE) {
+                    addCapVertex(vertexMap[curr]);
+                } else if (currClass === OUTSIDE && nextClass === ON) {
+                    addCapVertex(vertexMap[next]);
+                }
+            }
+
+            // Keep the face if it has at least 3 vertices
+            if (written - faceBegin >= 3) {
+                s.faceNeighbors[faceCount] = this.faceNeighbors[f];
+                s.faceImages[3 * faceCount] = this.faceImages[3 * f];
+                s.faceImages[3 * faceCount + 1] = this.faceImages[3 * f + 1];
+                s.faceImages[3 * faceCount + 2] = this.faceImages[3 * f + 2];
+                faceStart[++faceCount] = written;
+            } else {
+                written = faceBegin;
+            }
+        }
+
+        // Create the cap face from the intersection vertices
+        if (capEdgeCount >= 3 && capVertices.length >= 3) {
+            sortCapVertices(capVertices, out, plane.normal, s.angles);
+            for (const v of capVertices) faceVertices[written++] = v;
+            s.faceNeighbors[faceCount] = neighbor ?? NO_NEIGHBOR;
+            s.faceImages[3 * faceCount] = image ? image.x : NO_IMAGE;
+            s.faceImages[3 * faceCount + 1] = image ? image.y : NO_IMAGE;
+            s.faceImages[3 * faceCount + 2] = image ? image.z : NO_IMAGE;
+            faceStart[++faceCount] = written;
+        }
+
+        // Copy the result out of the scratch buffers
+        this.positions = ensureCapacity(this.positions, 3 * vertexCount);
+        this.positions.set(out.subarray(0, 3 * vertexCount));
+        this.vertexCount = vertexCount;
+
+        this.faceStart = ensureCapacity(this.faceStart, faceCount + 1);
+        this.faceStart.set(faceStart.subarray(0, faceCount + 1));
+        this.faceVertices = ensureCapacity(this.faceVertices, written);
+        this.faceVertices.set(faceVertices.subarray(0, written));
+        this.faceNeighbors = ensureCapacity(this.faceNeighbors, faceCount);
+        this.faceNeighbors.set(s.faceNeighbors.subarray(0, faceCount));
+        this.faceImages = ensureCapacity(this.faceImages, 3 * faceCount);
+        this.faceImages.set(s.faceImages.subarray(0, 3 * faceCount));
+        this.faceCount = faceCount;
+    }
+}
+
+/**
+ * Sort cap vertices counter-clockwise around their center, viewed against
+ * the plane normal (same arithmetic as ConvexPolyhedron.buildCapFace)
+ */
+function sortCapVertices(capVertices, positions, normal, angles) {
+    let cx = 0, cy = 0, cz = 0;
+    for (const v of capVertices) {
+        cx += positions[3 * v];
+        cy += positions[3 * v + 1];
+        cz += positions[3 * v + 2];
+    }
+    cx /= capVertices.length;
+    cy /= capVertices.length;
+    cz /= capVertices.length;
+
+    // Tangent = (1, 0, 0) × normal, or (0, 1, 0) × normal, normalized
+    const [ax, ay, az] = Math.abs(normal.x) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+    let tx = ay * normal.z - az * normal.y;
+    let ty = az * normal.x - ax * normal.z;
+    let tz = ax * normal.y - ay * normal.x;
+    const length = Math.sqrt(tx * tx + ty * ty + tz * tz);
+    if (length < EPSILON) {
+        tx = ty = tz = 0;
+    } else {
+        const inverse = 1 / length;
+        tx *= inverse;
+        ty *= inverse;
+        tz *= inverse;
+    }
+
+    // Bitangent = normal × tangent
+    const bx = normal.y * tz - normal.z * ty;
+    const by = normal.z * tx - normal.x * tz;
+    const bz = normal.x * ty - normal.y * tx;
+
+    for (const v of capVertices) {
+        const vx = positions[3 * v] - cx;
+        const vy = positions[3 * v + 1] - cy;
+        const vz = positions[3 * v + 2] - cz;
+        angles[v] = Math.atan2(vx * bx + vy * by + vz * bz, vx * tx + vy * ty + vz * tz);
+    }
+    capVertices.sort((a, b) => angles[a] - angles[b]);
+}
@@ -0,0 +1,205 @@
+/**
+ * Planar Cross-Sections of a Voronoi Tessellation
+ *
+ * Slices every cell with a plane (ConvexPolyhedron.getSection) and
+ * collects the resulting 2D Voronoi section: one polygon per cell the
+ * plane crosses, tagged with the cell's seed index, and the section's
+ * edges, each shared by two polygons (or lying on the container).
+ *
+ * Polygons are returned both in 3D and in 2D coordinates on the plane,
+ * for drawing caps in the viewer and exporting the section to SVG.
+ */
+
+import { Vec3, Plane } from './voronoi3d.js';
+
+/**
+ * Slice a tessellation with a plane
+ * @param {Array<{seed, index, cell}>} cells - Output from computeVoronoiCells
+ * @param {Plane|{point: {x, y, z}, normal: {x, y, z}}} plane - Section plane
+ * @returns {Object} Section: { plane, origin, u, v, polygons, edges } where
+ *          u and v span the plane (u × v = normal) around origin, polygons are
+ *          { index, seed, vertices, points, neighbors, images, area } with
+ *          points the 2D {x, y} coordinates of the vertices (counter-clockwise
+ *          seen from the normal) and neighbors[i] the cell across edge i, and
+ *          edges are { a, b, image, start, end, start2D, end2D } with a the
+ *          seed index of one polygon and b the neighbor across the edge
+ *          (negative for the container), listed once
+ */
+export function computeCrossSection(cells, plane) {
+    const section = toPlane(plane);
+    const { u, v } = getPlaneBasis(section.normal);
+    const origin = section.normal.scale(-section.d);
+
+    const to2D = (p) => {
+        const offset = p.sub(origin);
+        return { x: offset.dot(u), y: offset.dot(v) };
+    };
+
+    const polygons = [];
+    const edges = [];
+
+    for (const { seed, index, cell } of cells) {
+        const polygon = cell.getSection(section);
+        if (!polygon) continue;
+
+        // A plane through an edge or vertex of the cell only grazes it
+        const points = polygon.vertices.map(to2D);
+        const area = getPolygonArea(points);
+        if (area <= cell.getTolerance() * getPerimeter(points)) continue;
+
+        polygons.push({
+            index,
+            seed,
+            vertices: polygon.vertices,
+            points,
+            neighbors: polygon.neighbors,
+            images: polygon.images,
+            area,
+        });
+
+        // Each shared edge once, from the lower seed index
+        polygon.neighbors.forEach((neighbor, i) => {
+            const isShared = neighbor !== null && neighbor >= 0;
+            if (isShared && (neighbor < index || (neighbor === index && !isPositiveImage(polygon.images[i])))) {
+                return;
+            }
+            const next = (i + 1) % polygon.vertices.length;
+            edges.push({
+                a: index,
+                b: neighbor,
+                image: polygon.images[i],
+                start: polygon.vertices[i],
+                end: polygon.vertices[next],
+                start2D: points[i],
+                end2D: points[next],
+            });
+        });
+    }
+
+    return { plane: section, origin, u, v, polygons, edges };
+}
+
+/**
+ * Render a cross-section as an SVG document, one path per cell polygon
+ * (with a data-cell attribute holding its seed index) and the section
+ * edges drawn on top
+ * @param {Object} section - Output from computeCrossSection
+ * @param {Object} options - Drawing options
+ * @param {number} options.scale - SVG units per tessellation unit
+ * @param {number} options.margin - Margin around the section, in SVG units
+ * @param {Function} options.fillColor - Fill color of a polygon, from (polygon, i)
+ * @param {string} options.strokeColor - Edge color
+ * @param {number} options.strokeWidth - Edge width, in SVG units
+ * @returns {string} SVG markup
+ */
+export function sectionToSVG(section, options = {}) {
+    const {
+        scale = 100,
+        margin = 10,
+        fillColor = (polygon, i) => `hsl(${(i * 137.5) % 360}, 60%, 70%)`,
+        strokeColor = '#1c1917',
+        strokeWidth = 1,
+    } = options;
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const { points } of section.polygons) {
+        for (const p of points) {
+            minX = Math.min(minX, p.x);
+            minY = Math.min(minY, p.y);
+            maxX = Math.max(maxX, p.x);
+            maxY = Math.max(maxY, p.y);
+        }
+    }
+    if (section.polygons.length === 0) {
+        minX = minY = maxX = maxY = 0;
+    }
+
+    // SVG's y axis points down, so flip v to keep the polygons counter-clockwise
+    const width = (maxX - minX) * scale + 2 * margin;
+    const height = (maxY - minY) * scale + 2 * margin;
+    const toSVG = (p) => `${format((p.x - minX) * scale + margin)},${format((maxY - p.y) * scale + margin)}`;
+
+    const paths = section.polygons.map((polygon, i) =>
+        `  <path data-cell="${polygon.index}" fill="${fillColor(polygon, i)}" ` +
+        `d="M${polygon.points.map(toSVG).join('L')}Z"/>`
+    );
+    const lines = section.edges.map(({ start2D, end2D }) => `M${toSVG(start2D)}L${toSVG(end2D)}`);
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${format(width)}" height="${format(height)}" ` +
+            `viewBox="0 0 ${format(width)} ${format(height)}">`,
+        '<g stroke="none">',
+        ...paths,
+        '</g>',
+        `<path fill="none" stroke="${strokeColor}" stroke-width="${strokeWidth}" ` +
+            `stroke-linejoin="round" d="${lines.join('')}"/>`,
+        '</svg>',
+        '',
+    ].join('\n');
+}
+
+/**
+ * Accept a Plane or a { point, normal } description
+ */
+function toPlane(plane) {
+    if (plane instanceof Plane) return plane;
+    const { point, normal } = plane;
+    return Plane.fromPointAndNormal(
+        new Vec3(point.x, point.y, point.z),
+        new Vec3(normal.x, normal.y, normal.z)
+    );
+}
+
+/**
+ * Orthonormal vectors spanning a plane with u × v = normal
+ */
+function getPlaneBasis(normal) {
+    const u = Math.abs(normal.x) < 0.9
+        ? new Vec3(1, 0, 0).cross(normal).normalize()
+        : new Vec3(0, 1, 0).cross(normal).normalize();
+    return { u, v: normal.cross(u) };
+}
+
+/**
+ * Signed area of a 2D polygon (positive when counter-clockwise)
+ */
+function getPolygonArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const p = points[i];
+        const q = points[(i + 1) % points.length];
+        area += p.x * q.y - q.x * p.y;
+    }
+    return area / 2;
+}
+
+/**
+ * Perimeter of a 2D polygon
+ */
+function getPerimeter(points) {
+    let perimeter = 0;
+    for (let i = 0; i < points.length; i++) {
+        const p = points[i];
+        const q = points[(i + 1) % points.length];
+        perimeter += Math.hypot(q.x - p.x, q.y - p.y);
+    }
+    return perimeter;
+}
+
+/**
+ * Check whether a periodic image is lexicographically positive, to pick
+ * one of the two faces a cell shares with its own image
+ */
+function isPositiveImage(image) {
+    if (!image) return false;
+    if (image.x !== 0) return image.x > 0;
+    if (image.y !== 0) return image.y > 0;
+    return image.z > 0;
+}
+
+/**
+ * Format an SVG coordinate
+ */
+function format(value) {
+    return Number(value.toFixed(3)).toString();
+}
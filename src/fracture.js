@@ -0,0 +1,720 @@
+/**
+ * Voronoi Fracture
+ *
+ * Shatters a closed triangle mesh (see triangleMesh.js) into the pieces
+ * the Voronoi cells of a set of seeds cut out of it, e.g. for destruction
+ * effects. Every fragment is a closed mesh whose triangles are tagged:
+ * surface triangles come from the original mesh, interior ones from the
+ * Voronoi faces the break exposes, shared with the neighboring fragment.
+ *
+ * Convex meshes are clipped exactly: each cell is cut by the planes of
+ * the mesh, as a ConvexHullWall.
+ *
+ * Non-convex meshes are clipped as a polygon soup. Each cell keeps
+ * - the mesh triangles clipped to the cell (Sutherland–Hodgman against
+ *   its face planes), and
+ * - on every cell face, the part of the face inside the mesh: the section
+ *   of the mesh by the face plane clipped to the face, closed along the
+ *   face edges inside the mesh and triangulated by ear clipping, with
+ *   holes bridged to their outer loop.
+ * Both meet along the section lines and are welded into one closed mesh.
+ * A cell may cut several disjoint pieces out of the mesh; they stay one
+ * fragment. The mesh must be closed, oriented outward and free of
+ * self-intersections.
+ *
+ * Seeds outside the mesh take part too: their cells cut off the parts of
+ * the mesh closest to them.
+ *
+ * Cells are computed in robust mode, so lattice seeds (whose cells share
+ * vertices among more than four cells) give clean cell faces. A fragment
+ * that still fails to weld into a closed mesh is rejected and reported
+ * rather than returned.
+ */
+
+import { computeVoronoiCells, Vec3, Plane } from './voronoi3d.js';
+import { ConvexHullWall, FIRST_WALL_ID } from './walls.js';
+import { getMeshBounds, getMeshVolume, isClosedMesh, weldMesh } from './triangleMesh.js';
+
+/**
+ * Check whether a mesh is convex: no vertex lies outside the plane of any
+ * triangle
+ * @param {{positions: Array<number>, indices: Array<number>}} mesh - Closed mesh
+ *        oriented outward
+ * @param {number} tolerance - Largest distance outside a plane, relative to the
+ *        mesh size
+ */
+export function isConvexMesh(mesh, tolerance = 1e-6) {
+    const vertices = toVertices(mesh);
+    const limit = tolerance * getMeshSize(mesh);
+
+    for (const { plane } of getTriangles(mesh, vertices)) {
+        if (vertices.some(v => plane.signedDistance(v) > limit)) return false;
+    }
+    return mesh.indices.length > 0;
+}
+
+/**
+ * Shatter a closed mesh into Voronoi fragments
+ * @param {{positions: Array<number>, indices: Array<number>}} mesh - Closed mesh
+ *        oriented outward
+ * @param {Array<{x, y, z}>} seeds - Fracture seeds
+ * @param {Object} options - Fracture options
+ * @param {boolean} options.convex - Clip against the mesh planes (exact, convex
+ *        meshes only) rather than as a polygon soup (default: isConvexMesh)
+ * @returns {{fragments: Array<Object>, rejected: Array<number>}} Fragments
+ *          { index, seed, positions, indices, interior, neighbors, volume } where
+ *          index is the seed's, positions and indices form a closed mesh, and for
+ *          each triangle interior tells whether it lies on a Voronoi face and
+ *          neighbors gives the seed across it (null on the surface); rejected lists
+ *          the seeds whose fragment did not come out closed
+ */
+export function fractureMesh(mesh, seeds, options = {}) {
+    const { convex = isConvexMesh(mesh) } = options;
+    if (seeds.length === 0) return { fragments: [], rejected: [] };
+
+    // The tessellation box holds the mesh and the seeds, with its faces clear
+    // of the mesh
+    const bounds = getPointBounds([...toVertices(mesh), ...seeds]);
+    const padding = 0.05 * getMeshSize(mesh);
+
+    const pieces = convex
+        ? fractureConvex(mesh, seeds, bounds, padding)
+        : fractureSoup(mesh, seeds, bounds, padding);
+
+    const fragments = [];
+    const rejected = [];
+    for (const fragment of pieces) {
+        if (fragment.indices.length === 0) continue;
+        if (isClosedMesh(fragment)) {
+            fragments.push(fragment);
+        } else {
+            rejected.push(fragment.index);
+        }
+    }
+    return { fragments, rejected };
+}
+
+/**
+ * Export fragments as OBJ: one object per fragment, with its surface and
+ * interior triangles in separate groups and materials
+ * @param {Array<Object>} fragments - Fragments from fractureMesh
+ * @returns {string} OBJ text
+ */
+export function fragmentsToOBJ(fragments) {
+    const lines = ['# Voronoi fracture', `# ${fragments.length} fragments`];
+    let base = 1;
+
+    for (const { index, positions, indices, interior } of fragments) {
+        lines.push(`o fragment_${index}`);
+        for (let i = 0; i < positions.length; i += 3) {
+            lines.push(`v ${positions[i]} ${positions[i + 1]} ${positions[i + 2]}`);
+        }
+        for (const material of ['surface', 'interior']) {
+            lines.push(`g fragment_${index}_${material}`, `usemtl ${material}`);
+            for (let t = 0; t < indices.length; t += 3) {
+                if (interior[t / 3] !== (material === 'interior')) continue;
+                lines.push(`f ${base + indices[t]} ${base + indices[t + 1]} ${base + indices[t + 2]}`);
+            }
+        }
+        base += positions.length / 3;
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Fragments of a convex mesh: the cells cut by a wall of its planes
+ */
+function fractureConvex(mesh, seeds, bounds, padding) {
+    const vertices = toVertices(mesh);
+    const faces = [];
+    for (let t = 0; t < mesh.indices.length; t += 3) {
+        faces.push([mesh.indices[t], mesh.indices[t + 1], mesh.indices[t + 2]]);
+    }
+    const wall = new ConvexHullWall({ vertices, faces }, { id: FIRST_WALL_ID });
+
+    return computeVoronoiCells(seeds, bounds, padding, { robust: true }).map(({ index, cell }) => {
+        wall.cut(cell, seeds[index], FIRST_WALL_ID);
+        const triangles = [];
+        cell.faces.forEach((face, f) => {
+            const neighbor = cell.faceNeighbors[f];
+            for (let i = 1; i < face.length - 1; i++) {
+                triangles.push({
+                    corners: [cell.vertices[face[0]], cell.vertices[face[i]], cell.vertices[face[i + 1]]],
+                    neighbor: neighbor !== null && neighbor >= 0 ? neighbor : null,
+                });
+            }
+        });
+        return createFragment(index, seeds[index], triangles);
+    });
+}
+
+/**
+ * Fragments of any closed mesh: the mesh surface clipped to each cell,
+ * capped by the parts of the cell faces inside the mesh
+ */
+function fractureSoup(mesh, seeds, bounds, padding) {
+    const vertices = toVertices(mesh);
+    const triangles = getTriangles(mesh, vertices);
+
+    return computeVoronoiCells(seeds, bounds, padding, { robust: true }).map(({ index, cell }) => {
+        const faces = getCellFaces(cell);
+        const { min, max } = getPointBounds(cell.vertices);
+        const pieces = [];
+
+        // Surface: the mesh triangles clipped to the cell
+        for (const triangle of triangles) {
+            if (!boundsOverlap(triangle, min, max)) continue;
+
+            let polygon = triangle.corners;
+            for (const { plane } of faces) {
+                polygon = clipPolygon(polygon, plane);
+                if (polygon.length < 3) break;
+            }
+            for (let i = 1; i < polygon.length - 1; i++) {
+                pieces.push({ corners: [polygon[0], polygon[i], polygon[i + 1]], neighbor: null });
+            }
+        }
+
+        // Interior: the cell faces where they are inside the mesh
+        const size = Math.cbrt(Math.max(cell.getVolume(), 0));
+        for (const { plane, polygon, neighbor } of faces) {
+            for (const corners of getFaceCap(plane, polygon, vertices, triangles, 1e-9 * size)) {
+                pieces.push({ corners, neighbor: neighbor !== null && neighbor >= 0 ? neighbor : null });
+            }
+        }
+
+        return createFragment(index, seeds[index], pieces);
+    });
+}
+
+/**
+ * Weld a fragment's triangles { corners, neighbor } into a closed mesh
+ */
+function createFragment(index, seed, triangles) {
+    const soup = {
+        positions: triangles.flatMap(({ corners }) => corners.flatMap(p => [p.x, p.y, p.z])),
+        indices: triangles.flatMap((triangle, t) => [3 * t, 3 * t + 1, 3 * t + 2]),
+    };
+    if (triangles.length === 0) {
+        return { index, seed, ...soup, interior: [], neighbors: [], volume: 0 };
+    }
+
+    const welded = weldMesh(soup);
+    const { positions, indices, neighbors } = splitTJunctions(
+        welded.positions,
+        welded.indices,
+        welded.triangles.map(t => triangles[t].neighbor)
+    );
+    return {
+        index,
+        seed,
+        positions,
+        indices,
+        interior: neighbors.map(neighbor => neighbor !== null),
+        neighbors,
+        volume: getMeshVolume({ positions, indices }),
+    };
+}
+
+/**
+ * Split triangle edges that have no twin at the vertices lying on them.
+ * Pieces clipped on either side of a cell edge that runs through the mesh
+ * surface may place different vertices along it. An edge used more often
+ * in one direction than in the other counts as having no twin.
+ */
+function splitTJunctions(positions, indices, neighbors, tolerance = 1e-9) {
+    const point = i => new Vec3(positions[3 * i], positions[3 * i + 1], positions[3 * i + 2]);
+    const limit = tolerance * getMeshSize({ positions });
+
+    const triangles = [];
+    for (let t = 0; t < indices.length; t += 3) {
+        triangles.push({ corners: indices.slice(t, t + 3), neighbor: neighbors[t / 3] });
+    }
+
+    for (let pass = 0; pass < 64; pass++) {
+        const edges = new Map();
+        const count = (a, b, change) => {
+            const key = `${a},${b}`;
+            edges.set(key, (edges.get(key) ?? 0) + change);
+        };
+        for (const { corners } of triangles) {
+            for (let k = 0; k < 3; k++) count(corners[k], corners[(k + 1) % 3], 1);
+        }
+        const isOpen = (a, b) => (edges.get(`${a},${b}`) ?? 0) > (edges.get(`${b},${a}`) ?? 0);
+        const candidates = new Set();
+        for (const { corners } of triangles) {
+            for (let k = 0; k < 3; k++) {
+                if (isOpen(corners[k], corners[(k + 1) % 3])) {
+                    candidates.add(corners[k]);
+                    candidates.add(corners[(k + 1) % 3]);
+                }
+            }
+        }
+        if (candidates.size === 0) break;
+
+        let split = false;
+        for (let t = triangles.length - 1; t >= 0; t--) {
+            const { corners, neighbor } = triangles[t];
+            for (let k = 0; k < 3; k++) {
+                const [a, b, c] = [corners[k], corners[(k + 1) % 3], corners[(k + 2) % 3]];
+                if (!isOpen(a, b)) continue;
+
+                // The vertex on the edge closest to its start
+                const pa = point(a);
+                const direction = point(b).sub(pa);
+                const length = direction.length();
+                let best = -1;
+                let bestAlong = Infinity;
+                for (const v of candidates) {
+                    if (v === a || v === b) continue;
+                    const offset = point(v).sub(pa);
+                    const along = offset.dot(direction) / length;
+                    if (along <= limit || along >= length - limit || along >= bestAlong) continue;
+                    if (offset.cross(direction).length() / length > limit) continue;
+                    best = v;
+                    bestAlong = along;
+                }
+
+                if (best >= 0) {
+                    triangles[t] = { corners: [a, best, c], neighbor };
+                    triangles.push({ corners: [best, b, c], neighbor });
+                    count(a, b, -1);
+                    count(a, best, 1);
+                    count(best, b, 1);
+                    split = true;
+                    break;
+                }
+            }
+        }
+        if (!split) break;
+    }
+
+    return {
+        positions,
+        indices: triangles.flatMap(({ corners }) => corners),
+        neighbors: triangles.map(({ neighbor }) => neighbor),
+    };
+}
+
+/**
+ * Triangulated part of a convex cell face inside the mesh
+ * @param {Plane} plane - Face plane, normal pointing out of the cell
+ * @param {Array<Vec3>} polygon - Face corners, counter-clockwise seen from outside
+ * @returns {Array<Array<Vec3>>} Triangles, counter-clockwise seen from outside
+ */
+function getFaceCap(plane, polygon, vertices, triangles, tolerance) {
+    const n = plane.normal;
+    const u = (Math.abs(n.x) < 0.9 ? new Vec3(1, 0, 0) : new Vec3(0, 1, 0)).cross(n).normalize();
+    const v = n.cross(u);
+    const origin = n.scale(-plane.d);
+    const to2D = p => ({ x: p.dot(u), y: p.dot(v) });
+    const to3D = p => origin.add(u.scale(p.x)).add(v.scale(p.y));
+
+    // Section of the mesh by the plane, as segments with the mesh on their
+    // left. A triangle's segment runs from the edge leaving the positive side
+    // to the edge entering it, in winding order; each crossing point is
+    // computed once per mesh edge so that the segments chain exactly.
+    const side = vertices.map(p => plane.signedDistance(p) >= 0);
+    const crossings = new Map();
+    const crossing = (i, j) => {
+        const [a, b] = i < j ? [i, j] : [j, i];
+        const key = a * vertices.length + b;
+        if (!crossings.has(key)) {
+            const sa = plane.signedDistance(vertices[a]);
+            const sb = plane.signedDistance(vertices[b]);
+            crossings.set(key, to2D(vertices[a].add(vertices[b].sub(vertices[a]).scale(sa / (sa - sb)))));
+        }
+        return crossings.get(key);
+    };
+
+    const segments = [];
+    for (const { indices } of triangles) {
+        let start = null;
+        let end = null;
+        for (let k = 0; k < 3; k++) {
+            const i = indices[k];
+            const j = indices[(k + 1) % 3];
+            if (side[i] && !side[j]) start = crossing(i, j);
+            if (!side[i] && side[j]) end = crossing(i, j);
+        }
+        if (start && end) segments.push([start, end]);
+    }
+    if (segments.length === 0) return [];
+
+    // Parity of the section loops crossed by a ray along +x
+    const insideMesh = point => {
+        let count = 0;
+        for (const [a, b] of segments) {
+            if ((a.y > point.y) === (b.y > point.y)) continue;
+            if (a.x + ((point.y - a.y) * (b.x - a.x)) / (b.y - a.y) > point.x) count++;
+        }
+        return count % 2 === 1;
+    };
+
+    const face = [];
+    for (const p of polygon.map(to2D)) {
+        if (face.length === 0 || distance2D(p, face[face.length - 1]) > tolerance) face.push(p);
+    }
+    while (face.length > 1 && distance2D(face[0], face[face.length - 1]) <= tolerance) face.pop();
+    if (face.length < 3) return [];
+
+    // Section segments clipped to the face (Cyrus–Beck)
+    const edges = [];
+    for (const [a, b] of segments) {
+        let t0 = 0, t1 = 1;
+        for (let k = 0; k < face.length && t0 < t1; k++) {
+            const fa = cross2D(face[k], face[(k + 1) % face.length], a);
+            const fb = cross2D(face[k], face[(k + 1) % face.length], b);
+            if (fa >= 0 && fb >= 0) continue;
+            if (fa < 0 && fb < 0) {
+                t0 = 1;
+            } else if (fa < 0) {
+                t0 = Math.max(t0, fa / (fa - fb));
+            } else {
+                t1 = Math.min(t1, fa / (fa - fb));
+            }
+        }
+        if (t0 < t1) edges.push([t0 > 0 ? lerp2D(a, b, t0) : a, t1 < 1 ? lerp2D(a, b, t1) : b]);
+    }
+
+    // Where the clipped section touches a face edge, the edge may pass between
+    // inside and outside the mesh
+    const stops = face.map((p, k) => {
+        const q = face[(k + 1) % face.length];
+        const length = distance2D(p, q);
+        return edges.flat().filter(point => {
+            const along = ((point.x - p.x) * (q.x - p.x) + (point.y - p.y) * (q.y - p.y)) / length;
+            return Math.abs(cross2D(p, q, point)) <= tolerance * length && along > 0 && along < length;
+        });
+    });
+
+    // Face edges, split where the section crosses them, where inside the mesh
+    face.forEach((p, k) => {
+        const q = face[(k + 1) % face.length];
+        const along = point => (point.x - p.x) * (q.x - p.x) + (point.y - p.y) * (q.y - p.y);
+        const points = [p, ...stops[k].sort((a, b) => along(a) - along(b)), q];
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i];
+            const b = points[i + 1];
+            if (distance2D(a, b) <= tolerance) continue;
+            if (insideMesh(lerp2D(a, b, 0.5))) edges.push([a, b]);
+        }
+    });
+
+    // Chain the edges into loops: outer loops counter-clockwise, holes clockwise
+    const points = [];
+    const idOf = p => {
+        const id = points.findIndex(other => distance2D(other, p) <= tolerance);
+        if (id >= 0) return id;
+        points.push(p);
+        return points.length - 1;
+    };
+    const links = edges
+        .map(([a, b]) => ({ from: idOf(a), to: idOf(b), used: false }))
+        .filter(({ from, to }) => from !== to);
+    const outgoing = points.map(() => []);
+    for (const link of links) outgoing[link.from].push(link);
+
+    const loops = [];
+    for (const link of links) {
+        if (link.used) continue;
+        const loop = [];
+        let current = link;
+        let last = link;
+        while (current) {
+            current.used = true;
+            loop.push(points[current.from]);
+            last = current;
+            current = outgoing[current.to].find(next => !next.used);
+        }
+        if (last.to === link.from && loop.length >= 3) loops.push(loop);
+    }
+
+    return triangulateLoops(loops).map(triangle => triangle.map(to3D));
+}
+
+/**
+ * Triangulate nested loops: counter-clockwise outer loops and clockwise
+ * holes, each hole inside the smallest outer loop around it
+ */
+function triangulateLoops(loops) {
+    const outers = [];
+    const holes = [];
+    for (const loop of loops) {
+        const area = getSignedArea(loop);
+        if (area > 0) outers.push({ loop, area, holes: [] });
+        else if (area < 0) holes.push(loop);
+    }
+
+    for (const hole of holes) {
+        let best = null;
+        for (const outer of outers) {
+            if (!containsPoint2D(outer.loop, hole[0])) continue;
+            if (!best || outer.area < best.area) best = outer;
+        }
+        if (best) best.holes.push(hole);
+    }
+
+    const triangles = [];
+    for (const outer of outers) {
+        // Bridge the holes from right to left, so earlier bridges stay clear
+        const maxX = loop => Math.max(...loop.map(p => p.x));
+        let polygon = outer.loop;
+        for (const hole of outer.holes.sort((a, b) => maxX(b) - maxX(a))) {
+            polygon = bridgeHole(polygon, hole);
+        }
+        triangles.push(...earClip(polygon));
+    }
+    return triangles;
+}
+
+/**
+ * Join a clockwise hole to a counter-clockwise polygon through a pair of
+ * coincident edges (Eberly's method): a ray from the hole's rightmost
+ * vertex finds a visible polygon vertex to connect
+ */
+function bridgeHole(polygon, hole) {
+    let m = 0;
+    hole.forEach((p, i) => {
+        if (p.x > hole[m].x) m = i;
+    });
+    const M = hole[m];
+
+    let hitX = Infinity;
+    let bridge = -1;
+    polygon.forEach((a, i) => {
+        const b = polygon[(i + 1) % polygon.length];
+        if ((a.y > M.y) === (b.y > M.y)) return;
+        const x = a.x + ((M.y - a.y) * (b.x - a.x)) / (b.y - a.y);
+        if (x >= M.x && x < hitX) {
+            hitX = x;
+            bridge = a.x > b.x ? i : (i + 1) % polygon.length;
+        }
+    });
+    if (bridge < 0) return polygon;
+
+    // Vertices inside the triangle between the ray and the candidate could
+    // hide it; the one closest in angle to the ray is visible
+    const hit = { x: hitX, y: M.y };
+    const candidate = polygon[bridge];
+    let bestAngle = Infinity;
+    polygon.forEach((p, i) => {
+        if (p === candidate || !inTriangle(p, M, hit, candidate)) return;
+        const angle = Math.abs(Math.atan2(p.y - M.y, p.x - M.x));
+        if (angle < bestAngle) {
+            bestAngle = angle;
+            bridge = i;
+        }
+    });
+
+    return [
+        ...polygon.slice(0, bridge + 1),
+        ...hole.slice(m),
+        ...hole.slice(0, m + 1),
+        ...polygon.slice(bridge),
+    ];
+}
+
+/**
+ * Triangulate a counter-clockwise simple polygon by ear clipping
+ */
+function earClip(polygon) {
+    const triangles = [];
+    const remaining = [...polygon];
+
+    while (remaining.length > 3) {
+        const count = remaining.length;
+        let ear = -1;
+        for (let i = 0; i < count && ear < 0; i++) {
+            const a = remaining[(i + count - 1) % count];
+            const b = remaining[i];
+            const c = remaining[(i + 1) % count];
+            if (cross2D(a, b, c) <= 0) continue;
+            const blocked = remaining.some(p => p !== a && p !== b && p !== c && inTriangle(p, a, b, c));
+            if (!blocked) ear = i;
+        }
+
+        if (ear < 0) {
+            // Only flat corners are left (rounding): drop the flattest
+            let flattest = 0;
+            for (let i = 1; i < count; i++) {
+                const flatness = j => Math.abs(cross2D(remaining[(j + count - 1) % count], remaining[j], remaining[(j + 1) % count]));
+                if (flatness(i) < flatness(flattest)) flattest = i;
+            }
+            remaining.splice(flattest, 1);
+            continue;
+        }
+
+        triangles.push([remaining[(ear + count - 1) % count], remaining[ear], remaining[(ear + 1) % count]]);
+        remaining.splice(ear, 1);
+    }
+
+    if (remaining.length === 3 && cross2D(remaining[0], remaining[1], remaining[2]) > 0) {
+        triangles.push(remaining);
+    }
+    return triangles;
+}
+
+/**
+ * Keep the part of a convex polygon on the negative side of a plane
+ */
+function clipPolygon(polygon, plane) {
+    const side = polygon.map(p => plane.signedDistance(p));
+    if (side.every(s => s < 0)) return polygon;
+
+    const result = [];
+    for (let i = 0; i < polygon.length; i++) {
+        const j = (i + 1) % polygon.length;
+        if (side[i] < 0) result.push(polygon[i]);
+        if ((side[i] < 0) !== (side[j] < 0)) {
+            const t = side[i] / (side[i] - side[j]);
+            result.push(polygon[i].add(polygon[j].sub(polygon[i]).scale(t)));
+        }
+    }
+    return result;
+}
+
+/**
+ * Planes and corner loops of the non-degenerate faces of a cell
+ */
+function getCellFaces(cell) {
+    const size = Math.cbrt(Math.max(cell.getVolume(), 0));
+    const properties = cell.getFaceProperties();
+    const faces = [];
+    cell.faces.forEach((face, f) => {
+        const { area, normal, centroid } = properties[f];
+        if (area <= 1e-18 * size * size) return;
+        faces.push({
+            plane: Plane.fromPointAndNormal(centroid, normal),
+            polygon: face.map(v => cell.vertices[v]),
+            neighbor: cell.faceNeighbors[f],
+        });
+    });
+    return faces;
+}
+
+/**
+ * Mesh triangles with their planes and bounds, skipping degenerate ones
+ */
+function getTriangles(mesh, vertices) {
+    const triangles = [];
+    for (let t = 0; t < mesh.indices.length; t += 3) {
+        const indices = [mesh.indices[t], mesh.indices[t + 1], mesh.indices[t + 2]];
+        const corners = indices.map(i => vertices[i]);
+        const normal = corners[1].sub(corners[0]).cross(corners[2].sub(corners[0]));
+        if (normal.length() === 0) continue;
+        triangles.push({
+            indices,
+            corners,
+            plane: Plane.fromPointAndNormal(corners[0], normal),
+            ...getPointBounds(corners),
+        });
+    }
+    return triangles;
+}
+
+/**
+ * Mesh positions as Vec3 vertices
+ */
+function toVertices(mesh) {
+    const vertices = [];
+    for (let i = 0; i < mesh.positions.length; i += 3) {
+        vertices.push(new Vec3(mesh.positions[i], mesh.positions[i + 1], mesh.positions[i + 2]));
+    }
+    return vertices;
+}
+
+/**
+ * Largest extent of a mesh's bounds
+ */
+function getMeshSize(mesh) {
+    const { min, max } = getMeshBounds(mesh);
+    return Math.max(max.x - min.x, max.y - min.y, max.z - min.z);
+}
+
+/**
+ * Axis-aligned bounds of points
+ */
+function getPointBounds(points) {
+    const min = new Vec3(Infinity, Infinity, Infinity);
+    const max = new Vec3(-Infinity, -Infinity, -Infinity);
+    for (const p of points) {
+        min.x = Math.min(min.x, p.x);
+        min.y = Math.min(min.y, p.y);
+        min.z = Math.min(min.z, p.z);
+        max.x = Math.max(max.x, p.x);
+        max.y = Math.max(max.y, p.y);
+        max.z = Math.max(max.z, p.z);
+    }
+    return { min, max };
+}
+
+/**
+ * Whether a box { min, max } overlaps the box min, max
+ */
+function boundsOverlap(box, min, max) {
+    return box.min.x <= max.x && box.max.x >= min.x &&
+        box.min.y <= max.y && box.max.y >= min.y &&
+        box.min.z <= max.z && box.max.z >= min.z;
+}
+
+/**
+ * Twice the signed area of the triangle a, b, c (positive if counter-clockwise)
+ */
+function cross2D(a, b, c) {
+    return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+}
+
+/**
+ * Point at parameter t from a to b
+ */
+function lerp2D(a, b, t) {
+    return { x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y) };
+}
+
+/**
+ * Distance between two points of the plane
+ */
+function distance2D(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Signed area of a loop (positive if counter-clockwise)
+ */
+function getSignedArea(loop) {
+    let area = 0;
+    loop.forEach((p, i) => {
+        const q = loop[(i + 1) % loop.length];
+        area += p.x * q.y - q.x * p.y;
+    });
+    return area / 2;
+}
+
+/**
+ * Whether a point is inside a triangle of either orientation (or on its edges)
+ */
+function inTriangle(p, a, b, c) {
+    const d1 = cross2D(a, b, p);
+    const d2 = cross2D(b, c, p);
+    const d3 = cross2D(c, a, p);
+    const negative = d1 < 0 || d2 < 0 || d3 < 0;
+    const positive = d1 > 0 || d2 > 0 || d3 > 0;
+    return !(negative && positive);
+}
+
+/**
+ * Whether a point is inside a loop (even-odd rule)
+ */
+function containsPoint2D(loop, point) {
+    let inside = false;
+    loop.forEach((a, i) => {
+        const b = loop[(i + 1) % loop.length];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < a.x + ((point.y - a.y) * (b.x - a.x)) / (b.y - a.y)) {
+            inside = !inside;
+        }
+    });
+    return inside;
+}
@@ -0,0 +1,324 @@
+/**
+ * Incremental Voronoi Tessellation
+ *
+ * Keeps a tessellation up to date while single seeds are inserted,
+ * removed or moved, recomputing only the cells that can change: a cell's
+ * shape depends on its neighbors alone, so an edit only affects the
+ * cells adjacent to the edited seed before or after the edit.
+ *
+ * Seeds are identified by stable ids instead of array indices (ids never
+ * shift when a seed is removed), and face neighbors refer to those ids.
+ * Every edit emits a 'change' event listing the cells that were added,
+ * removed or actually changed shape, so views only rebuild those.
+ *
+ * The seeds are kept in one array with a DynamicSpatialGrid over it that
+ * lives as long as the tessellation, so an edit costs the few cells it
+ * touches rather than a new grid over every seed. Removing a seed moves
+ * the last one into its slot; ids never change.
+ */
+
+import { computeVoronoiCells, hasSeedWeight, ConvexPolyhedron } from './voronoi3d.js';
+import { DynamicSpatialGrid } from './spatialGrid.js';
+
+/**
+ * Tessellation supporting single-seed edits with change events
+ */
+export class IncrementalVoronoi {
+    /**
+     * @param {Array<{x, y, z}>} seeds - Initial seeds, given ids 0..n-1
+     * @param {Object} bounds - Bounding box for the tessellation (seeds must stay inside it)
+     * @param {number} padding - Padding around the bounds
+     * @param {Object} options - Options passed to computeVoronoiCells (periodic, walls, robust)
+     * @param {Array} options.cells - Output of computeVoronoiCells for the initial seeds,
+     *        if already computed
+     */
+    constructor(seeds, bounds, padding = 0.5, options = {}) {
+        const { cells = null, ...voronoiOptions } = options;
+
+        this.bounds = bounds;
+        this.padding = padding;
+        this.options = voronoiOptions;
+
+        this.seeds = new Map();  // id -> seed
+        this.cellsById = new Map();  // id -> { id, index, seed, cell, neighbors }
+        this.hiddenIds = new Set();  // Seeds inside the walls without a cell (power diagrams)
+        this.listeners = new Map();  // event type -> Set of listeners
+        this.nextId = 0;
+        this.weightedCount = 0;
+
+        // Seeds by array position, as computeVoronoiCells and the grid see them
+        this.points = [];
+        this.idAt = [];
+        this.positionOf = new Map();
+
+        for (const seed of seeds) {
+            const id = this.nextId++;
+            this.seeds.set(id, seed);
+            this.positionOf.set(id, this.points.length);
+            this.idAt.push(id);
+            this.points.push(seed);
+            if (hasSeedWeight(seed)) this.weightedCount++;
+        }
+
+        const box = bounds instanceof ConvexPolyhedron ? null : {
+            min: { x: bounds.min.x - padding, y: bounds.min.y - padding, z: bounds.min.z - padding },
+            max: { x: bounds.max.x + padding, y: bounds.max.y + padding, z: bounds.max.z + padding },
+        };
+        this.grid = new DynamicSpatialGrid(this.points, {
+            bounds: box,
+            periodic: voronoiOptions.periodic,
+        });
+
+        const entries = cells
+            ? cells.map(({ seed, index, cell }) => ({ id: index, index, seed, cell, neighbors: cell.getNeighbors() }))
+            : this.computeCells([...this.seeds.keys()]);
+        for (const entry of entries) {
+            this.cellsById.set(entry.id, entry);
+        }
+        for (const id of this.seeds.keys()) {
+            if (!this.cellsById.has(id) && this.isInside(id)) this.hiddenIds.add(id);
+        }
+    }
+
+    /**
+     * All current cells, ordered by seed id. `index` is the seed id.
+     */
+    get cells() {
+        return [...this.cellsById.values()].sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Get the cell of a seed (undefined if the seed has no cell)
+     */
+    getCell(id) {
+        return this.cellsById.get(id);
+    }
+
+    /**
+     * Add a seed
+     * @returns {number} Id of the new seed
+     */
+    insert(seed) {
+        const id = this.nextId++;
+        this.seeds.set(id, seed);
+        this.positionOf.set(id, this.points.length);
+        this.idAt.push(id);
+        this.grid.set(this.points.length, seed);
+        if (hasSeedWeight(seed)) this.weightedCount++;
+
+        // The new cell's neighbors are exactly the cells it takes space from
+        const [entry] = this.computeCells([id]);
+        const affected = entry ? entry.neighbors.filter(n => n >= 0 && n !== id) : [];
+
+        this.applyChanges([id], this.withSwallowedCells(affected), [], entry);
+        return id;
+    }
+
+    /**
+     * Remove a seed; its neighbors grow into its space
+     */
+    remove(id) {
+        if (!this.seeds.has(id)) return;
+
+        const affected = this.getNeighborIds(id);
+        if (hasSeedWeight(this.seeds.get(id))) this.weightedCount--;
+        this.seeds.delete(id);
+
+        // Fill the slot with the last seed
+        const position = this.positionOf.get(id);
+        const last = this.points.length - 1;
+        if (position !== last) {
+            const lastId = this.idAt[last];
+            this.grid.set(position, this.points[last]);
+            this.idAt[position] = lastId;
+            this.positionOf.set(lastId, position);
+        }
+        this.grid.pop();
+        this.idAt.pop();
+        this.positionOf.delete(id);
+
+        this.applyChanges([], [...affected, ...this.getHiddenIds()], [id]);
+    }
+
+    /**
+     * Move a seed to a new position (other seed fields, such as radius, are kept)
+     */
+    move(id, position) {
+        const seed = this.seeds.get(id);
+        if (!seed) return;
+
+        const oldNeighbors = this.getNeighborIds(id);
+        const moved = { ...seed, x: position.x, y: position.y, z: position.z };
+        this.seeds.set(id, moved);
+        this.grid.set(this.positionOf.get(id), moved);
+
+        const [entry] = this.computeCells([id]);
+        const newNeighbors = entry ? entry.neighbors.filter(n => n >= 0 && n !== id) : [];
+
+        this.applyChanges(
+            [],
+            [id, ...oldNeighbors, ...this.withSwallowedCells(newNeighbors), ...this.getHiddenIds()],
+            [],
+            entry
+        );
+    }
+
+    /**
+     * Listen for 'change' events: { added, updated, removed } where added
+     * and updated list cell entries and removed lists seed ids
+     */
+    on(type, listener) {
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+        this.listeners.get(type).add(listener);
+    }
+
+    /**
+     * Stop listening for an event
+     */
+    off(type, listener) {
+        this.listeners.get(type)?.delete(listener);
+    }
+
+    /**
+     * Call every listener of an event
+     */
+    emit(type, event) {
+        for (const listener of this.listeners.get(type) ?? []) {
+            listener(event);
+        }
+    }
+
+    /**
+     * Recompute the given cells, store them and emit the resulting change
+     * @param {Array<number>} insertedIds - Seeds inserted by this edit
+     * @param {Array<number>} affectedIds - Existing seeds whose cells may have changed
+     * @param {Array<number>} removedIds - Seeds removed by this edit
+     * @param {Object} known - Cell already computed against the edited seeds, if any
+     */
+    applyChanges(insertedIds, affectedIds, removedIds, known = null) {
+        const targets = [...new Set([...insertedIds, ...affectedIds])]
+            .filter(id => this.seeds.has(id));
+        const recomputed = new Map(this.computeCells(targets.filter(id => id !== known?.id))
+            .map(entry => [entry.id, entry]));
+        if (known) recomputed.set(known.id, known);
+
+        const change = { added: [], updated: [], removed: [] };
+
+        for (const id of removedIds) {
+            this.hiddenIds.delete(id);
+            if (this.cellsById.delete(id)) change.removed.push(id);
+        }
+
+        for (const id of targets) {
+            const entry = recomputed.get(id);
+            const previous = this.cellsById.get(id);
+
+            if (entry) {
+                this.hiddenIds.delete(id);
+            } else if (this.isInside(id)) {
+                this.hiddenIds.add(id);
+            }
+
+            if (!entry) {
+                // Moved outside the walls or (power diagrams) vanished
+                if (previous) {
+                    this.cellsById.delete(id);
+                    change.removed.push(id);
+                }
+            } else if (!previous) {
+                this.cellsById.set(id, entry);
+                change.added.push(entry);
+            } else if (entry.seed !== previous.seed || !sameCell(entry.cell, previous.cell)) {
+                this.cellsById.set(id, entry);
+                change.updated.push(entry);
+            }
+        }
+
+        this.emit('change', change);
+    }
+
+    /**
+     * Compute the cells of some seeds against all current seeds
+     * @param {Array<number>} ids - Seed ids
+     * @returns {Array<{id, index, seed, cell, neighbors}>} Cells with neighbors as seed ids
+     */
+    computeCells(ids) {
+        if (ids.length === 0) return [];
+
+        const results = computeVoronoiCells(this.points, this.bounds, this.padding, {
+            ...this.options,
+            grid: this.grid,
+            seedIndices: ids.map(id => this.positionOf.get(id)),
+        });
+
+        // Translate array positions back to seed ids
+        const toId = (n) => (n !== null && n >= 0 ? this.idAt[n] : n);
+        return results.map(({ seed, index, cell }) => {
+            cell.faceNeighbors = cell.faceNeighbors.map(toId);
+            const id = this.idAt[index];
+            return { id, index: id, seed, cell, neighbors: cell.getNeighbors() };
+        });
+    }
+
+    /**
+     * Seed ids of the current neighbors of a cell
+     */
+    getNeighborIds(id) {
+        const entry = this.cellsById.get(id);
+        return entry ? entry.neighbors.filter(n => n >= 0 && n !== id) : [];
+    }
+
+    /**
+     * Check whether the tessellation is a power diagram
+     */
+    isWeighted() {
+        return this.weightedCount > 0;
+    }
+
+    /**
+     * In a power diagram a new cell can swallow a cell whole, which then
+     * isn't its neighbor; it was a neighbor of one of the new neighbors
+     * though, so add those cells' current neighbors too
+     */
+    withSwallowedCells(ids) {
+        if (!this.isWeighted()) return ids;
+        return [...ids, ...ids.flatMap(id => this.getNeighborIds(id))];
+    }
+
+    /**
+     * Ids of power diagram seeds without a cell, which may reappear when
+     * another seed moves away or is removed
+     */
+    getHiddenIds() {
+        return this.isWeighted() ? [...this.hiddenIds] : [];
+    }
+
+    /**
+     * Check whether a seed lies inside all walls
+     */
+    isInside(id) {
+        const seed = this.seeds.get(id);
+        return (this.options.walls ?? []).every(wall => wall.contains(seed));
+    }
+}
+
+/**
+ * Check whether two cells have exactly the same geometry and neighbors
+ */
+function sameCell(a, b) {
+    if (a.vertices.length !== b.vertices.length || a.faces.length !== b.faces.length) {
+        return false;
+    }
+    for (let i = 0; i < a.vertices.length; i++) {
+        const u = a.vertices[i], v = b.vertices[i];
+        if (u.x !== v.x || u.y !== v.y || u.z !== v.z) return false;
+    }
+    for (let f = 0; f < a.faces.length; f++) {
+        if (a.faceNeighbors[f] !== b.faceNeighbors[f]) return false;
+        if (a.faces[f].length !== b.faces[f].length) return false;
+        for (let k = 0; k < a.faces[f].length; k++) {
+            if (a.faces[f][k] !== b.faces[f][k]) return false;
+        }
+    }
+    return true;
+}
@@ -0,0 +1,180 @@
+/**
+ * Lloyd Relaxation (Centroidal Voronoi Tessellation)
+ *
+ * Repeatedly moves every seed towards the centroid of its Voronoi cell
+ * and re-tessellates. The CVT energy (sum over cells of the second moment
+ * about the seed) decreases each iteration, and the cells settle into the
+ * regular, foam-like shapes of a centroidal Voronoi tessellation.
+ *
+ * step() tessellates on the calling thread; stepAsync() takes the
+ * tessellation function, so the viewer can run it in its worker pool.
+ */
+
+import { computeVoronoiCells } from './voronoi3d.js';
+
+/**
+ * Compute the CVT energy of a tessellation: Σ ∫_cell |x - seed|² dV
+ * @param {Array<{seed, cell}>} cells - Output from computeVoronoiCells
+ * @returns {number} Total energy
+ */
+export function computeTessellationEnergy(cells) {
+    let energy = 0;
+
+    for (const { seed, cell } of cells) {
+        // ∫|x - c|² dV is half the trace of the inertia tensor about the
+        // centroid c; the parallel axis theorem shifts it to the seed
+        const inertia = cell.getInertiaTensor();
+        const volume = cell.getVolume();
+        const c = cell.getCentroid();
+        const offsetSq = (c.x - seed.x) ** 2 + (c.y - seed.y) ** 2 + (c.z - seed.z) ** 2;
+        energy += (inertia[0][0] + inertia[1][1] + inertia[2][2]) / 2 + volume * offsetSq;
+    }
+
+    return energy;
+}
+
+/**
+ * Iterative Lloyd relaxation driver built on computeVoronoiCells
+ */
+export class LloydRelaxation {
+    /**
+     * @param {Array<{x, y, z}>} seeds - Initial seed points (copied, extra fields kept)
+     * @param {Object} bounds - Bounding box for the tessellation
+     * @param {number} padding - Padding around the bounds
+     * @param {Object} options - Relaxation options
+     * @param {number} options.maxIterations - Iteration count after which to stop
+     * @param {number} options.tolerance - Stop once no seed moves further than this
+     * @param {number} options.damping - Fraction of the way to the centroid each step (0-1]
+     * @param {Object} options.voronoiOptions - Options passed through to computeVoronoiCells
+     * @param {Array} options.cells - Tessellation of the initial seeds, if already computed
+     */
+    constructor(seeds, bounds, padding = 0.5, options = {}) {
+        const {
+            maxIterations = 50,
+            tolerance = 1e-4,
+            damping = 1.0,
+            voronoiOptions = {},
+            cells = null,
+        } = options;
+
+        this.bounds = bounds;
+        this.padding = padding;
+        this.maxIterations = maxIterations;
+        this.tolerance = tolerance;
+        this.damping = damping;
+        this.voronoiOptions = voronoiOptions;
+
+        this.seeds = seeds.map(seed => ({ ...seed }));
+        this.cells = cells ?? computeVoronoiCells(this.seeds, bounds, padding, voronoiOptions);
+        this.iteration = 0;
+        this.energyHistory = [computeTessellationEnergy(this.cells)];
+        this.lastDisplacement = Infinity;
+        this.converged = false;
+    }
+
+    /**
+     * Move every seed towards its cell centroid and re-tessellate
+     * @returns {{iteration: number, energy: number, maxDisplacement: number, converged: boolean}}
+     */
+    step() {
+        if (this.converged) {
+            return this.getStatus();
+        }
+
+        const { seeds, maxDisplacement } = this.getNextSeeds();
+        const cells = computeVoronoiCells(seeds, this.bounds, this.padding, this.voronoiOptions);
+        return this.advance(seeds, cells, maxDisplacement);
+    }
+
+    /**
+     * Like step, but tessellates with the given function. The relaxation
+     * only changes once it resolves, so a rejected step leaves it as it was.
+     * @param {Function} compute - Called like computeVoronoiCells, returns a promise of the cells
+     * @returns {Promise<Object>} The status, as from step
+     */
+    async stepAsync(compute) {
+        if (this.converged) {
+            return this.getStatus();
+        }
+
+        const { seeds, maxDisplacement } = this.getNextSeeds();
+        const cells = await compute(seeds, this.bounds, this.padding, this.voronoiOptions);
+        return this.advance(seeds, cells, maxDisplacement);
+    }
+
+    /**
+     * Move a copy of every seed towards its cell centroid
+     * @returns {{seeds: Array, maxDisplacement: number}}
+     */
+    getNextSeeds() {
+        const nextSeeds = this.seeds.map(seed => ({ ...seed }));
+        let maxDisplacement = 0;
+
+        // Seeds without a cell (outside the walls, vanished power cells) stay put
+        for (const { index, cell } of this.cells) {
+            const seed = this.seeds[index];
+            const centroid = cell.getCentroid();
+            const dx = this.damping * (centroid.x - seed.x);
+            const dy = this.damping * (centroid.y - seed.y);
+            const dz = this.damping * (centroid.z - seed.z);
+
+            nextSeeds[index] = this.wrapPeriodic({ ...seed, x: seed.x + dx, y: seed.y + dy, z: seed.z + dz });
+            maxDisplacement = Math.max(maxDisplacement, Math.sqrt(dx * dx + dy * dy + dz * dz));
+        }
+
+        return { seeds: nextSeeds, maxDisplacement };
+    }
+
+    /**
+     * Take the moved seeds and their tessellation as the next iteration
+     */
+    advance(seeds, cells, maxDisplacement) {
+        this.seeds = seeds;
+        this.cells = cells;
+        this.energyHistory.push(computeTessellationEnergy(this.cells));
+        this.iteration++;
+        this.lastDisplacement = maxDisplacement;
+        this.converged = maxDisplacement < this.tolerance || this.iteration >= this.maxIterations;
+
+        return this.getStatus();
+    }
+
+    /**
+     * Step until converged or out of iterations
+     */
+    run() {
+        while (!this.converged) {
+            this.step();
+        }
+        return this.getStatus();
+    }
+
+    /**
+     * Get the current iteration, energy and convergence state
+     */
+    getStatus() {
+        return {
+            iteration: this.iteration,
+            energy: this.energyHistory[this.energyHistory.length - 1],
+            maxDisplacement: this.lastDisplacement,
+            converged: this.converged,
+        };
+    }
+
+    /**
+     * Wrap a seed back into the box along periodic axes (centroids of
+     * wrapping cells can lie outside it)
+     */
+    wrapPeriodic(seed) {
+        const periodic = this.voronoiOptions.periodic;
+        if (!periodic) return seed;
+
+        for (const axis of ['x', 'y', 'z']) {
+            if (!periodic[axis]) continue;
+            const min = this.bounds.min[axis] - this.padding;
+            const length = this.bounds.max[axis] + this.padding - min;
+            seed[axis] = min + ((((seed[axis] - min) % length) + length) % length);
+        }
+        return seed;
+    }
+}
@@ -8,18 +8,65 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { generateHoneycombPoints } from './hexGrid.js';
-import { computeVoronoiCells, cellToMeshData } from './voronoi3d.js';
+import { cellToMeshData } from './voronoi3d.js';
+import { VoronoiWorkerPool } from './voronoiWorkerPool.js';
+import { packCells } from './cellBuffers.js';
+import { validateTessellation } from './validation.js';
+import { CellLocator } from './cellLocator.js';
+import { traceRay } from './rayTraversal.js';
+import { computeCrossSection, sectionToSVG } from './crossSection.js';
+import { CellComplex } from './cellComplex.js';
+import { createInsetMesh, createStrutMesh, meshToSTL } from './printableMesh.js';
+import { computeVoronoiIndexStatistics } from './voronoiIndex.js';
+import { classifyStructures, STRUCTURE_TYPES } from './structureTypes.js';
+import { computeSphericalVoronoi, findSphericalShells, getAreaDistribution } from './sphericalVoronoi.js';
+import { fragmentsToOBJ } from './fracture.js';
+import {
+    createShapeMesh,
+    fitMeshToBounds,
+    getMeshVolume,
+    isClosedMesh,
+    parseOBJ,
+    parseSTL,
+    weldMesh,
+} from './triangleMesh.js';
+import { TaskRunner } from './taskRunner.js';
+import { subdivideCells, getLeafCells } from './subdivision.js';
+import { CellGraph } from './cellGraph.js';
 import { 
     createPointsGroup, 
     createVoronoiCellsGroup, 
+    createDelaunayEdgesGroup,
+    createProbeRayGroup,
+    createSectionGroup,
+    createSphericalVoronoiGroup,
+    createFragmentGroup,
+    colorCells,
+    disposeGroup,
+    createCellMesh,
     createLighting,
     createReferenceGrid,
     COLORS,
     getThemeForDistribution,
     THEME_PALETTES
 } from './cellRenderer.js';
-import { initUI } from './ui.js';
+import {
+    initUI,
+    updateRelaxationPanel,
+    updateValidationPanel,
+    updateCursorCell,
+    updateProbePanel,
+    updateShapePanel,
+    updateStructurePanel,
+    updateSurfacePanel,
+    updateFracturePanel,
+    updateSubdivisionPanel,
+    updateNeighborPanel,
+} from './ui.js';
 import { generatePoints, DISTRIBUTIONS } from './pointDistributions.js';
+import { createContainerWalls, getWallPadding } from './walls.js';
+import { LloydRelaxation } from './lloyd.js';
+import { IncrementalVoronoi } from './incrementalVoronoi.js';
 
 /**
  * Helper to convert hex color to rgba
@@ -39,16 +86,104 @@ function hexToRgba(hex, alpha = 1) {
 const state = {
     gridSize: 6,
     layerSpacing: 1.0,
+    stretch: 1.0, // Elongation of the cells along z (anisotropic metric)
+    printThickness: 0.08, // Wall thickness and strut diameter of printable meshes
     showPoints: true,
     showCells: true,
+    showDelaunay: false,
+    showSurface: false, // Spherical Voronoi on the spheres the seeds lie on, instead of the 3D cells
+    showFracture: false, // Fragments of a mesh shattered by the seeds, instead of the 3D cells
+    showValidation: false,
+    clipping: false,
+    probing: false,
+    showNeighbors: false, // Clicking a cell colors its neighbor shells in the adjacency graph
+    editingSeeds: false, // Clicking the clipping plane adds or moves seeds
     points: null,
     voronoiCells: null,
     currentDistribution: 'honeycomb', // Current active distribution
+    containerShape: 'box', // 'box', 'sphere' or 'cylinder'
+    colorMode: 'palette', // 'palette' or 'structure' (crystal structure of each seed)
+    fractureShape: 'sphere', // 'box', 'sphere', 'torus' or 'import' (the loaded mesh)
+    subdivisionLevels: 0, // Levels of recursive subdivision shown in place of the cells (0 for none)
+    tessellation: null, // Bounding box, padding and options of the current tessellation
+    relaxationPlaying: false,
+    panelVisible: true, // Info panel shown (its statistics are only computed then)
 };
 
 // Three.js components
 let scene, camera, renderer, controls;
-let pointsGroup, cellsGroup, gridGroup;
+let pointsGroup, cellsGroup, delaunayGroup, surfaceGroup, fractureGroup, subdivisionGroup, gridGroup;
+
+// Clipping plane (keeps z below the plane), its drag handle and section
+// caps, and the cell under the cursor on it
+const clipPlane = new THREE.Plane(new THREE.Vector3(0, 0, -1), 0);
+const raycaster = new THREE.Raycaster();
+let clipHandle = null;
+let sectionGroup = null;
+let clipDrag = null;
+let locator = null;
+let hoverGroup = null;
+let hoveredIndex = null;
+
+// Probe ray picked with a click, and the cells it crosses
+let probeRay = null;
+let probeGroup = null;
+let pointerDownAt = null;
+
+// Tessellation following seed edits, set up on the first edit so the
+// cells group only rebuilds the cells an edit changes
+let seedEditor = null;
+
+// Adjacency graph of the current cells, the cell picked to show its
+// neighbor shells, and a second cell to show the shortest path to
+let cellGraph = null;
+let selectedCell = null;
+let pathTarget = null;
+
+// Colors of the picked cell and its first and second neighbor shells,
+// and of the path to the second picked cell
+const SHELL_COLORS = [0xfacc15, 0xf97316, 0x38bdf8];
+const PATH_COLOR = 0xa855f7;
+
+// Cell highlights by seed index: neighbor shells and path, and the cells
+// validation found broken (drawn over the shells)
+let shellColors = new Map();
+let brokenCells = [];
+const BROKEN_COLOR = 0xef4444;
+
+// Mesh loaded for fracturing, the fragments currently shown with their
+// summary, and the inputs they were computed from
+let importedMesh = null;
+let fragments = null;
+let fractureReport = null;
+let fractureInputs = null;
+const fractureRunner = new TaskRunner();
+
+// Recursive subdivision: seeds scattered in each subdivided cell, and the
+// share of cells subdivided at every level
+const SUBDIVISION_SEEDS = 5;
+const SUBDIVISION_SHARE = 0.5;
+
+// Leaves of the current subdivision and the inputs they were rolled from,
+// so re-rendering doesn't re-roll them
+let subdivisionLeaves = null;
+let subdivisionInputs = null;
+
+// Voronoi computation off the main thread
+const voronoiPool = new VoronoiWorkerPool();
+
+// Lloyd relaxation of the current points, tessellated in its own pool so
+// a step and a regeneration don't cancel each other
+let relaxation = null;
+let relaxationTimer = null;
+let relaxationStep = null;  // Promise of the step in flight
+let relaxationTicker = 0;  // Bumped to stop an earlier play loop
+const relaxationPool = new VoronoiWorkerPool();
+
+// Delaunay edges of the current cells, computed in the background
+let delaunayEdges = null;
+let delaunayCells = null;
+const delaunayRunner = new TaskRunner();
 
 /**
  * Initialize the Three.js scene
@@ -103,27 +238,25 @@ function initScene() {
     
     // Handle window resize
     window.addEventListener('resize', onWindowResize);
+    
+    // Pick the cell under the cursor on the clipping plane
+    renderer.domElement.addEventListener('pointermove', onPointerMove);
+    
+    // Shoot a probe ray with a click (not a drag of the orbit controls),
+    // or drag the clipping plane by its handle
+    renderer.domElement.addEventListener('pointerdown', onPointerDown);
+    renderer.domElement.addEventListener('pointerup', onPointerUp);
 }
 
 /**
- * Generate points and compute Voronoi cells
+ * Generate points and compute Voronoi cells in the worker pool
+ * @returns {Promise<boolean>} False if a newer request cancelled this one
  */
-function generateVisualization() {
-    // Remove existing groups
-    if (pointsGroup) {
-        scene.remove(pointsGroup);
-        pointsGroup = null;
-    }
-    if (cellsGroup) {
-        scene.remove(cellsGroup);
-        cellsGroup = null;
-    }
-    
-    // Get theme for current distribution
-    const theme = getThemeForDistribution(state.currentDistribution);
-    
-    // Apply theme to scene
-    applySceneTheme(theme);
+async function generateVisualization() {
+    // A new point set starts a new relaxation, and picked cells are gone
+    resetRelaxation();
+    selectedCell = null;
+    pathTarget = null;
     
     let points, boundingBox;
     
@@ -147,27 +280,87 @@ function generateVisualization() {
         boundingBox = result.boundingBox;
     }
     
-    state.points = points;
+    // Compute Voronoi cells. Round containers pad the box past the wall's
+    // extent so the wall, not the box, bounds the outer cells.
+    const walls = createContainerWalls(state.containerShape, points, 1.0);
     
-    // Create points visualization with themed colors
-    pointsGroup = createPointsGroup(state.points, {
-        radius: 0.06,
-        segments: 16,
-        pointColors: theme.points,
-    });
-    pointsGroup.visible = state.showPoints;
-    scene.add(pointsGroup);
+    // Perfect lattices put many vertices exactly on bisector planes
+    const isLattice = state.currentDistribution === 'honeycomb' ||
+        DISTRIBUTIONS[state.currentDistribution]?.category === 'crystalline';
     
-    // Compute Voronoi cells
-    state.voronoiCells = computeVoronoiCells(
-        state.points,
+    const tessellation = {
         boundingBox,
-        1.0  // padding
-    );
+        padding: getWallPadding(walls, boundingBox, 1.0),
+        options: {
+            walls,
+            robust: isLattice,
+            // Distances along z count less, so cells elongate along it
+            axisScale: { x: 1, y: 1, z: 1 / state.stretch },
+        },
+    };
+    
+    let cells;
+    try {
+        cells = await voronoiPool.compute(points, boundingBox, tessellation.padding, {
+            ...tessellation.options,
+            onProgress: updateLoadingProgress,
+        });
+    } catch (error) {
+        if (error.name === 'AbortError') return false;
+        throw error;
+    }
+    
+    // Relaxation steps taken meanwhile moved the old points
+    resetRelaxation();
+    seedEditor = null;
+    state.points = points;
+    state.voronoiCells = cells;
+    // Keep the container settings so relaxation re-tessellates inside the same one
+    state.tessellation = tessellation;
+    
+    // Get theme for current distribution and apply it to the scene
+    const theme = getThemeForDistribution(state.currentDistribution);
+    applySceneTheme(theme);
+    renderTessellation(theme);
     
-    // Create cells visualization with themed colors
+    // Log info
+    const distInfo = DISTRIBUTIONS[state.currentDistribution];
+    console.log(`Generated ${state.points.length} points (${distInfo?.name || state.currentDistribution})`);
+    console.log(`Computed ${state.voronoiCells.length} Voronoi cells`);
+    return true;
+}
+
+/**
+ * Recompute the visualization behind the loading overlay. A newer call
+ * cancels the computation still in flight, which leaves the overlay up.
+ */
+function regenerate() {
+    showLoading();
+    generateVisualization()
+        .then(completed => {
+            if (completed) hideLoading();
+        })
+        .catch(error => {
+            console.error('Voronoi computation failed:', error);
+            hideLoading();
+        });
+}
+
+/**
+ * Rebuild the point and cell groups from the current points and cells
+ */
+function renderTessellation(theme) {
+    if (cellsGroup) {
+        disposeGroup(cellsGroup);
+        cellsGroup = null;
+    }
+    renderPoints(theme);
+    
+    // Create cells visualization with themed colors, or colored by structure
+    // type. While seeds are edited the group follows the editor's changes.
+    const structures = state.colorMode === 'structure' ? classifyStructures(state.voronoiCells) : null;
     cellsGroup = createVoronoiCellsGroup(
-        state.voronoiCells,
+        seedEditor ?? state.voronoiCells,
         cellToMeshData,
         {
             fillOpacity: 0.25,
@@ -175,15 +368,294 @@ function generateVisualization() {
             showEdges: true,
             useVariedColors: true,
             colorPalette: theme.cells,
+            colorOf: structures && (entry => STRUCTURE_TYPES[structures.types.get(entry.index)]),
         }
     );
-    cellsGroup.visible = state.showCells;
     scene.add(cellsGroup);
+    updateCellsVisibility();
+    updateStructurePanel(structures && structures.counts);
     
-    // Log info
-    const distInfo = DISTRIBUTIONS[state.currentDistribution];
-    console.log(`Generated ${state.points.length} points (${distInfo?.name || state.currentDistribution})`);
-    console.log(`Computed ${state.voronoiCells.length} Voronoi cells`);
+    updateTessellationViews(theme);
+}
+
+/**
+ * Rebuild the points group from the current points
+ */
+function renderPoints(theme) {
+    if (pointsGroup) {
+        disposeGroup(pointsGroup);
+        pointsGroup = null;
+    }
+    
+    // Create points visualization with themed colors
+    pointsGroup = createPointsGroup(state.points, {
+        radius: 0.06,
+        segments: 16,
+        pointColors: theme.points,
+    });
+    pointsGroup.visible = state.showPoints;
+    scene.add(pointsGroup);
+}
+
+/**
+ * Bring everything derived from the cells, other than the cells group,
+ * up to date with them
+ */
+function updateTessellationViews(theme) {
+    updateDelaunayGroup(theme);
+    updateSurfaceGroup(theme);
+    updateFractureGroup(theme);
+    updateSubdivisionGroup(theme);
+    updateValidation();
+    updateCellShapes();
+    
+    // The cells changed, so the point locator, hovered cell and adjacency
+    // graph are stale
+    locator = null;
+    cellGraph = null;
+    setHoveredCell(null);
+    updateClipPlane();
+    updateProbe();
+    updateNeighborShells();
+}
+
+/**
+ * Rebuild the Delaunay edge overlay (only computed while it is shown,
+ * in the background whenever the cells change)
+ */
+function updateDelaunayGroup(theme) {
+    if (delaunayGroup) {
+        disposeGroup(delaunayGroup);
+        delaunayGroup = null;
+    }
+    if (!state.showDelaunay || !state.voronoiCells) {
+        delaunayRunner.cancel();
+        delaunayCells = null;
+        delaunayEdges = null;
+        return;
+    }
+    
+    if (delaunayCells !== state.voronoiCells) {
+        delaunayCells = state.voronoiCells;
+        delaunayEdges = null;
+        computeDelaunayEdges(delaunayCells);
+    }
+    if (!delaunayEdges) return;
+    
+    delaunayGroup = createDelaunayEdgesGroup(state.points, delaunayEdges, {
+        edgeColor: theme.points.layerB,
+    });
+    scene.add(delaunayGroup);
+}
+
+/**
+ * Compute the Delaunay edges of cells in the background and show them,
+ * unless the cells changed meanwhile
+ */
+function computeDelaunayEdges(cells) {
+    delaunayRunner.run('delaunay', { packed: packCells(cells), seeds: state.points })
+        .then(edges => {
+            if (delaunayCells !== cells) return;
+            delaunayEdges = edges;
+            updateDelaunayGroup(getThemeForDistribution(state.currentDistribution));
+        })
+        .catch(error => {
+            if (error.name !== 'AbortError') console.error('Delaunay computation failed:', error);
+        });
+}
+
+/**
+ * Rebuild the spherical Voronoi regions on every sphere the seeds lie on
+ */
+function updateSurfaceGroup(theme) {
+    if (surfaceGroup) {
+        disposeGroup(surfaceGroup);
+        surfaceGroup = null;
+    }
+    if (!state.showSurface || !state.points) {
+        updateSurfacePanel(null);
+        return;
+    }
+    
+    const diagrams = findSphericalShells(state.points).map(({ radius, indices }) =>
+        computeSphericalVoronoi(state.points, { radius, indices })
+    );
+    surfaceGroup = createSphericalVoronoiGroup(diagrams, {
+        colorPalette: theme.cells,
+        edgeColor: theme.points.layerB,
+    });
+    scene.add(surfaceGroup);
+    
+    updateSurfacePanel(diagrams.map(({ radius, regions, unbounded }) => ({
+        radius,
+        unbounded: unbounded.length,
+        distribution: getAreaDistribution(regions),
+    })));
+}
+
+/**
+ * Show the fragments of the fracture mesh, seeded by the current points.
+ * They are computed in the background, and again only once the points,
+ * the mesh or the container change.
+ */
+function updateFractureGroup(theme) {
+    if (fractureGroup) {
+        disposeGroup(fractureGroup);
+        fractureGroup = null;
+    }
+    if (!state.showFracture || !state.points || !state.tessellation) {
+        fractureRunner.cancel();
+        fractureInputs = null;
+        fragments = null;
+        updateFracturePanel(null);
+        return;
+    }
+    
+    const inputs = {
+        points: state.points,
+        shape: state.fractureShape,
+        mesh: importedMesh,
+        boundingBox: state.tessellation.boundingBox,
+    };
+    if (!fractureInputs || Object.keys(inputs).some(key => inputs[key] !== fractureInputs[key])) {
+        fractureInputs = inputs;
+        fragments = null;
+        computeFragments(inputs);
+    }
+    if (!fragments) {
+        updateFracturePanel({ pending: true });
+        return;
+    }
+    
+    fractureGroup = createFragmentGroup(fragments, { colorPalette: theme.cells });
+    scene.add(fractureGroup);
+    updateFracturePanel(fractureReport);
+}
+
+/**
+ * Fracture the mesh in the background and show the fragments, unless
+ * the inputs changed meanwhile
+ */
+function computeFragments(inputs) {
+    fractureRunner.run('fracture', { mesh: getFractureMesh(), seeds: inputs.points })
+        .then(result => {
+            if (fractureInputs !== inputs) return;
+            fragments = result.fragments;
+            fractureReport = {
+                convex: result.convex,
+                fragmentCount: fragments.length,
+                interiorCount: fragments.reduce((sum, { interior }) => sum + interior.filter(Boolean).length, 0),
+                rejectedCount: result.rejected.length,
+            };
+            updateFractureGroup(getThemeForDistribution(state.currentDistribution));
+        })
+        .catch(error => {
+            if (error.name !== 'AbortError') console.error('Fracture failed:', error);
+        });
+}
+
+/**
+ * The mesh to fracture, built in or imported, fitted into the points' bounding box
+ */
+function getFractureMesh() {
+    const source = state.fractureShape === 'import'
+        ? importedMesh
+        : createShapeMesh(state.fractureShape, { segments: 32 });
+    return fitMeshToBounds(source, state.tessellation.boundingBox);
+}
+
+/**
+ * Rebuild the recursively subdivided cells: every cell is split, then a
+ * random share of the new cells at each further level
+ */
+function updateSubdivisionGroup(theme) {
+    if (subdivisionGroup) {
+        disposeGroup(subdivisionGroup);
+        subdivisionGroup = null;
+    }
+    if (state.subdivisionLevels === 0 || !state.voronoiCells) {
+        subdivisionLeaves = null;
+        subdivisionInputs = null;
+        updateSubdivisionPanel(null);
+        return;
+    }
+    
+    const inputs = { cells: state.voronoiCells, levels: state.subdivisionLevels };
+    if (!subdivisionInputs || Object.keys(inputs).some(key => inputs[key] !== subdivisionInputs[key])) {
+        subdivisionInputs = inputs;
+        subdivisionLeaves = getLeafCells(subdivideCells(state.voronoiCells, {
+            levels: state.subdivisionLevels,
+            count: SUBDIVISION_SEEDS,
+            select: (entry, level) => level === 0 || Math.random() < SUBDIVISION_SHARE,
+        }));
+    }
+    const leaves = subdivisionLeaves;
+    subdivisionGroup = createVoronoiCellsGroup(leaves, cellToMeshData, {
+        fillOpacity: 0.25,
+        showFill: true,
+        showEdges: true,
+        useVariedColors: true,
+        colorPalette: theme.cells,
+    });
+    scene.add(subdivisionGroup);
+    updateCellsVisibility();
+    
+    const levelCounts = new Array(state.subdivisionLevels + 1).fill(0);
+    for (const { level } of leaves) levelCounts[level]++;
+    updateSubdivisionPanel({ cellCount: leaves.length, levelCounts });
+}
+
+/**
+ * Show the cells unless hidden or replaced by the surface, fracture or
+ * subdivision view
+ */
+function updateCellsVisibility() {
+    const visible = state.showCells && !state.showSurface && !state.showFracture;
+    if (cellsGroup) {
+        cellsGroup.visible = visible && state.subdivisionLevels === 0;
+    }
+    if (subdivisionGroup) {
+        subdivisionGroup.visible = visible;
+    }
+}
+
+/**
+ * Show the most common cell shapes (Voronoi indices) in the info panel
+ */
+function updateCellShapes() {
+    if (!state.panelVisible || !state.voronoiCells) return;
+    
+    // Cells on or next to the container don't show the bulk structure, so
+    // only the interior ones count (small lattices have none)
+    updateShapePanel(computeVoronoiIndexStatistics(state.voronoiCells, { interiorOnly: true }));
+}
+
+/**
+ * Validate the current tessellation and highlight broken cells (only while
+ * the debug panel is shown)
+ */
+function updateValidation() {
+    if (!state.showValidation || !state.voronoiCells) {
+        brokenCells = [];
+        updateCellColors();
+        updateValidationPanel(null);
+        return;
+    }
+    
+    const { boundingBox, padding, options } = state.tessellation;
+    const report = validateTessellation(state.voronoiCells, {
+        bounds: boundingBox,
+        padding,
+        walls: options.walls,
+    });
+    
+    brokenCells = report.brokenCells;
+    updateCellColors();
+    updateValidationPanel(report);
+    
+    if (!report.valid) {
+        console.warn('Tessellation validation failed:', report);
+    }
 }
 
 /**
@@ -230,6 +702,368 @@ function onWindowResize() {
     renderer.setSize(window.innerWidth, window.innerHeight);
 }
 
+/**
+ * Center the clipping plane on the current bounding box
+ */
+function updateClipPlane() {
+    if (!state.tessellation) return;
+    const { boundingBox } = state.tessellation;
+    clipPlane.constant = (boundingBox.min.z + boundingBox.max.z) / 2;
+    updateSection();
+}
+
+/**
+ * Get the range the clipping plane can be dragged over (the padded box)
+ */
+function getClipRange() {
+    const { boundingBox, padding } = state.tessellation;
+    return { min: boundingBox.min.z - padding, max: boundingBox.max.z + padding };
+}
+
+/**
+ * Rebuild the clipping plane's drag handle and the capped cross-section
+ */
+function updateSection() {
+    if (sectionGroup) {
+        disposeGroup(sectionGroup);
+        sectionGroup = null;
+    }
+    if (clipHandle) {
+        disposeGroup(clipHandle);
+        clipHandle = null;
+    }
+    if (!state.clipping || !state.voronoiCells) return;
+    
+    const z = clipPlane.constant;
+    const { boundingBox, padding } = state.tessellation;
+    const theme = getThemeForDistribution(state.currentDistribution);
+    const fillColors = new Map(cellsGroup.children.map(mesh => [mesh.userData.seedIndex, mesh.userData.fillColor]));
+    
+    // Caps sit just below the plane, on the side it keeps
+    sectionGroup = createSectionGroup(getSection(), {
+        colorOf: polygon => fillColors.get(polygon.index) ?? COLORS.cellFill,
+        offset: -1e-3,
+    });
+    scene.add(sectionGroup);
+    
+    // Outline of the plane over the padded box, grabbed to drag the plane
+    const width = boundingBox.max.x - boundingBox.min.x + 2 * padding;
+    const height = boundingBox.max.y - boundingBox.min.y + 2 * padding;
+    clipHandle = new THREE.Mesh(
+        new THREE.PlaneGeometry(width, height),
+        new THREE.MeshBasicMaterial({
+            color: theme.points.layerB,
+            transparent: true,
+            opacity: 0.08,
+            side: THREE.DoubleSide,
+            depthWrite: false,
+        })
+    );
+    clipHandle.add(new THREE.LineSegments(
+        new THREE.EdgesGeometry(clipHandle.geometry),
+        new THREE.LineBasicMaterial({ color: theme.points.layerB })
+    ));
+    clipHandle.position.set(
+        (boundingBox.min.x + boundingBox.max.x) / 2,
+        (boundingBox.min.y + boundingBox.max.y) / 2,
+        z - 2e-3
+    );
+    scene.add(clipHandle);
+}
+
+/**
+ * Cross-section of the current cells along the clipping plane, seen from above
+ */
+function getSection() {
+    return computeCrossSection(state.voronoiCells, {
+        point: { x: 0, y: 0, z: clipPlane.constant },
+        normal: { x: 0, y: 0, z: 1 },
+    });
+}
+
+/**
+ * Point the raycaster along the view ray under the cursor
+ */
+function setRaycasterFromEvent(event) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(pointer, camera);
+}
+
+/**
+ * Height on the vertical line through the drag start that comes closest
+ * to the view ray under the cursor
+ */
+function getDragHeight(anchor) {
+    const { origin, direction } = raycaster.ray;
+    const w = new THREE.Vector3().subVectors(anchor, origin);
+    const b = direction.z;
+    const denominator = 1 - b * b;
+    // Looking straight down the line, the height can't be read off the ray
+    if (denominator < 1e-6) return null;
+    return anchor.z + (b * w.dot(direction) - w.z) / denominator;
+}
+
+/**
+ * Find the cell under the cursor where the view ray meets the clipping
+ * plane, or drag the plane
+ */
+function onPointerMove(event) {
+    if (!state.clipping || !state.voronoiCells) return;
+    
+    setRaycasterFromEvent(event);
+    
+    if (clipDrag) {
+        const height = getDragHeight(clipDrag.anchor);
+        if (height !== null) {
+            const { min, max } = getClipRange();
+            clipPlane.constant = Math.min(max, Math.max(min, clipDrag.constant + height - clipDrag.anchor.z));
+            updateSection();
+        }
+    }
+    
+    const hit = raycaster.ray.intersectPlane(clipPlane, new THREE.Vector3());
+    if (!hit) {
+        setHoveredCell(null);
+        return;
+    }
+    
+    setHoveredCell(getLocator().locate(hit), hit);
+}
+
+/**
+ * Get the point locator for the current cells, building it on first use
+ */
+function getLocator() {
+    if (!locator) {
+        const { boundingBox, padding, options } = state.tessellation;
+        locator = new CellLocator(state.voronoiCells, {
+            bounds: boundingBox,
+            padding,
+            periodic: options.periodic,
+            axisScale: options.axisScale,
+        });
+    }
+    return locator;
+}
+
+/**
+ * Remember where a click may start, and start dragging the clipping plane
+ * when its handle is grabbed
+ */
+function onPointerDown(event) {
+    pointerDownAt = { x: event.clientX, y: event.clientY };
+    
+    if (!state.clipping || !clipHandle) return;
+    setRaycasterFromEvent(event);
+    const [hit] = raycaster.intersectObject(clipHandle, false);
+    if (hit) {
+        clipDrag = { anchor: hit.point, constant: clipPlane.constant };
+        controls.enabled = false;
+    }
+}
+
+/**
+ * Shoot the probe ray along the view ray under the cursor, unless the
+ * pointer was dragged to orbit the camera
+ */
+function onPointerUp(event) {
+    if (clipDrag) {
+        clipDrag = null;
+        controls.enabled = true;
+        pointerDownAt = null;
+        return;
+    }
+    const editing = state.editingSeeds && state.clipping;
+    if ((!state.probing && !state.showNeighbors && !editing) || !pointerDownAt) return;
+    const dragged = Math.hypot(event.clientX - pointerDownAt.x, event.clientY - pointerDownAt.y) > 4;
+    pointerDownAt = null;
+    if (dragged) return;
+    
+    setRaycasterFromEvent(event);
+    if (editing) {
+        editSeed(event.shiftKey);
+        return;
+    }
+    const ray = {
+        origin: raycaster.ray.origin.clone(),
+        direction: raycaster.ray.direction.clone(),
+    };
+    if (state.probing) {
+        probeRay = ray;
+        updateProbe();
+    }
+    // Only the cells, not the views shown in their place, can be picked
+    if (state.showNeighbors && cellsGroup?.visible) {
+        // Shift-click picks the end of a path from the selected cell
+        const index = pickCell(ray);
+        if (event.shiftKey && selectedCell !== null) {
+            pathTarget = index;
+        } else {
+            selectedCell = index;
+            pathTarget = null;
+        }
+        updateNeighborShells();
+    }
+}
+
+/**
+ * Add a seed where the view ray meets the clipping plane, or with
+ * `move` move the seed of the cell there to that point
+ */
+function editSeed(move) {
+    if (!state.voronoiCells) return;
+    const hit = raycaster.ray.intersectPlane(clipPlane, new THREE.Vector3());
+    // Only points inside the container can take a seed
+    const entry = hit && getLocator().locate(hit);
+    if (!entry) return;
+    
+    if (!seedEditor) {
+        const { boundingBox, padding, options } = state.tessellation;
+        seedEditor = new IncrementalVoronoi(state.points, boundingBox, padding, {
+            ...options,
+            cells: state.voronoiCells,
+        });
+        // From now on the cells group follows the edits
+        renderTessellation(getThemeForDistribution(state.currentDistribution));
+    }
+    
+    const point = { x: hit.x, y: hit.y, z: hit.z };
+    if (move) {
+        seedEditor.move(entry.index, point);
+    } else {
+        seedEditor.insert(point);
+    }
+    
+    // Seeds are only inserted and moved, so their ids stay their indices
+    resetRelaxation();
+    state.points = Array.from({ length: seedEditor.nextId }, (_, id) => seedEditor.seeds.get(id));
+    state.voronoiCells = seedEditor.cells;
+    
+    const theme = getThemeForDistribution(state.currentDistribution);
+    if (state.colorMode === 'structure') {
+        // Structure types depend on the neighbors too, so recolor every cell
+        renderTessellation(theme);
+    } else {
+        renderPoints(theme);
+        updateTessellationViews(theme);
+    }
+}
+
+/**
+ * The cell under the cursor: the one on the clipping plane while
+ * clipping, otherwise the first cell the view ray enters
+ */
+function pickCell(ray) {
+    if (state.clipping || !state.voronoiCells) return hoveredIndex;
+    
+    const [first] = traceRay(state.voronoiCells, ray.origin, ray.direction, {
+        locator: getLocator(),
+        maxDistance: camera.far,
+        maxSteps: 1,
+    });
+    return first ? first.index : null;
+}
+
+/**
+ * Color the selected cell, its first and second neighbor shells and the
+ * shortest path to a second cell, and report the adjacency graph
+ */
+function updateNeighborShells() {
+    if (!state.showNeighbors || !state.voronoiCells) {
+        shellColors = new Map();
+        updateCellColors();
+        updateNeighborPanel(null);
+        return;
+    }
+    if (!cellGraph) cellGraph = new CellGraph(state.voronoiCells);
+    
+    const rings = selectedCell === null ? [] : cellGraph.getRings(selectedCell, SHELL_COLORS.length - 1);
+    const path = rings.length > 0 && pathTarget !== null
+        ? cellGraph.getShortestPath(selectedCell, pathTarget)
+        : null;
+    
+    shellColors = new Map();
+    rings.forEach((ring, distance) => {
+        for (const index of ring) shellColors.set(index, SHELL_COLORS[distance]);
+    });
+    if (path) {
+        for (const index of path.slice(1)) shellColors.set(index, PATH_COLOR);
+    }
+    updateCellColors();
+    
+    updateNeighborPanel({
+        index: rings.length > 0 ? selectedCell : null,
+        shells: rings.slice(1).map(ring => ring.length),
+        path: path && path.length - 1,
+        target: pathTarget,
+        degrees: cellGraph.getDegreeDistribution(),
+        componentCount: cellGraph.getConnectedComponents().length,
+    });
+}
+
+/**
+ * Color the cells with the neighbor shells and the validation highlight
+ */
+function updateCellColors() {
+    if (!cellsGroup) return;
+    
+    const colors = new Map(shellColors);
+    for (const index of brokenCells) colors.set(index, BROKEN_COLOR);
+    colorCells(cellsGroup, colors);
+}
+
+/**
+ * Trace the probe ray through the current cells and draw it
+ */
+function updateProbe() {
+    if (probeGroup) {
+        disposeGroup(probeGroup);
+        probeGroup = null;
+    }
+    if (!state.probing || !probeRay || !state.voronoiCells) {
+        updateProbePanel(state.probing ? [] : null);
+        return;
+    }
+    
+    const { origin, direction } = probeRay;
+    const steps = traceRay(state.voronoiCells, origin, direction, {
+        locator: getLocator(),
+        maxDistance: camera.far,
+    });
+    
+    probeGroup = createProbeRayGroup(origin, direction, steps);
+    scene.add(probeGroup);
+    updateProbePanel(steps);
+}
+
+/**
+ * Outline the hovered cell and describe it in the panel
+ */
+function setHoveredCell(entry, point = null) {
+    const index = entry ? entry.index : null;
+    
+    if (index !== hoveredIndex) {
+        if (hoverGroup) {
+            disposeGroup(hoverGroup);
+            hoverGroup = null;
+        }
+        if (entry) {
+            hoverGroup = createCellMesh(cellToMeshData(entry.cell, entry.seed), {
+                showFill: false,
+                edgeColor: 0xffffff,
+            });
+            scene.add(hoverGroup);
+        }
+        hoveredIndex = index;
+    }
+    
+    updateCursorCell(state.clipping ? { entry, point } : null);
+}
+
 /**
  * Animation loop
  */
@@ -254,9 +1088,200 @@ export function togglePoints(visible) {
  */
 export function toggleCells(visible) {
     state.showCells = visible;
-    if (cellsGroup) {
-        cellsGroup.visible = visible;
+    updateCellsVisibility();
+}
+
+/**
+ * Toggle the Delaunay edge overlay
+ */
+export function toggleDelaunay(visible) {
+    state.showDelaunay = visible;
+    updateDelaunayGroup(getThemeForDistribution(state.currentDistribution));
+}
+
+/**
+ * Toggle tessellation validation in the debug panel
+ */
+export function toggleValidation(enabled) {
+    state.showValidation = enabled;
+    updateValidation();
+    updateNeighborShells();
+}
+
+/**
+ * Toggle the clipping plane (and picking the cell under the cursor)
+ */
+export function toggleClipping(enabled) {
+    state.clipping = enabled;
+    renderer.clippingPlanes = enabled ? [clipPlane] : [];
+    updateClipPlane();
+    setHoveredCell(null);
+}
+
+/**
+ * Download the cross-section along the clipping plane as an SVG file
+ */
+export function exportSectionSVG() {
+    if (!state.clipping || !state.voronoiCells) return;
+    
+    const fillColors = new Map(cellsGroup.children.map(mesh => [mesh.userData.seedIndex, mesh.userData.fillColor]));
+    const svg = sectionToSVG(getSection(), {
+        fillColor: polygon => `#${new THREE.Color(fillColors.get(polygon.index) ?? COLORS.cellFill).getHexString()}`,
+    });
+    
+    downloadFile(svg, `voronoi-section-z${clipPlane.constant.toFixed(2)}.svg`, 'image/svg+xml');
+}
+
+/**
+ * Download the tessellation as one welded mesh (shared vertices and faces)
+ * @param {'obj'|'ply'} format - Mesh file format
+ */
+export function exportMesh(format) {
+    if (!state.voronoiCells) return;
+    
+    const complex = new CellComplex(state.voronoiCells);
+    const text = format === 'ply' ? complex.toPLY() : complex.toOBJ();
+    downloadFile(text, `voronoi-cells.${format}`, 'text/plain');
+}
+
+/**
+ * Download the tessellation as a printable STL mesh
+ * @param {'inset'|'struts'} mode - Inset (hollowed) cells or a strut lattice
+ */
+export function exportPrintMesh(mode) {
+    if (!state.voronoiCells) return;
+    
+    const thickness = state.printThickness;
+    const mesh = mode === 'struts'
+        ? createStrutMesh(state.voronoiCells, { radius: thickness / 2 })
+        : createInsetMesh(state.voronoiCells, { thickness, hollow: true });
+    downloadFile(meshToSTL(mesh), `voronoi-${mode}.stl`, 'model/stl');
+}
+
+/**
+ * Set the wall thickness (and strut diameter) of printable meshes
+ */
+export function setPrintThickness(thickness) {
+    state.printThickness = thickness;
+}
+
+/**
+ * Save text or binary data as a file through a temporary download link
+ */
+function downloadFile(data, filename, type) {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Revoking right away can cancel the download before it starts
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Toggle the spherical Voronoi regions (shown in place of the 3D cells)
+ */
+export function toggleSurface(enabled) {
+    state.showSurface = enabled;
+    updateCellsVisibility();
+    updateSurfaceGroup(getThemeForDistribution(state.currentDistribution));
+}
+
+/**
+ * Toggle the fracture view: the mesh shattered into the cells of the
+ * seeds, shown in place of the cells
+ */
+export function toggleFracture(enabled) {
+    state.showFracture = enabled;
+    updateCellsVisibility();
+    updateFractureGroup(getThemeForDistribution(state.currentDistribution));
+}
+
+/**
+ * Choose the built-in mesh to fracture
+ * @param {'box'|'sphere'|'torus'} shape - Shape name
+ */
+export function setFractureShape(shape) {
+    state.fractureShape = shape;
+    updateFractureGroup(getThemeForDistribution(state.currentDistribution));
+}
+
+/**
+ * Load an OBJ or STL file as the mesh to fracture
+ * @param {File} file - Closed, outward-oriented mesh file
+ */
+export async function importFractureMesh(file) {
+    // OBJ files may repeat positions (e.g. per-face normals), so weld them too
+    const mesh = file.name.toLowerCase().endsWith('.stl')
+        ? parseSTL(await file.arrayBuffer())
+        : weldMesh(parseOBJ(await file.text()));
+    if (mesh.indices.length === 0) {
+        throw new Error(`No triangles in ${file.name}`);
+    }
+    if (!isClosedMesh(mesh) || getMeshVolume(mesh) <= 0) {
+        throw new Error(`${file.name} is not a closed, outward-oriented mesh`);
     }
+    
+    importedMesh = mesh;
+    state.fractureShape = 'import';
+    updateFractureGroup(getThemeForDistribution(state.currentDistribution));
+}
+
+/**
+ * Choose how many levels of recursive subdivision to show in place of
+ * the cells
+ * @param {number} levels - Subdivision depth (0 shows the cells themselves)
+ */
+export function setSubdivisionLevels(levels) {
+    state.subdivisionLevels = levels;
+    updateSubdivisionGroup(getThemeForDistribution(state.currentDistribution));
+    updateCellsVisibility();
+}
+
+/**
+ * Download the fragments shown as OBJ, interior faces in their own groups
+ */
+export function exportFragments() {
+    if (!fragments || fragments.length === 0) return;
+    
+    downloadFile(fragmentsToOBJ(fragments), 'voronoi-fragments.obj', 'text/plain');
+}
+
+/**
+ * Toggle the probe ray (clicking shoots a ray along the view direction)
+ */
+export function toggleProbe(enabled) {
+    state.probing = enabled;
+    probeRay = null;
+    updateProbe();
+}
+
+/**
+ * Toggle adding and moving seeds with clicks on the clipping plane
+ */
+export function toggleSeedEditing(enabled) {
+    state.editingSeeds = enabled;
+}
+
+/**
+ * Toggle picking cells with a click to color their neighbor shells
+ */
+export function toggleNeighbors(enabled) {
+    state.showNeighbors = enabled;
+    selectedCell = null;
+    pathTarget = null;
+    updateNeighborShells();
+}
+
+/**
+ * Color the cells by palette or by the crystal structure of their seeds
+ * @param {'palette'|'structure'} mode - Color mode
+ */
+export function setColorMode(mode) {
+    state.colorMode = mode;
+    if (!state.voronoiCells) return;
+    
+    renderTessellation(getThemeForDistribution(state.currentDistribution));
 }
 
 /**
@@ -264,12 +1289,7 @@ export function toggleCells(visible) {
  */
 export function setGridSize(size) {
     state.gridSize = size;
-    showLoading();
-    // Use setTimeout to allow UI to update before heavy computation
-    setTimeout(() => {
-        generateVisualization();
-        hideLoading();
-    }, 50);
+    regenerate();
 }
 
 /**
@@ -277,11 +1297,15 @@ export function setGridSize(size) {
  */
 export function setLayerSpacing(spacing) {
     state.layerSpacing = spacing;
-    showLoading();
-    setTimeout(() => {
-        generateVisualization();
-        hideLoading();
-    }, 50);
+    regenerate();
+}
+
+/**
+ * Set the elongation of the cells along z
+ */
+export function setStretch(stretch) {
+    state.stretch = stretch;
+    regenerate();
 }
 
 /**
@@ -290,12 +1314,109 @@ export function setLayerSpacing(spacing) {
 export function setDistribution(distributionId) {
     if (DISTRIBUTIONS[distributionId] || distributionId === 'honeycomb') {
         state.currentDistribution = distributionId;
-        showLoading();
-        setTimeout(() => {
-            generateVisualization();
-            hideLoading();
-        }, 50);
+        regenerate();
+    }
+}
+
+/**
+ * Set the container shape the cells are clipped to
+ */
+export function setContainerShape(shape) {
+    state.containerShape = shape;
+    regenerate();
+}
+
+/**
+ * Run one Lloyd relaxation iteration on the current points, tessellating
+ * in the worker pool. While a step is in flight, returns that step.
+ * @returns {Promise<Object|null>} The relaxation status, or null if there is
+ *          nothing to relax, the step failed or the relaxation was reset meanwhile
+ */
+export function stepRelaxation() {
+    if (!relaxationStep) {
+        relaxationStep = runRelaxationStep().finally(() => {
+            relaxationStep = null;
+        });
     }
+    return relaxationStep;
+}
+
+/**
+ * Step the relaxation and show the result
+ */
+async function runRelaxationStep() {
+    if (!state.tessellation) return null;
+    if (!relaxation) {
+        const { boundingBox, padding, options } = state.tessellation;
+        relaxation = new LloydRelaxation(state.points, boundingBox, padding, {
+            maxIterations: 100,
+            tolerance: 1e-3,
+            damping: 1.0,
+            voronoiOptions: options,
+            cells: state.voronoiCells,
+        });
+    }
+    
+    const current = relaxation;
+    let status;
+    try {
+        status = await current.stepAsync((...args) => relaxationPool.compute(...args));
+    } catch (error) {
+        if (error.name !== 'AbortError') console.error('Relaxation step failed:', error);
+        return null;
+    }
+    if (relaxation !== current) return null;
+    
+    seedEditor = null;
+    state.points = relaxation.seeds;
+    state.voronoiCells = relaxation.cells;
+    renderTessellation(getThemeForDistribution(state.currentDistribution));
+    
+    if (status.converged) {
+        setRelaxationPlaying(false);
+    }
+    updateRelaxationPanel({
+        ...status,
+        energyHistory: relaxation.energyHistory,
+        playing: state.relaxationPlaying,
+    });
+    return status;
+}
+
+/**
+ * Start or stop stepping the relaxation continuously
+ */
+export function setRelaxationPlaying(playing) {
+    state.relaxationPlaying = playing;
+    clearTimeout(relaxationTimer);
+    relaxationTimer = null;
+    
+    const ticker = ++relaxationTicker;
+    if (!playing) return;
+    
+    // The next step is scheduled once the previous one has arrived
+    const tick = async () => {
+        relaxationTimer = null;
+        const status = await stepRelaxation();
+        if (ticker !== relaxationTicker) return;
+        if (!status) {
+            state.relaxationPlaying = false;
+        }
+        if (state.relaxationPlaying) {
+            relaxationTimer = setTimeout(tick, 100);
+        }
+    };
+    relaxationTimer = setTimeout(tick, 0);
+}
+
+/**
+ * Stop and discard the current relaxation
+ */
+function resetRelaxation() {
+    setRelaxationPlaying(false);
+    relaxationPool.cancel();
+    relaxation = null;
+    updateRelaxationPanel(null);
 }
 
 /**
@@ -313,6 +1434,23 @@ function showLoading() {
     if (loading) {
         loading.classList.remove('hidden');
     }
+    updateLoadingProgress(0, 0);
+}
+
+/**
+ * Show how many cells have been computed on the loading indicator
+ */
+function updateLoadingProgress(completed, total) {
+    const bar = document.getElementById('loading-progress-bar');
+    const text = document.getElementById('loading-progress-text');
+    const fraction = total > 0 ? completed / total : 0;
+    
+    if (bar) {
+        bar.style.width = `${(fraction * 100).toFixed(1)}%`;
+    }
+    if (text) {
+        text.textContent = total > 0 ? `${completed} / ${total} cells` : '';
+    }
 }
 
 /**
@@ -325,6 +1463,14 @@ function hideLoading() {
     }
 }
 
+/**
+ * Show or hide the info panel; its statistics catch up when it's shown
+ */
+export function setPanelVisible(visible) {
+    state.panelVisible = visible;
+    updateCellShapes();
+}
+
 /**
  * Get current state
  */
@@ -342,23 +1488,42 @@ function init() {
     // Initialize Three.js scene
     initScene();
     
-    // Generate initial visualization
-    generateVisualization();
+    // Generate initial visualization (hides the loading indicator when done)
+    regenerate();
     
     // Initialize UI controls
     initUI({
         togglePoints,
         toggleCells,
+        toggleDelaunay,
+        toggleSurface,
+        toggleFracture,
+        setFractureShape,
+        importFractureMesh,
+        exportFragments,
+        setSubdivisionLevels,
+        toggleValidation,
+        toggleClipping,
+        toggleProbe,
+        toggleNeighbors,
+        toggleSeedEditing,
+        exportSectionSVG,
+        exportMesh,
+        exportPrintMesh,
+        setPrintThickness,
         setGridSize,
         setLayerSpacing,
+        setStretch,
         setDistribution,
+        setContainerShape,
+        setColorMode,
+        stepRelaxation,
+        setRelaxationPlaying,
         getDistributions,
         getState,
+        setPanelVisible,
     });
     
-    // Hide loading indicator
-    hideLoading();
-    
     // Start animation loop
     animate();
     
@@ -0,0 +1,99 @@
+/**
+ * Anisotropic Distance Metrics
+ *
+ * A metric tensor M (symmetric positive-definite 3×3) measures distances
+ * as |d|_M = sqrt(dᵀ M d). Per-axis scales s are the diagonal case
+ * M = diag(sx², sy², sz²): a scale below 1 makes distances along that
+ * axis count less, so cells stretch along it.
+ *
+ * Spatial searches run on Euclidean distances; the square roots of M's
+ * extreme eigenvalues bound how far those can be from metric distances:
+ * minScale·|d| <= |d|_M <= maxScale·|d|.
+ */
+
+/**
+ * Build a metric from tessellation options
+ * @param {Object} options - Metric options
+ * @param {Array<Array<number>>} options.metric - Metric tensor (3×3, symmetric positive-definite)
+ * @param {{x: number, y: number, z: number}} options.axisScale - Per-axis distance scales
+ *        (ignored when a metric tensor is given)
+ * @returns {{matrix: Array<number>, minScale: number, maxScale: number}|null}
+ *          The metric (matrix in row-major order), or null for Euclidean distances
+ */
+export function createMetric(options = {}) {
+    const { metric = null, axisScale = null } = options;
+
+    let m;
+    if (metric) {
+        m = [
+            metric[0][0], metric[0][1], metric[0][2],
+            metric[1][0], metric[1][1], metric[1][2],
+            metric[2][0], metric[2][1], metric[2][2],
+        ];
+    } else if (axisScale) {
+        const { x = 1, y = 1, z = 1 } = axisScale;
+        if (x === 1 && y === 1 && z === 1) return null;
+        m = [x * x, 0, 0, 0, y * y, 0, 0, 0, z * z];
+    } else {
+        return null;
+    }
+
+    if (m[1] !== m[3] || m[2] !== m[6] || m[5] !== m[7]) {
+        throw new Error('Metric tensor must be symmetric');
+    }
+    const [lambdaMin, lambdaMax] = getEigenvalueRange(m);
+    if (!(lambdaMin > 0)) {
+        throw new Error('Metric tensor must be positive-definite');
+    }
+
+    return { matrix: m, minScale: Math.sqrt(lambdaMin), maxScale: Math.sqrt(lambdaMax) };
+}
+
+/**
+ * Apply a metric to a vector (M·d)
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function applyMetric(metric, d) {
+    const m = metric.matrix;
+    return {
+        x: m[0] * d.x + m[1] * d.y + m[2] * d.z,
+        y: m[3] * d.x + m[4] * d.y + m[5] * d.z,
+        z: m[6] * d.x + m[7] * d.y + m[8] * d.z,
+    };
+}
+
+/**
+ * Squared metric length of a vector (dᵀ M d)
+ */
+export function metricLengthSquared(metric, dx, dy, dz) {
+    const m = metric.matrix;
+    return dx * (m[0] * dx + m[1] * dy + m[2] * dz) +
+        dy * (m[3] * dx + m[4] * dy + m[5] * dz) +
+        dz * (m[6] * dx + m[7] * dy + m[8] * dz);
+}
+
+/**
+ * Smallest and largest eigenvalue of a symmetric 3×3 matrix (closed form,
+ * Smith 1961)
+ */
+function getEigenvalueRange(m) {
+    const p1 = m[1] * m[1] + m[2] * m[2] + m[5] * m[5];
+    if (p1 === 0) {
+        return [Math.min(m[0], m[4], m[8]), Math.max(m[0], m[4], m[8])];
+    }
+
+    const q = (m[0] + m[4] + m[8]) / 3;
+    const p2 = (m[0] - q) ** 2 + (m[4] - q) ** 2 + (m[8] - q) ** 2 + 2 * p1;
+    const p = Math.sqrt(p2 / 6);
+
+    // B = (M - qI) / p; det(B) / 2 is the cosine of three times the angle
+    const b = m.map((value, k) => (value - (k % 4 === 0 ? q : 0)) / p);
+    const detB = b[0] * (b[4] * b[8] - b[5] * b[7]) -
+        b[1] * (b[3] * b[8] - b[5] * b[6]) +
+        b[2] * (b[3] * b[7] - b[4] * b[6]);
+    const phi = Math.acos(Math.min(1, Math.max(-1, detB / 2))) / 3;
+
+    const largest = q + 2 * p * Math.cos(phi);
+    const smallest = q + 2 * p * Math.cos(phi + (2 * Math.PI) / 3);
+    return [smallest, largest];
+}
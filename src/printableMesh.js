@@ -0,0 +1,381 @@
+/**
+ * Printable Meshes
+ *
+ * Turns a tessellation into closed triangle meshes for 3D printing:
+ * - inset cells: every cell shrunk inward (ConvexPolyhedron.getInset) by
+ *   half the wall thickness, and by the full thickness at the container,
+ *   so neighbors are a wall thickness apart. Solid, the cells print as
+ *   separate tiles; hollow, the container surface is kept as an outer
+ *   skin and the inset cells become cavities, giving a closed-cell foam.
+ * - strut lattice: a tube along every edge of a CellComplex (its welded
+ *   Voronoi edges) and a node at every Voronoi vertex: the convex hull of
+ *   a sphere around the vertex and the end rings of the tubes leaving it.
+ *   The tubes start far enough out that each end ring is a facet of the
+ *   node hull; the hull is kept without those facets and the tube is
+ *   stitched to it along the ring, so node and struts share vertices.
+ *   Edges too short to fit a tube, or leaving a node too close to another
+ *   edge for their rings to clear, are contracted: their vertices become
+ *   one node, at their mean position.
+ *
+ * Meshes are { positions, indices }: positions a flat [x, y, z, …] array
+ * and indices triangle corners, counter-clockwise seen from outside. The
+ * mesh is made of closed shells, each welded so that every edge is shared
+ * by exactly two triangles. Inset meshes are watertight: their shells are
+ * disjoint. A strut lattice is one watertight shell for each connected
+ * piece of the lattice.
+ */
+
+import { Vec3, cellToMeshData, getHullFacets } from './voronoi3d.js';
+import { CellComplex } from './cellComplex.js';
+
+/**
+ * Build the mesh of the inset cells
+ * @param {Array<{seed, index, cell}>} cells - Output from computeVoronoiCells
+ * @param {Object} options - Mesh options
+ * @param {number} options.thickness - Wall thickness between cells (and of the skin)
+ * @param {boolean} options.hollow - Keep the container surface and make the cells
+ *        cavities instead of solids
+ * @returns {{positions: Array<number>, indices: Array<number>}} Triangle mesh
+ */
+export function createInsetMesh(cells, options = {}) {
+    const { thickness = 0.1, hollow = false } = options;
+    const mesh = { positions: [], indices: [] };
+
+    if (hollow) {
+        // Outer skin: the container surface, welded across cells
+        const complex = new CellComplex(cells);
+        const positions = complex.vertices.flatMap(v => [v.x, v.y, v.z]);
+        const indices = [];
+        for (const id of complex.getBoundaryFaces()) {
+            const loop = complex.faces[id].vertices;
+            for (let i = 1; i < loop.length - 1; i++) {
+                indices.push(loop[0], loop[i], loop[i + 1]);
+            }
+        }
+        appendTriangles(mesh, positions, indices, false);
+    }
+
+    for (const { cell } of cells) {
+        const inset = cell.getInset(thickness / 2, thickness);
+        if (inset.isEmpty()) continue;
+
+        const { vertices, indices } = cellToMeshData(inset);
+        appendTriangles(mesh, vertices, indices, hollow);
+    }
+
+    return mesh;
+}
+
+/**
+ * Build the mesh of a strut lattice along the Voronoi edges, as one closed
+ * surface per connected piece of the lattice (see the module comment)
+ * @param {Array<{seed, index, cell}>} cells - Output from computeVoronoiCells
+ * @param {Object} options - Mesh options
+ * @param {number} options.radius - Strut radius
+ * @param {number} options.nodeRadius - Radius of the sphere each node hull
+ *        wraps around its vertex (at least the strut radius)
+ * @param {number} options.segments - Sides of the struts and meridians of the node spheres
+ * @returns {{positions: Array<number>, indices: Array<number>}} Triangle mesh
+ */
+export function createStrutMesh(cells, options = {}) {
+    const { radius = 0.04, segments = 12 } = options;
+    const nodeRadius = Math.max(options.nodeRadius ?? radius * 1.5, radius);
+
+    const complex = new CellComplex(cells);
+    const margin = 0.01 * radius;
+
+    // Contract struts with no room between the rings at their ends, the
+    // shortest at each node first, joining their nodes (union-find over the
+    // complex vertices), until every strut fits
+    const parent = complex.vertices.map((_, v) => v);
+    const find = (v) => {
+        while (parent[v] !== v) v = parent[v] = parent[parent[v]];
+        return v;
+    };
+    let nodes, struts;
+    for (;;) {
+        ({ nodes, struts } = getStrutGraph(complex, find));
+        for (const node of nodes) {
+            const distances = getRingDistances(node, struts, radius, nodeRadius, margin);
+            node.ends.forEach(({ strut, side }, j) => (struts[strut].distances[side] = distances[j]));
+        }
+
+        const contracted = nodes.map(node => {
+            let shortest = null;
+            for (const { strut } of node.ends) {
+                const { length, distances } = struts[strut];
+                if (distances[0] + distances[1] + margin < length) continue;
+                if (!shortest || length < shortest.length) shortest = struts[strut];
+            }
+            return shortest;
+        }).filter(strut => strut);
+        if (contracted.length === 0) break;
+        for (const strut of contracted) {
+            parent[find(nodes[strut.nodes[0]].root)] = find(nodes[strut.nodes[1]].root);
+        }
+    }
+
+    // Rings of `segments` vertices at both ends of every strut, in the same
+    // frame, counter-clockwise around the strut direction
+    const positions = [];
+    const indices = [];
+    const rings = struts.map(({ nodes: [from, to], direction, distances }) => {
+        const helper = Math.abs(direction[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+        const u = normalize(cross(helper, direction));
+        const v = cross(direction, u);
+        return [nodes[from].position, nodes[to].position].map((position, side) => {
+            const t = side === 0 ? distances[0] : -distances[1];
+            const center = [position.x, position.y, position.z].map((x, k) => x + t * direction[k]);
+            const first = positions.length / 3;
+            for (let i = 0; i < segments; i++) {
+                const c = Math.cos((2 * Math.PI * i) / segments) * radius;
+                const s = Math.sin((2 * Math.PI * i) / segments) * radius;
+                positions.push(...center.map((x, k) => x + c * u[k] + s * v[k]));
+            }
+            return first;
+        });
+    });
+
+    // Tubes between the rings, with the same sides as a capped cylinder
+    for (const [start, end] of rings) {
+        for (let i = 0; i < segments; i++) {
+            const next = (i + 1) % segments;
+            indices.push(start + i, start + next, end + next);
+            indices.push(start + i, end + next, end + i);
+        }
+    }
+
+    // Node hulls: the convex hull of the node sphere and the rings of the
+    // struts leaving the node. Every other hull point lies behind a ring's
+    // plane, so each ring is a hull facet; leaving those facets out joins
+    // the hull to the tubes along the rings.
+    const tolerance = 1e-9 * radius;
+    for (const node of nodes) {
+        const points = [];
+        const ids = [];
+        const ringOf = [];
+        node.ends.forEach(({ strut, side }, j) => {
+            for (let i = 0; i < segments; i++) {
+                const id = rings[strut][side] + i;
+                points.push(new Vec3(positions[3 * id], positions[3 * id + 1], positions[3 * id + 2]));
+                ids.push(id);
+                ringOf.push(j);
+            }
+        });
+        for (const point of getSpherePoints(node.position, nodeRadius, segments)) {
+            points.push(point);
+            ids.push(-1);
+            ringOf.push(-1);
+        }
+
+        const id = (m) => {
+            if (ids[m] < 0) {
+                ids[m] = positions.length / 3;
+                positions.push(points[m].x, points[m].y, points[m].z);
+            }
+            return ids[m];
+        };
+        for (const facet of getHullFacets(points, tolerance)) {
+            const ring = ringOf[facet[0]];
+            if (ring >= 0 && facet.length === segments && facet.every(m => ringOf[m] === ring)) continue;
+            for (let i = 1; i < facet.length - 1; i++) {
+                indices.push(id(facet[0]), id(facet[i]), id(facet[i + 1]));
+            }
+        }
+    }
+
+    return { positions, indices };
+}
+
+/**
+ * Nodes and struts of the lattice: a node for each set of joined vertices
+ * that have edges, at their mean position, and a strut for each pair of
+ * nodes joined by edges
+ * @param {CellComplex} complex - Welded complex
+ * @param {function(number): number} find - Root vertex of the node of a vertex
+ * @returns {{nodes: Array<Object>, struts: Array<Object>}} Nodes { root,
+ *          position, ends } with ends { strut, side, direction }: the strut,
+ *          which of its ends (0 or 1) lies at the node and its direction
+ *          pointing away from the node; struts { nodes, length, direction,
+ *          distances } from nodes[0] to nodes[1], with room for the ring
+ *          distance at each end
+ */
+function getStrutGraph(complex, find) {
+    const nodes = [];
+    const nodeOf = new Map();
+    complex.vertices.forEach((vertex, v) => {
+        if (complex.vertexEdges[v].length === 0) return;
+        const root = find(v);
+        if (!nodeOf.has(root)) {
+            nodeOf.set(root, nodes.length);
+            nodes.push({ root, position: { x: 0, y: 0, z: 0 }, count: 0, ends: [] });
+        }
+        const node = nodes[nodeOf.get(root)];
+        node.position.x += vertex.x;
+        node.position.y += vertex.y;
+        node.position.z += vertex.z;
+        node.count++;
+    });
+    for (const node of nodes) {
+        node.position.x /= node.count;
+        node.position.y /= node.count;
+        node.position.z /= node.count;
+    }
+
+    const struts = [];
+    const keys = new Set();
+    for (const [a, b] of complex.edges) {
+        const from = nodeOf.get(find(a));
+        const to = nodeOf.get(find(b));
+        const key = from < to ? `${from},${to}` : `${to},${from}`;
+        if (from === to || keys.has(key)) continue;
+        keys.add(key);
+
+        const p = nodes[from].position;
+        const q = nodes[to].position;
+        const d = [q.x - p.x, q.y - p.y, q.z - p.z];
+        const length = Math.hypot(...d);
+        const direction = length > 0 ? normalize(d) : [1, 0, 0];
+        nodes[from].ends.push({ strut: struts.length, side: 0, direction });
+        nodes[to].ends.push({ strut: struts.length, side: 1, direction: direction.map(value => -value) });
+        struts.push({ nodes: [from, to], length, direction, distances: [0, 0] });
+    }
+    return { nodes, struts };
+}
+
+/**
+ * Distances from a node at which the struts leaving it start, so every
+ * other point of the node hull lies behind each ring's plane: the node
+ * sphere, and the rings of the other struts. A ring of radius r at
+ * distance t_i reaches t_i cos θ + r sin θ along a strut at angle θ from
+ * it, so the distances are raised until each exceeds that for every
+ * other strut, starting from where two struts alone clear each other.
+ * Struts leaving side by side never clear: ends raised past the length of
+ * their strut, less the ring at the other end, are given up as Infinity.
+ * @returns {Array<number>} Ring distance of each end of the node
+ */
+function getRingDistances(node, struts, radius, nodeRadius, margin) {
+    const { ends } = node;
+    const reach = ends.map(end => ends.map(other => {
+        const cos = other.direction[0] * end.direction[0] +
+            other.direction[1] * end.direction[1] +
+            other.direction[2] * end.direction[2];
+        return { cos, offset: radius * Math.sqrt(Math.max(0, 1 - cos * cos)) + margin };
+    }));
+    const limits = ends.map(({ strut }) => struts[strut].length - nodeRadius - 2 * margin);
+    const distances = ends.map((_, j) => {
+        let distance = nodeRadius + margin;
+        reach[j].forEach(({ cos, offset }, i) => {
+            if (i !== j) distance = Math.max(distance, cos < 1 ? offset / (1 - cos) : Infinity);
+        });
+        return distance;
+    });
+
+    for (let iteration = 0; iteration < 100; iteration++) {
+        let raised = false;
+        ends.forEach((_, j) => {
+            if (distances[j] > limits[j]) return;
+            reach[j].forEach(({ cos, offset }, i) => {
+                if (i === j || distances[i] > limits[i]) return;
+                const required = distances[i] * cos + offset;
+                if (required > distances[j]) {
+                    distances[j] = required;
+                    raised = true;
+                }
+            });
+        });
+        if (!raised) return distances.map((distance, j) => (distance > limits[j] ? Infinity : distance));
+    }
+    return distances.map(() => Infinity);
+}
+
+/**
+ * Encode a mesh as binary STL
+ * @param {{positions: Array<number>, indices: Array<number>}} mesh - Triangle mesh
+ * @returns {ArrayBuffer} STL file contents
+ */
+export function meshToSTL(mesh) {
+    const { positions, indices } = mesh;
+    const count = indices.length / 3;
+    const buffer = new ArrayBuffer(84 + 50 * count);
+    const view = new DataView(buffer);
+
+    const header = 'Voronoi printable mesh';
+    for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i));
+    view.setUint32(80, count, true);
+
+    const corner = (t, k) => {
+        const i = 3 * indices[3 * t + k];
+        return [positions[i], positions[i + 1], positions[i + 2]];
+    };
+
+    let offset = 84;
+    for (let t = 0; t < count; t++) {
+        const [p, q, r] = [corner(t, 0), corner(t, 1), corner(t, 2)];
+        const u = [q[0] - p[0], q[1] - p[1], q[2] - p[2]];
+        const w = [r[0] - p[0], r[1] - p[1], r[2] - p[2]];
+        const n = [u[1] * w[2] - u[2] * w[1], u[2] * w[0] - u[0] * w[2], u[0] * w[1] - u[1] * w[0]];
+        const length = Math.hypot(n[0], n[1], n[2]) || 1;
+
+        for (const value of [n[0] / length, n[1] / length, n[2] / length, ...p, ...q, ...r]) {
+            view.setFloat32(offset, value, true);
+            offset += 4;
+        }
+        offset += 2;  // Attribute byte count
+    }
+
+    return buffer;
+}
+
+/**
+ * Append a shell to a mesh, optionally turned inside out
+ */
+function appendTriangles(mesh, positions, indices, flip) {
+    const base = mesh.positions.length / 3;
+    for (const value of positions) mesh.positions.push(value);
+    for (let i = 0; i < indices.length; i += 3) {
+        if (flip) {
+            mesh.indices.push(base + indices[i], base + indices[i + 2], base + indices[i + 1]);
+        } else {
+            mesh.indices.push(base + indices[i], base + indices[i + 1], base + indices[i + 2]);
+        }
+    }
+}
+
+/**
+ * Points of a UV sphere: the poles and rings of `segments` points
+ */
+function getSpherePoints(center, radius, segments) {
+    const rings = Math.max(2, Math.round(segments / 2));
+    const points = [
+        new Vec3(center.x, center.y, center.z + radius),
+        new Vec3(center.x, center.y, center.z - radius),
+    ];
+    for (let k = 1; k < rings; k++) {
+        const polar = (Math.PI * k) / rings;
+        for (let j = 0; j < segments; j++) {
+            const azimuth = (2 * Math.PI * j) / segments;
+            points.push(new Vec3(
+                center.x + radius * Math.sin(polar) * Math.cos(azimuth),
+                center.y + radius * Math.sin(polar) * Math.sin(azimuth),
+                center.z + radius * Math.cos(polar)
+            ));
+        }
+    }
+    return points;
+}
+
+/**
+ * Cross product of two vectors given as arrays
+ */
+function cross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+/**
+ * Unit vector along an array vector
+ */
+function normalize(a) {
+    const length = Math.hypot(a[0], a[1], a[2]);
+    return [a[0] / length, a[1] / length, a[2] / length];
+}
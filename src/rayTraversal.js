@@ -0,0 +1,216 @@
+/**
+ * Ray Traversal of a Voronoi Tessellation
+ *
+ * Walks a ray from cell to cell through the face-to-neighbor adjacency
+ * recorded by computeVoronoiCells: inside a cell the ray leaves through
+ * the face whose plane it meets first, and continues in the neighbor
+ * across that face. Only the cells actually crossed are visited, so a
+ * ray costs O(cells crossed) after the first cell has been located.
+ *
+ * In periodic tessellations the walk follows the ray through the periodic
+ * images of the cells; each step records which image it crossed. Where
+ * the ray passes exactly through an edge or vertex, the cells touching it
+ * there may show up as steps of zero length.
+ */
+
+import { CellLocator } from './cellLocator.js';
+
+const ZERO = { x: 0, y: 0, z: 0 };
+
+/**
+ * Trace a ray through a tessellation
+ * @param {Array<{seed, index, cell}>} cells - Output from computeVoronoiCells
+ * @param {{x, y, z}} origin - Ray origin
+ * @param {{x, y, z}} direction - Ray direction (need not be normalized)
+ * @param {Object} options - Trace options
+ * @param {Object} options.bounds - Bounding box the cells were computed with
+ * @param {number} options.padding - Padding the cells were computed with
+ * @param {{x: boolean, y: boolean, z: boolean}} options.periodic - Periodic axes
+ * @param {Array<Array<number>>} options.metric - Metric tensor the cells were computed with
+ * @param {{x: number, y: number, z: number}} options.axisScale - Per-axis scales the cells were computed with
+ * @param {CellLocator} options.locator - Locator over the same cells, to reuse between rays
+ * @param {number} options.maxDistance - Stop tracing this far from the origin
+ *        (periodic rays never leave the container, so they need a finite one)
+ * @param {number} options.maxSteps - Stop after this many cells
+ * @returns {Array<Object>} The cells crossed, in order: { index, entry, image,
+ *          tEnter, tExit, enterFace, exitFace, exitNeighbor } where t is the
+ *          distance from the origin along the ray, faces index entry.cell.faces,
+ *          image is the periodic image of the cell the ray passes through
+ *          (the ray is in cell + image * period), and exitNeighbor is the face
+ *          neighbor across exitFace (a negative wall id where the ray leaves
+ *          the container, or null if it stopped at maxDistance)
+ */
+export function traceRay(cells, origin, direction, options = {}) {
+    const {
+        bounds = null,
+        padding = 0.5,
+        periodic = { x: false, y: false, z: false },
+        metric = null,
+        axisScale = null,
+        locator = new CellLocator(cells, { bounds, padding, periodic, metric, axisScale }),
+        maxDistance = Infinity,
+        maxSteps = 100000,
+    } = options;
+
+    const length = Math.hypot(direction.x, direction.y, direction.z);
+    if (length === 0 || cells.length === 0) return [];
+    const dir = { x: direction.x / length, y: direction.y / length, z: direction.z / length };
+
+    const byIndex = new Map(cells.map(entry => [entry.index, entry]));
+    const faceCache = new Map();
+    const getFaces = (entry) => {
+        if (!faceCache.has(entry.index)) {
+            faceCache.set(entry.index, entry.cell.getFaceProperties());
+        }
+        return faceCache.get(entry.index);
+    };
+
+    const period = locator.period;
+    const start = findStart(cells, origin, dir, locator, getFaces);
+    if (!start || start.t > maxDistance) return [];
+
+    const steps = [];
+    let { entry, image, t: tEnter, face: enterFace } = start;
+
+    while (steps.length < maxSteps) {
+        // Ray origin in the frame of the cell's own coordinates
+        const o = {
+            x: origin.x - image.x * period.x,
+            y: origin.y - image.y * period.y,
+            z: origin.z - image.z * period.z,
+        };
+
+        const exit = findExit(entry.cell, getFaces(entry), o, dir, tEnter);
+        const step = {
+            index: entry.index,
+            entry,
+            image: { ...image },
+            tEnter,
+            tExit: exit ? exit.t : tEnter,
+            enterFace,
+            exitFace: exit ? exit.face : -1,
+            exitNeighbor: exit ? entry.cell.faceNeighbors[exit.face] ?? null : null,
+        };
+        steps.push(step);
+
+        if (step.tExit >= maxDistance) {
+            step.tExit = maxDistance;
+            step.exitNeighbor = null;
+            break;
+        }
+        if (!exit) break;
+
+        // Leaving the container through the box or a wall
+        const neighbor = byIndex.get(step.exitNeighbor);
+        if (!neighbor) break;
+
+        const crossed = entry.cell.faceImages[exit.face];
+        if (crossed) {
+            image = { x: image.x + crossed.x, y: image.y + crossed.y, z: image.z + crossed.z };
+        }
+        entry = neighbor;
+        tEnter = exit.t;
+        enterFace = findEnterFace(neighbor.cell, step.index, crossed);
+    }
+
+    return steps;
+}
+
+/**
+ * Find where the ray starts: the cell containing the origin, or else the
+ * first cell the ray enters
+ * @returns {{entry, image, t, face}|null}
+ */
+function findStart(cells, origin, dir, locator, getFaces) {
+    const located = locator.locateImage(origin);
+    if (located) {
+        // The located image refers to the wrapped origin; shift it back
+        const wrapped = locator.wrap(origin);
+        const image = { x: 0, y: 0, z: 0 };
+        for (const axis of ['x', 'y', 'z']) {
+            const shift = locator.period[axis] > 0
+                ? Math.round((origin[axis] - wrapped[axis]) / locator.period[axis])
+                : 0;
+            image[axis] = shift + located.image[axis];
+        }
+        return { entry: located.entry, image, t: 0, face: -1 };
+    }
+
+    // Origin outside the container: the first cell entered is the one whose
+    // slab interval starts first
+    let best = null;
+    for (const entry of cells) {
+        let tMin = 0;
+        let tMax = Infinity;
+        let face = -1;
+        getFaces(entry).forEach(({ area, normal, centroid }, f) => {
+            if (area === 0) return;
+            const denominator = normal.x * dir.x + normal.y * dir.y + normal.z * dir.z;
+            const distance = normal.x * (centroid.x - origin.x) +
+                normal.y * (centroid.y - origin.y) +
+                normal.z * (centroid.z - origin.z);
+            if (denominator === 0) {
+                if (distance < 0) tMax = -Infinity;
+                return;
+            }
+            const t = distance / denominator;
+            if (denominator < 0 && t > tMin) {
+                tMin = t;
+                face = f;
+            } else if (denominator > 0 && t < tMax) {
+                tMax = t;
+            }
+        });
+        if (tMin < tMax && (!best || tMin < best.t)) {
+            best = { entry, image: { x: 0, y: 0, z: 0 }, t: tMin, face };
+        }
+    }
+    return best;
+}
+
+/**
+ * Find the face through which a ray inside a cell leaves it
+ * @param {ConvexPolyhedron} cell - Cell the ray is in
+ * @param {Array} faces - The cell's face properties
+ * @param {{x, y, z}} o - Ray origin in the cell's frame
+ * @param {{x, y, z}} dir - Unit ray direction
+ * @param {number} tEnter - Where the ray entered the cell
+ * @returns {{t: number, face: number}|null}
+ */
+function findExit(cell, faces, o, dir, tEnter) {
+    const tolerance = cell.getTolerance();
+    let best = null;
+
+    faces.forEach(({ area, normal, centroid }, f) => {
+        if (area === 0) return;
+        const denominator = normal.x * dir.x + normal.y * dir.y + normal.z * dir.z;
+        if (denominator <= 0) return;
+
+        const distance = normal.x * (centroid.x - o.x) +
+            normal.y * (centroid.y - o.y) +
+            normal.z * (centroid.z - o.z);
+        const t = Math.max(tEnter, distance / denominator);
+
+        // Where the ray leaves through an edge or vertex, take the face it
+        // meets most head-on
+        if (!best || t < best.t - tolerance ||
+            (t <= best.t + tolerance && denominator > best.denominator)) {
+            best = { t: best && t > best.t ? best.t : t, face: f, denominator };
+        }
+    });
+
+    return best && { t: best.t, face: best.face };
+}
+
+/**
+ * Find the face of a cell shared with the cell just left (through the
+ * opposite periodic image), or -1 if there is none
+ */
+function findEnterFace(cell, previousIndex, crossed) {
+    return cell.faceNeighbors.findIndex((neighbor, f) => {
+        if (neighbor !== previousIndex) return false;
+        const image = cell.faceImages[f] ?? ZERO;
+        const back = crossed ?? ZERO;
+        return image.x === -back.x && image.y === -back.y && image.z === -back.z;
+    });
+}
@@ -0,0 +1,347 @@
+/**
+ * Uniform Spatial Grid for Seed Lookup
+ *
+ * Buckets seed points into an axis-aligned grid of bins so that the
+ * Voronoi computation can visit neighbors in growing shells around a
+ * seed instead of scanning (and sorting) every other seed.
+ *
+ * Axes can be periodic: bins then wrap around the box, and points found
+ * through a wrapped bin are reported together with the periodic image
+ * (how many box lengths they were shifted along each axis). Coordinates
+ * are wrapped into the box before binning, so points on or beyond its
+ * upper faces land in the bins of their image inside it; their reported
+ * images are corrected back to their own coordinates.
+ */
+
+/**
+ * Bins seed points into a regular grid covering their bounding box
+ */
+export class SpatialGrid {
+    /**
+     * @param {Array<{x: number, y: number, z: number}>} points - Points to index
+     * @param {Object} options - Grid options
+     * @param {number} options.pointsPerBin - Average number of points per bin
+     * @param {Object} options.bounds - Box used along periodic axes ({min, max})
+     * @param {{x: boolean, y: boolean, z: boolean}} options.periodic - Periodic axes
+     */
+    constructor(points, options = {}) {
+        const {
+            pointsPerBin = 3,
+            bounds = null,
+            periodic = { x: false, y: false, z: false },
+        } = options;
+
+        this.points = points;
+        this.periodic = { x: !!periodic.x, y: !!periodic.y, z: !!periodic.z };
+
+        // Bounding box of the indexed points
+        const min = { x: Infinity, y: Infinity, z: Infinity };
+        const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+        for (const p of points) {
+            min.x = Math.min(min.x, p.x);
+            min.y = Math.min(min.y, p.y);
+            min.z = Math.min(min.z, p.z);
+            max.x = Math.max(max.x, p.x);
+            max.y = Math.max(max.y, p.y);
+            max.z = Math.max(max.z, p.z);
+        }
+        if (points.length === 0) {
+            min.x = min.y = min.z = 0;
+            max.x = max.y = max.z = 0;
+        }
+        
+        // Periodic axes span exactly one period of the box
+        for (const axis of ['x', 'y', 'z']) {
+            if (this.periodic[axis]) {
+                min[axis] = bounds.min[axis];
+                max[axis] = bounds.max[axis];
+            }
+        }
+        this.min = min;
+        this.max = max;
+        this.period = {
+            x: this.periodic.x ? max.x - min.x : 0,
+            y: this.periodic.y ? max.y - min.y : 0,
+            z: this.periodic.z ? max.z - min.z : 0,
+        };
+
+        // Pick a bin edge length so each bin holds roughly pointsPerBin points.
+        // Flat axes (zero extent) get a single bin and don't count towards the volume.
+        const extents = [max.x - min.x, max.y - min.y, max.z - min.z];
+        const activeExtents = extents.filter(e => e > 0);
+        let binLength = 1;
+        if (activeExtents.length > 0) {
+            const measure = activeExtents.reduce((product, e) => product * e, 1);
+            binLength = Math.pow(
+                measure * pointsPerBin / Math.max(1, points.length),
+                1 / activeExtents.length
+            );
+        }
+
+        const maxBinsPerAxis = Math.max(1, Math.ceil(Math.cbrt(points.length)) * 4);
+        const binCount = (extent) => extent > 0
+            ? Math.min(maxBinsPerAxis, Math.max(1, Math.floor(extent / binLength)))
+            : 1;
+
+        this.nx = binCount(extents[0]);
+        this.ny = binCount(extents[1]);
+        this.nz = binCount(extents[2]);
+
+        // Bin edge lengths (flat axes get a unit length to avoid division by zero)
+        this.sx = extents[0] > 0 ? extents[0] / this.nx : 1;
+        this.sy = extents[1] > 0 ? extents[1] / this.ny : 1;
+        this.sz = extents[2] > 0 ? extents[2] / this.nz : 1;
+
+        // Compressed bin storage: binStart[b]..binStart[b + 1] indexes into binItems
+        const totalBins = this.nx * this.ny * this.nz;
+        const pointBins = new Int32Array(points.length);
+        this.binStart = new Int32Array(totalBins + 1);
+
+        // Periods each point lies beyond the box, per axis
+        this.pointImages = new Int32Array(points.length * 3);
+
+        for (let i = 0; i < points.length; i++) {
+            const image = this.imageOf(points[i]);
+            this.pointImages[i * 3] = image.x;
+            this.pointImages[i * 3 + 1] = image.y;
+            this.pointImages[i * 3 + 2] = image.z;
+
+            const [bx, by, bz] = this.binOf(points[i]);
+            const bin = this.binIndex(bx, by, bz);
+            pointBins[i] = bin;
+            this.binStart[bin + 1]++;
+        }
+        for (let b = 0; b < totalBins; b++) {
+            this.binStart[b + 1] += this.binStart[b];
+        }
+
+        // Fill in point order so each bin lists its points by ascending index
+        const fill = this.binStart.slice(0, totalBins);
+        this.binItems = new Int32Array(points.length);
+        for (let i = 0; i < points.length; i++) {
+            this.binItems[fill[pointBins[i]]++] = i;
+        }
+    }
+
+    /**
+     * Number of box lengths a point lies beyond the box along each
+     * periodic axis (0 inside it and along non-periodic axes)
+     * @returns {{x: number, y: number, z: number}}
+     */
+    imageOf(point) {
+        const count = (axis) => this.periodic[axis]
+            ? Math.floor((point[axis] - this.min[axis]) / this.period[axis])
+            : 0;
+        return { x: count('x'), y: count('y'), z: count('z') };
+    }
+
+    /**
+     * Wrap a coordinate into the box along a periodic axis
+     */
+    wrap(point, axis) {
+        if (!this.periodic[axis]) return point[axis];
+        const length = this.period[axis];
+        return this.min[axis] + ((((point[axis] - this.min[axis]) % length) + length) % length);
+    }
+
+    /**
+     * Get the bin coordinates containing a point (clamped to the grid,
+     * after wrapping it into the box along periodic axes)
+     */
+    binOf(point) {
+        const fit = (axis, size, n) => Math.min(n - 1, Math.max(0,
+            Math.floor((this.wrap(point, axis) - this.min[axis]) / size)
+        ));
+        return [
+            fit('x', this.sx, this.nx),
+            fit('y', this.sy, this.ny),
+            fit('z', this.sz, this.nz),
+        ];
+    }
+
+    /**
+     * Flatten bin coordinates into a bin index
+     */
+    binIndex(bx, by, bz) {
+        return (bz * this.ny + by) * this.nx + bx;
+    }
+
+    /**
+     * Call visit(index, imageX, imageY, imageZ) for every point in the bins at
+     * Chebyshev distance exactly `ring` from bin (bx, by, bz). The image
+     * counts are always 0 along non-periodic axes. They are relative to a
+     * point inside the box; for a query point beyond it, add its imageOf.
+     */
+    forEachInRing(bx, by, bz, ring, visit) {
+        const { nx, ny, nz, periodic } = this;
+        const x0 = periodic.x ? bx - ring : Math.max(0, bx - ring);
+        const x1 = periodic.x ? bx + ring : Math.min(nx - 1, bx + ring);
+        const y0 = periodic.y ? by - ring : Math.max(0, by - ring);
+        const y1 = periodic.y ? by + ring : Math.min(ny - 1, by + ring);
+        const z0 = periodic.z ? bz - ring : Math.max(0, bz - ring);
+        const z1 = periodic.z ? bz + ring : Math.min(nz - 1, bz + ring);
+
+        const visitBin = (x, y, z) => {
+            // Wrap unbounded periodic coordinates back into the grid
+            const ix = Math.floor(x / nx), iy = Math.floor(y / ny), iz = Math.floor(z / nz);
+            this.forEachInBin(this.binIndex(x - ix * nx, y - iy * ny, z - iz * nz), ix, iy, iz, visit);
+        };
+
+        for (let z = z0; z <= z1; z++) {
+            const onZFace = Math.abs(z - bz) === ring;
+            for (let y = y0; y <= y1; y++) {
+                if (onZFace || Math.abs(y - by) === ring) {
+                    for (let x = x0; x <= x1; x++) visitBin(x, y, z);
+                } else {
+                    // Interior rows only touch the shell at their two ends
+                    if (bx - ring >= x0) visitBin(bx - ring, y, z);
+                    if (bx + ring <= x1) visitBin(bx + ring, y, z);
+                }
+            }
+        }
+    }
+
+    /**
+     * Call visit for every point in a bin reached through image (ix, iy, iz)
+     */
+    forEachInBin(bin, ix, iy, iz, visit) {
+        const images = this.pointImages;
+        for (let k = this.binStart[bin]; k < this.binStart[bin + 1]; k++) {
+            const item = this.binItems[k];
+            visit(item, ix - images[item * 3], iy - images[item * 3 + 1], iz - images[item * 3 + 2]);
+        }
+    }
+
+    /**
+     * Distance from a point to the nearest bin outside the block of rings
+     * 0..ring around bin (bx, by, bz). Every indexed point (or periodic image)
+     * closer than this has already been visited. Returns Infinity once the
+     * block covers the whole grid, which never happens along periodic axes.
+     */
+    ringClearance(point, bx, by, bz, ring) {
+        let clearance = Infinity;
+
+        const axes = [
+            ['x', bx, this.nx, this.sx],
+            ['y', by, this.ny, this.sy],
+            ['z', bz, this.nz, this.sz],
+        ];
+        for (const [axis, b, n, size] of axes) {
+            const periodic = this.periodic[axis];
+            const v = this.wrap(point, axis);
+            if (periodic || b - ring > 0) {
+                clearance = Math.min(clearance, v - (this.min[axis] + (b - ring) * size));
+            }
+            if (periodic || b + ring < n - 1) {
+                clearance = Math.min(clearance, this.min[axis] + (b + ring + 1) * size - v);
+            }
+        }
+
+        return Math.max(0, clearance);
+    }
+}
+
+/**
+ * SpatialGrid over a changing point list: points can be set (added at the
+ * end or moved) and the last one popped, and the ring search sees them at
+ * once. Bins keep the layout they were built with; points beyond the box
+ * along non-periodic axes go to the edge bins, which only makes them
+ * further away than their bin claims, so the ring search stays exact. The
+ * grid is rebuilt once the point count has doubled or halved, keeping
+ * edits cheap on average.
+ */
+export class DynamicSpatialGrid extends SpatialGrid {
+    /**
+     * @param {Array<{x: number, y: number, z: number}>} points - Points to index.
+     *        The grid edits this array in place.
+     * @param {Object} options - Grid options, as for SpatialGrid
+     */
+    constructor(points, options = {}) {
+        super(points, options);
+        this.options = options;
+        this.splitBins();
+    }
+
+    /**
+     * Set point `index` (at most the current count, which appends a point)
+     */
+    set(index, point) {
+        if (index < this.points.length) this.unbin(index);
+        this.points[index] = point;
+        this.bin(index);
+        this.rebalance();
+    }
+
+    /**
+     * Remove the last point
+     */
+    pop() {
+        if (this.points.length === 0) return;
+        this.unbin(this.points.length - 1);
+        this.points.pop();
+        this.rebalance();
+    }
+
+    forEachInBin(bin, ix, iy, iz, visit) {
+        const images = this.pointImages;
+        for (const item of this.bins[bin]) {
+            visit(item, ix - images[item * 3], iy - images[item * 3 + 1], iz - images[item * 3 + 2]);
+        }
+    }
+
+    /**
+     * Move the compressed bin storage into one editable list per bin
+     */
+    splitBins() {
+        this.bins = [];
+        for (let b = 0; b + 1 < this.binStart.length; b++) {
+            this.bins.push(Array.from(this.binItems.subarray(this.binStart[b], this.binStart[b + 1])));
+        }
+        this.pointBins = [];
+        this.points.forEach((point, index) => {
+            const [bx, by, bz] = this.binOf(point);
+            this.pointBins[index] = this.binIndex(bx, by, bz);
+        });
+        this.pointImages = Array.from(this.pointImages);
+        this.builtCount = this.points.length;
+        delete this.binStart;
+        delete this.binItems;
+    }
+
+    /**
+     * Add point `index` to its bin
+     */
+    bin(index) {
+        const point = this.points[index];
+        const image = this.imageOf(point);
+        this.pointImages[index * 3] = image.x;
+        this.pointImages[index * 3 + 1] = image.y;
+        this.pointImages[index * 3 + 2] = image.z;
+
+        const [bx, by, bz] = this.binOf(point);
+        const bin = this.binIndex(bx, by, bz);
+        this.pointBins[index] = bin;
+        this.bins[bin].push(index);
+    }
+
+    /**
+     * Take point `index` out of its bin
+     */
+    unbin(index) {
+        const items = this.bins[this.pointBins[index]];
+        items.splice(items.indexOf(index), 1);
+    }
+
+    /**
+     * Rebuild the bins once the point count has strayed far from the count
+     * they were laid out for
+     */
+    rebalance() {
+        const count = this.points.length;
+        if (count <= 2 * this.builtCount && 2 * count >= this.builtCount) return;
+
+        const { points, options } = this;
+        Object.assign(this, new SpatialGrid(points, options));
+        this.splitBins();
+    }
+}
@@ -0,0 +1,231 @@
+/**
+ * Spherical Voronoi Diagrams
+ *
+ * Geodesic Voronoi regions of seeds on a sphere: each region holds the
+ * points of the sphere closer (along great circles) to its seed than to
+ * any other. Geodesic distance grows with chord distance, so regions are
+ * bounded by the great circles bisecting pairs of seeds, i.e. by planes
+ * through the center.
+ *
+ * Each region is clipped in the gnomonic projection onto the plane
+ * tangent at its seed, which maps great circles to straight lines: a
+ * large square is cut by the projected bisectors of the seeds found in
+ * growing rings of a SpatialGrid, stopping once the unvisited seeds are
+ * more than twice as far as the furthest region vertex (the radius of
+ * security test of computeVoronoiCells, on the sphere). The vertices are
+ * projected back onto the sphere. A region still touching the square
+ * spans a hemisphere and cannot be projected; it is reported as
+ * unbounded instead.
+ *
+ * Seeds off the sphere are projected onto it radially.
+ */
+
+import { Vec3 } from './voronoi3d.js';
+import { SpatialGrid } from './spatialGrid.js';
+
+// Half width of the starting square in the tangent plane (about 89.4°
+// from the seed)
+const GNOMONIC_EXTENT = 100;
+
+/**
+ * Compute the Voronoi diagram of seeds on a sphere
+ * @param {Array<{x, y, z}>} points - Seed points
+ * @param {Object} options - Diagram options
+ * @param {{x, y, z}} options.center - Sphere center
+ * @param {number} options.radius - Sphere radius (defaults to the seeds' mean
+ *        distance from the center)
+ * @param {Array<number>} options.indices - Indices of the seeds on the sphere
+ *        (defaults to all points)
+ * @returns {Object} Diagram: { center, radius, regions, unbounded } where regions
+ *          are { index, seed, vertices, neighbors, area } with vertices on the
+ *          sphere counter-clockwise seen from outside and neighbors[k] the seed
+ *          across the arc from vertex k to k + 1, and unbounded lists the
+ *          indices of seeds whose region spans a hemisphere
+ */
+export function computeSphericalVoronoi(points, options = {}) {
+    const c = options.center ?? { x: 0, y: 0, z: 0 };
+    const center = new Vec3(c.x, c.y, c.z);
+    const indices = options.indices ?? points.map((p, i) => i);
+
+    const offsets = indices.map(i => new Vec3(points[i].x, points[i].y, points[i].z).sub(center));
+    const radius = options.radius ??
+        offsets.reduce((sum, offset) => sum + offset.length(), 0) / Math.max(1, offsets.length);
+    const directions = offsets.map(offset => offset.normalize());
+
+    const grid = new SpatialGrid(directions);
+    const regions = [];
+    const unbounded = [];
+
+    directions.forEach((p, k) => {
+        const { u, v } = getTangentBasis(p);
+        const E = GNOMONIC_EXTENT;
+        let polygon = [
+            { a: -E, b: -E, neighbor: null },
+            { a: E, b: -E, neighbor: null },
+            { a: E, b: E, neighbor: null },
+            { a: -E, b: E, neighbor: null },
+        ];
+        const toSphere = ({ a, b }) => p.add(u.scale(a)).add(v.scale(b)).normalize();
+
+        const cut = (j) => {
+            // Bisecting great circle: x · (q - p) = 0, keeping the side of p
+            const n = directions[j].sub(p);
+            if (j === k || n.length() <= 1e-12) return;
+            polygon = clipPolygon(polygon, n.dot(u), n.dot(v), -n.dot(p), indices[j]);
+        };
+
+        const [bx, by, bz] = grid.binOf(p);
+        for (let ring = 0; ; ring++) {
+            grid.forEachInRing(bx, by, bz, ring, cut);
+
+            const clearance = grid.ringClearance(p, bx, by, bz, ring);
+            if (clearance === Infinity) break;
+            if (polygon.some(vertex => vertex.neighbor === null)) continue;
+            const reach = Math.max(...polygon.map(vertex => toSphere(vertex).sub(p).length()));
+            if (clearance > 2 * reach) break;
+        }
+
+        if (polygon.length < 3 || polygon.some(vertex => vertex.neighbor === null)) {
+            unbounded.push(indices[k]);
+            return;
+        }
+
+        const vertices = polygon.map(vertex => center.add(toSphere(vertex).scale(radius)));
+        let area = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            area += getTriangleArea(p, toSphere(polygon[i]), toSphere(polygon[(i + 1) % polygon.length]));
+        }
+
+        regions.push({
+            index: indices[k],
+            seed: points[indices[k]],
+            vertices,
+            neighbors: polygon.map(vertex => vertex.neighbor),
+            area: area * radius * radius,
+        });
+    });
+
+    return { center, radius, regions, unbounded };
+}
+
+/**
+ * Group points lying on common spheres around a center, e.g. the shells
+ * of the Concentric Shells distribution
+ * @param {Array<{x, y, z}>} points - Points
+ * @param {Object} options - Grouping options
+ * @param {{x, y, z}} options.center - Common center of the spheres
+ * @param {number} options.tolerance - Largest radius difference within a sphere,
+ *        relative to the largest radius
+ * @param {number} options.minPoints - Fewest points for a sphere
+ * @returns {Array<{radius: number, indices: Array<number>}>} Spheres by increasing radius
+ */
+export function findSphericalShells(points, options = {}) {
+    const { center = { x: 0, y: 0, z: 0 }, tolerance = 1e-3, minPoints = 4 } = options;
+
+    const radii = points.map((p, i) => ({
+        i,
+        r: Math.hypot(p.x - center.x, p.y - center.y, p.z - center.z),
+    }));
+    radii.sort((a, b) => a.r - b.r);
+    const maxRadius = radii.length > 0 ? radii[radii.length - 1].r : 0;
+
+    const groups = [];
+    let group = [];
+    for (const entry of radii) {
+        if (group.length > 0 && entry.r - group[group.length - 1].r > tolerance * maxRadius) {
+            groups.push(group);
+            group = [];
+        }
+        group.push(entry);
+    }
+    if (group.length > 0) groups.push(group);
+
+    return groups
+        .filter(members => members.length >= minPoints && members[0].r > tolerance * maxRadius)
+        .map(members => ({
+            radius: members.reduce((sum, { r }) => sum + r, 0) / members.length,
+            indices: members.map(({ i }) => i).sort((a, b) => a - b),
+        }));
+}
+
+/**
+ * Summarise the region areas of a spherical diagram
+ * @param {Array<{area: number}>} regions - Regions from computeSphericalVoronoi
+ * @param {Object} options - Summary options
+ * @param {number} options.bins - Histogram bins between the smallest and largest area
+ * @returns {Object} Distribution: { count, total, mean, min, max, stdDev,
+ *          variation, histogram } where variation is stdDev / mean
+ */
+export function getAreaDistribution(regions, options = {}) {
+    const { bins = 12 } = options;
+    const areas = regions.map(region => region.area);
+    const count = areas.length;
+    if (count === 0) {
+        return { count, total: 0, mean: 0, min: 0, max: 0, stdDev: 0, variation: 0, histogram: [] };
+    }
+
+    const total = areas.reduce((sum, area) => sum + area, 0);
+    const mean = total / count;
+    const min = Math.min(...areas);
+    const max = Math.max(...areas);
+    const stdDev = Math.sqrt(areas.reduce((sum, area) => sum + (area - mean) ** 2, 0) / count);
+
+    const histogram = new Array(bins).fill(0);
+    const range = max - min;
+    for (const area of areas) {
+        const bin = range > 0 ? Math.min(bins - 1, Math.floor(((area - min) / range) * bins)) : 0;
+        histogram[bin]++;
+    }
+
+    return { count, total, mean, min, max, stdDev, variation: mean > 0 ? stdDev / mean : 0, histogram };
+}
+
+/**
+ * Clip a convex polygon in the tangent plane to the half-plane
+ * na·a + nb·b <= limit. Each vertex carries the neighbor of the edge
+ * leaving it; the new edge along the line gets `neighbor`.
+ */
+function clipPolygon(polygon, na, nb, limit, neighbor) {
+    const side = polygon.map(({ a, b }) => na * a + nb * b - limit);
+    if (side.every(s => s <= 0)) return polygon;
+
+    const result = [];
+    for (let i = 0; i < polygon.length; i++) {
+        const current = polygon[i];
+        const next = polygon[(i + 1) % polygon.length];
+        const s0 = side[i];
+        const s1 = side[(i + 1) % polygon.length];
+
+        if (s0 <= 0) result.push(current);
+        if ((s0 <= 0) !== (s1 <= 0)) {
+            const t = s0 / (s0 - s1);
+            result.push({
+                a: current.a + t * (next.a - current.a),
+                b: current.b + t * (next.b - current.b),
+                // Entering the kept side continues the old edge; leaving it starts the new one
+                neighbor: s0 <= 0 ? neighbor : current.neighbor,
+            });
+        }
+    }
+    return result;
+}
+
+/**
+ * Orthonormal tangent vectors at a point of the unit sphere with u × v = p
+ */
+function getTangentBasis(p) {
+    const u = Math.abs(p.x) < 0.9
+        ? new Vec3(1, 0, 0).cross(p).normalize()
+        : new Vec3(0, 1, 0).cross(p).normalize();
+    return { u, v: p.cross(u) };
+}
+
+/**
+ * Area of the geodesic triangle between three unit vectors (Van Oosterom
+ * and Strackee)
+ */
+function getTriangleArea(a, b, c) {
+    const numerator = Math.abs(a.dot(b.cross(c)));
+    const denominator = 1 + a.dot(b) + b.dot(c) + c.dot(a);
+    return 2 * Math.atan2(numerator, denominator);
+}
@@ -0,0 +1,122 @@
+/**
+ * Hierarchical Voronoi Subdivision
+ *
+ * Splits cells recursively into smaller Voronoi cells: random seeds are
+ * scattered inside a cell and tessellated with the cell itself as the
+ * container (computeVoronoiCells accepts a ConvexPolyhedron in place of
+ * its bounds box), then the same is repeated on the new cells down to a
+ * given depth. Subdividing only some cells at each level gives
+ * multi-scale grain structures.
+ *
+ * The sub-cells of a cell fill it exactly. Their faces on the parent's
+ * boundary carry CONTAINER_WALL (or the parent face's own wall id), and
+ * their other faces the index of the sibling seed across them.
+ */
+
+import { computeVoronoiCells } from './voronoi3d.js';
+
+/**
+ * Subdivide cells recursively
+ * @param {Array<{seed, index, cell}>} cells - Output from computeVoronoiCells
+ * @param {Object} options - Subdivision options
+ * @param {number} options.levels - Depth of subdivision below the given cells
+ * @param {number} options.count - Seeds scattered in each subdivided cell
+ * @param {Function} options.select - Called with (entry, level) to decide whether a
+ *        cell is subdivided (default: every cell)
+ * @param {Function} options.random - Uniform random numbers in [0, 1)
+ * @param {boolean} options.robust - Cut the sub-cells with robust cutting
+ * @returns {Array<Object>} Copies of the given cells as the roots of trees. Every
+ *          node has the fields of a computeVoronoiCells entry plus `level` (0 for
+ *          the given cells), `parent` (null for roots), `seeds` (the seeds scattered
+ *          in it, which the `index` of its children refers to) and `children`
+ *          (empty for leaves)
+ */
+export function subdivideCells(cells, options = {}) {
+    const {
+        levels = 1,
+        count = 8,
+        select = () => true,
+        random = Math.random,
+        robust = false,
+    } = options;
+
+    const subdivide = (node) => {
+        if (node.level >= levels || !select(node, node.level)) return;
+
+        node.seeds = scatterInCell(node.cell, count, random);
+        node.children = computeVoronoiCells(node.seeds, node.cell, 0, { robust }).map(entry => ({
+            ...entry,
+            level: node.level + 1,
+            parent: node,
+            seeds: null,
+            children: [],
+        }));
+        node.children.forEach(subdivide);
+    };
+
+    const roots = cells.map(entry => ({ ...entry, level: 0, parent: null, seeds: null, children: [] }));
+    roots.forEach(subdivide);
+    return roots;
+}
+
+/**
+ * Collect the leaves of subdivision trees, depth first
+ * @param {Array<Object>} roots - Output from subdivideCells
+ * @returns {Array<Object>} Leaf nodes, usable as computeVoronoiCells entries
+ */
+export function getLeafCells(roots) {
+    const leaves = [];
+    const visit = (node) => {
+        if (node.children.length === 0) {
+            leaves.push(node);
+        } else {
+            node.children.forEach(visit);
+        }
+    };
+    roots.forEach(visit);
+    return leaves;
+}
+
+/**
+ * Scatter points uniformly inside a convex cell: each point picks a
+ * tetrahedron of the cell with probability proportional to its volume,
+ * then a uniform point inside it
+ * @param {ConvexPolyhedron} cell - The cell
+ * @param {number} count - Number of points
+ * @param {Function} random - Uniform random numbers in [0, 1)
+ * @returns {Array<{x, y, z}>} Points inside the cell
+ */
+export function scatterInCell(cell, count, random = Math.random) {
+    const apex = cell.getVertexAverage();
+    const tetrahedra = [];
+    let total = 0;
+    cell.forEachTetrahedron(apex, (a, b, c, volume) => {
+        if (volume <= 0) return;
+        total += volume;
+        tetrahedra.push({ a, b, c, cumulative: total });
+    });
+    if (total === 0) return [];
+
+    const points = [];
+    for (let n = 0; n < count; n++) {
+        const target = random() * total;
+        const { a, b, c } = tetrahedra.find(({ cumulative }) => cumulative >= target) ??
+            tetrahedra[tetrahedra.length - 1];
+
+        // Fold the unit cube onto the unit tetrahedron s + t + u <= 1
+        let s = random(), t = random(), u = random();
+        if (s + t > 1) {
+            s = 1 - s;
+            t = 1 - t;
+        }
+        if (t + u > 1) {
+            [t, u] = [1 - u, 1 - s - t];
+        } else if (s + t + u > 1) {
+            [s, u] = [1 - t - u, s + t + u - 1];
+        }
+
+        const p = apex.add(a.scale(s)).add(b.scale(t)).add(c.scale(u));
+        points.push({ x: p.x, y: p.y, z: p.z });
+    }
+    return points;
+}
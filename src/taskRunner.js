@@ -0,0 +1,114 @@
+/**
+ * Background Tasks
+ *
+ * Runs expensive analyses of the current seeds (fracturing a mesh, the
+ * Delaunay dual of the cells, …) in a Web Worker so the page stays
+ * responsive. Each TaskRunner owns one worker and one job: starting a new
+ * job cancels the one in flight by terminating the worker, as in
+ * VoronoiWorkerPool.
+ *
+ * Tasks take and return plain data, since arguments and results are
+ * structured-cloned between threads; cells travel packed by packCells.
+ */
+
+import { fractureMesh, isConvexMesh } from './fracture.js';
+import { computeDelaunayDual } from './voronoi3d.js';
+import { unpackCells } from './cellBuffers.js';
+
+/**
+ * Task functions by name, run by taskWorker.js (or on this thread where
+ * workers are unavailable)
+ */
+export const TASKS = {
+    // Fragments of a mesh, and whether it was clipped as convex
+    fracture: ({ mesh, seeds }) => {
+        const convex = isConvexMesh(mesh);
+        return { ...fractureMesh(mesh, seeds, { convex }), convex };
+    },
+    // Delaunay edges of cells packed with packCells
+    delaunay: ({ packed, seeds }) => computeDelaunayDual(unpackCells(packed, seeds)).edges,
+};
+
+/**
+ * One background worker running one task at a time
+ */
+export class TaskRunner {
+    constructor() {
+        this.worker = null;
+        this.job = null;
+        this.nextJobId = 1;
+    }
+
+    /**
+     * Run a task, cancelling the job in flight
+     * @param {string} task - Key of TASKS
+     * @param {Object} args - Task arguments (structured-cloneable)
+     * @returns {Promise<*>} Resolves to the task's result, rejects with an
+     *          AbortError if cancelled
+     */
+    run(task, args) {
+        this.cancel();
+
+        // Without worker support, compute on this thread
+        if (typeof Worker === 'undefined') {
+            return Promise.resolve().then(() => TASKS[task](args));
+        }
+
+        const jobId = this.nextJobId++;
+        return new Promise((resolve, reject) => {
+            const job = { id: jobId, reject };
+            this.job = job;
+
+            const worker = this.getWorker();
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.jobId !== jobId || this.job !== job) return;
+
+                this.job = null;
+                if (message.error) {
+                    reject(new Error(message.error));
+                } else {
+                    resolve(message.result);
+                }
+            };
+            worker.onerror = (error) => {
+                if (this.job !== job) return;
+                this.job = null;
+                this.terminateWorker();
+                reject(error);
+            };
+
+            worker.postMessage({ jobId, task, args });
+        });
+    }
+
+    /**
+     * Cancel the job in flight, if any
+     */
+    cancel() {
+        if (!this.job) return;
+
+        const { reject } = this.job;
+        this.job = null;
+        this.terminateWorker();
+        reject(new DOMException('Task cancelled', 'AbortError'));
+    }
+
+    /**
+     * Get the worker, starting it if needed
+     */
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./taskWorker.js', import.meta.url), { type: 'module' });
+        }
+        return this.worker;
+    }
+
+    /**
+     * Stop the worker
+     */
+    terminateWorker() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+    }
+}
@@ -0,0 +1,20 @@
+/**
+ * Background Task Worker
+ *
+ * Runs one of the TASKS of taskRunner.js off the main thread.
+ *
+ * Messages in:  { jobId, task, args }
+ * Messages out: { jobId, result } or { jobId, error }
+ */
+
+import { TASKS } from './taskRunner.js';
+
+self.onmessage = (event) => {
+    const { jobId, task, args } = event.data;
+
+    try {
+        self.postMessage({ jobId, result: TASKS[task](args) });
+    } catch (error) {
+        self.postMessage({ jobId, error: error.message });
+    }
+};
@@ -0,0 +1,310 @@
+/**
+ * Triangle Meshes
+ *
+ * Indexed triangle meshes { positions, indices } as used by
+ * printableMesh.js: positions a flat [x, y, z, …] array and indices
+ * triangle corners, counter-clockwise seen from outside. This module
+ * reads them from OBJ and STL files, builds a few built-in shapes and
+ * answers basic questions about them (bounds, volume, closedness).
+ *
+ * STL files store every triangle's corners separately, so parsed meshes
+ * are welded: corners at the same position share a vertex.
+ */
+
+/**
+ * Parse a Wavefront OBJ file (polygons are fan-triangulated; texture and
+ * normal indices are ignored)
+ * @param {string} text - OBJ file contents
+ * @returns {{positions: Array<number>, indices: Array<number>}} Triangle mesh
+ */
+export function parseOBJ(text) {
+    const positions = [];
+    const indices = [];
+
+    for (const line of text.split('\n')) {
+        const parts = line.trim().split(/\s+/);
+        if (parts[0] === 'v') {
+            positions.push(parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3]));
+        } else if (parts[0] === 'f') {
+            const vertexCount = positions.length / 3;
+            const face = parts.slice(1).map(part => {
+                const index = parseInt(part.split('/')[0], 10);
+                // Negative indices count back from the last vertex
+                return index < 0 ? vertexCount + index : index - 1;
+            });
+            for (let i = 1; i < face.length - 1; i++) {
+                indices.push(face[0], face[i], face[i + 1]);
+            }
+        }
+    }
+
+    return { positions, indices };
+}
+
+/**
+ * Parse an STL file, ASCII or binary
+ * @param {ArrayBuffer|string} data - STL file contents
+ * @returns {{positions: Array<number>, indices: Array<number>}} Welded triangle mesh
+ */
+export function parseSTL(data) {
+    const text = typeof data === 'string' ? data : null;
+    const isASCII = text !== null || (() => {
+        // Binary files may also start with "solid"; their size gives them away
+        const view = new DataView(data);
+        if (data.byteLength < 84) return true;
+        return 84 + 50 * view.getUint32(80, true) !== data.byteLength;
+    })();
+
+    const positions = [];
+    if (isASCII) {
+        const source = text ?? new TextDecoder().decode(data);
+        const pattern = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+        let match;
+        while ((match = pattern.exec(source)) !== null) {
+            positions.push(parseFloat(match[1]), parseFloat(match[2]), parseFloat(match[3]));
+        }
+    } else {
+        const view = new DataView(data);
+        const count = view.getUint32(80, true);
+        for (let t = 0; t < count; t++) {
+            // Skip the normal; read the three corners
+            const offset = 84 + 50 * t + 12;
+            for (let k = 0; k < 9; k++) {
+                positions.push(view.getFloat32(offset + 4 * k, true));
+            }
+        }
+    }
+
+    const indices = Array.from({ length: positions.length / 3 }, (value, i) => i);
+    return weldMesh({ positions, indices });
+}
+
+/**
+ * Merge vertices closer than a tolerance and drop the triangles that
+ * collapse
+ * @param {{positions: Array<number>, indices: Array<number>}} mesh - Triangle mesh
+ * @param {number} tolerance - Merge distance, relative to the mesh size
+ * @returns {{positions: Array<number>, indices: Array<number>, triangles: Array<number>}}
+ *          Welded mesh, with the index of the input triangle each output triangle
+ *          comes from
+ */
+export function weldMesh(mesh, tolerance = 1e-9) {
+    const { min, max } = getMeshBounds(mesh);
+    const size = Math.max(max.x - min.x, max.y - min.y, max.z - min.z, 1e-12);
+    const distance = tolerance * size;
+    const cell = 4 * distance;
+
+    const positions = [];
+    const buckets = new Map();
+    const remap = [];
+    for (let i = 0; i < mesh.positions.length / 3; i++) {
+        const x = mesh.positions[3 * i];
+        const y = mesh.positions[3 * i + 1];
+        const z = mesh.positions[3 * i + 2];
+        const bx = Math.floor(x / cell);
+        const by = Math.floor(y / cell);
+        const bz = Math.floor(z / cell);
+
+        let found = -1;
+        for (let dx = -1; dx <= 1 && found < 0; dx++) {
+            for (let dy = -1; dy <= 1 && found < 0; dy++) {
+                for (let dz = -1; dz <= 1 && found < 0; dz++) {
+                    for (const id of buckets.get(`${bx + dx},${by + dy},${bz + dz}`) ?? []) {
+                        const px = positions[3 * id] - x;
+                        const py = positions[3 * id + 1] - y;
+                        const pz = positions[3 * id + 2] - z;
+                        if (Math.hypot(px, py, pz) <= distance) {
+                            found = id;
+                            break;
+                        }
+                    }
+                }
+            }
+        }
+
+        if (found < 0) {
+            found = positions.length / 3;
+            positions.push(x, y, z);
+            const key = `${bx},${by},${bz}`;
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(found);
+        }
+        remap.push(found);
+    }
+
+    const indices = [];
+    const triangles = [];
+    for (let t = 0; t < mesh.indices.length; t += 3) {
+        const a = remap[mesh.indices[t]];
+        const b = remap[mesh.indices[t + 1]];
+        const c = remap[mesh.indices[t + 2]];
+        if (a !== b && b !== c && c !== a) {
+            indices.push(a, b, c);
+            triangles.push(t / 3);
+        }
+    }
+
+    return { positions, indices, triangles };
+}
+
+/**
+ * Build a built-in closed shape
+ * @param {'box'|'sphere'|'torus'} shape - Shape name (the torus is not convex)
+ * @param {Object} options - Shape options
+ * @param {{x, y, z}} options.center - Shape center
+ * @param {number} options.size - Overall width
+ * @param {number} options.segments - Tessellation detail of curved shapes
+ * @returns {{positions: Array<number>, indices: Array<number>}} Triangle mesh
+ */
+export function createShapeMesh(shape, options = {}) {
+    const { center = { x: 0, y: 0, z: 0 }, size = 2, segments = 24 } = options;
+    const positions = [];
+    const indices = [];
+    const push = (x, y, z) => {
+        positions.push(center.x + x, center.y + y, center.z + z);
+        return positions.length / 3 - 1;
+    };
+
+    if (shape === 'box') {
+        const h = size / 2;
+        for (let k = 0; k < 8; k++) {
+            push(k & 1 ? h : -h, k & 2 ? h : -h, k & 4 ? h : -h);
+        }
+        // Two triangles per face, counter-clockwise seen from outside
+        const quads = [[0, 2, 3, 1], [4, 5, 7, 6], [0, 1, 5, 4], [2, 6, 7, 3], [0, 4, 6, 2], [1, 3, 7, 5]];
+        for (const [a, b, c, d] of quads) indices.push(a, b, c, a, c, d);
+    } else if (shape === 'sphere') {
+        const radius = size / 2;
+        const rings = Math.max(2, Math.round(segments / 2));
+        const top = push(0, 0, radius);
+        const bottom = push(0, 0, -radius);
+        const ring = [];
+        for (let k = 1; k < rings; k++) {
+            const polar = (Math.PI * k) / rings;
+            ring.push([]);
+            for (let j = 0; j < segments; j++) {
+                const azimuth = (2 * Math.PI * j) / segments;
+                ring[k - 1].push(push(
+                    radius * Math.sin(polar) * Math.cos(azimuth),
+                    radius * Math.sin(polar) * Math.sin(azimuth),
+                    radius * Math.cos(polar)
+                ));
+            }
+        }
+        for (let j = 0; j < segments; j++) {
+            const next = (j + 1) % segments;
+            indices.push(top, ring[0][j], ring[0][next]);
+            indices.push(bottom, ring[rings - 2][next], ring[rings - 2][j]);
+            for (let k = 0; k < rings - 2; k++) {
+                indices.push(ring[k][j], ring[k + 1][j], ring[k + 1][next]);
+                indices.push(ring[k][j], ring[k + 1][next], ring[k][next]);
+            }
+        }
+    } else if (shape === 'torus') {
+        const major = size * 0.3;
+        const minor = size * 0.2;
+        const tube = Math.max(3, Math.round(segments / 2));
+        const grid = [];
+        for (let i = 0; i < segments; i++) {
+            const around = (2 * Math.PI * i) / segments;
+            grid.push([]);
+            for (let j = 0; j < tube; j++) {
+                const angle = (2 * Math.PI * j) / tube;
+                const r = major + minor * Math.cos(angle);
+                grid[i].push(push(r * Math.cos(around), r * Math.sin(around), minor * Math.sin(angle)));
+            }
+        }
+        for (let i = 0; i < segments; i++) {
+            const nextI = (i + 1) % segments;
+            for (let j = 0; j < tube; j++) {
+                const nextJ = (j + 1) % tube;
+                indices.push(grid[i][j], grid[nextI][j], grid[nextI][nextJ]);
+                indices.push(grid[i][j], grid[nextI][nextJ], grid[i][nextJ]);
+            }
+        }
+    } else {
+        throw new Error(`Unknown shape: ${shape}`);
+    }
+
+    return { positions, indices };
+}
+
+/**
+ * Axis-aligned bounds of a mesh
+ * @returns {{min: {x, y, z}, max: {x, y, z}}}
+ */
+export function getMeshBounds(mesh) {
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+    const { positions } = mesh;
+    for (let i = 0; i < positions.length; i += 3) {
+        min.x = Math.min(min.x, positions[i]);
+        min.y = Math.min(min.y, positions[i + 1]);
+        min.z = Math.min(min.z, positions[i + 2]);
+        max.x = Math.max(max.x, positions[i]);
+        max.y = Math.max(max.y, positions[i + 1]);
+        max.z = Math.max(max.z, positions[i + 2]);
+    }
+    return { min, max };
+}
+
+/**
+ * Scale and move a mesh uniformly so that it fits centered in a box
+ * @param {{positions: Array<number>, indices: Array<number>}} mesh - Triangle mesh
+ * @param {{min: {x, y, z}, max: {x, y, z}}} bounds - Target box
+ * @returns {{positions: Array<number>, indices: Array<number>}} Moved mesh
+ */
+export function fitMeshToBounds(mesh, bounds) {
+    const { min, max } = getMeshBounds(mesh);
+    const scale = Math.min(
+        (bounds.max.x - bounds.min.x) / Math.max(max.x - min.x, 1e-12),
+        (bounds.max.y - bounds.min.y) / Math.max(max.y - min.y, 1e-12),
+        (bounds.max.z - bounds.min.z) / Math.max(max.z - min.z, 1e-12)
+    );
+    const from = [(min.x + max.x) / 2, (min.y + max.y) / 2, (min.z + max.z) / 2];
+    const to = [
+        (bounds.min.x + bounds.max.x) / 2,
+        (bounds.min.y + bounds.max.y) / 2,
+        (bounds.min.z + bounds.max.z) / 2,
+    ];
+
+    return {
+        positions: mesh.positions.map((value, i) => to[i % 3] + scale * (value - from[i % 3])),
+        indices: [...mesh.indices],
+    };
+}
+
+/**
+ * Enclosed volume of a closed mesh (negative if it is inside out)
+ */
+export function getMeshVolume(mesh) {
+    const { positions, indices } = mesh;
+    let volume = 0;
+    for (let t = 0; t < indices.length; t += 3) {
+        const a = 3 * indices[t], b = 3 * indices[t + 1], c = 3 * indices[t + 2];
+        volume += positions[a] * (positions[b + 1] * positions[c + 2] - positions[b + 2] * positions[c + 1]) -
+            positions[a + 1] * (positions[b] * positions[c + 2] - positions[b + 2] * positions[c]) +
+            positions[a + 2] * (positions[b] * positions[c + 1] - positions[b + 1] * positions[c]);
+    }
+    return volume / 6;
+}
+
+/**
+ * Check that a mesh is closed and consistently oriented: every directed
+ * edge appears once and is matched by its reverse
+ */
+export function isClosedMesh(mesh) {
+    const { indices } = mesh;
+    const edges = new Map();
+    for (let t = 0; t < indices.length; t += 3) {
+        for (let k = 0; k < 3; k++) {
+            const key = `${indices[t + k]},${indices[t + (k + 1) % 3]}`;
+            edges.set(key, (edges.get(key) ?? 0) + 1);
+        }
+    }
+    for (const [key, count] of edges) {
+        const [a, b] = key.split(',');
+        if (count !== 1 || edges.get(`${b},${a}`) !== 1) return false;
+    }
+    return true;
+}
@@ -5,6 +5,9 @@
  * sliders, and educational content display.
  */
 
+import { formatVoronoiIndex } from './voronoiIndex.js';
+import { STRUCTURE_TYPES } from './structureTypes.js';
+
 let api = null;
 let isPanelVisible = true;
 
@@ -17,6 +20,11 @@ export function initUI(appApi) {
     
     setupToggleButtons();
     setupSliders();
+    setupContainerSelector();
+    setupColorModeSelector();
+    setupFractureControls();
+    setupSubdivisionSelector();
+    setupRelaxationControls();
     setupDistributionSelector();
     setupPanelToggle();
     setupCollapsibleSections();
@@ -32,6 +40,20 @@ export function initUI(appApi) {
 function setupToggleButtons() {
     const togglePoints = document.getElementById('toggle-points');
     const toggleCells = document.getElementById('toggle-cells');
+    const toggleDelaunay = document.getElementById('toggle-delaunay');
+    const toggleSurface = document.getElementById('toggle-surface');
+    const toggleFracture = document.getElementById('toggle-fracture');
+    const toggleValidation = document.getElementById('toggle-validation');
+    const toggleClipping = document.getElementById('toggle-clipping');
+    const toggleProbe = document.getElementById('toggle-probe');
+    const toggleNeighbors = document.getElementById('toggle-neighbors');
+    const toggleEditSeeds = document.getElementById('toggle-edit-seeds');
+    const exportSection = document.getElementById('export-section');
+    const exportOBJ = document.getElementById('export-obj');
+    const exportPLY = document.getElementById('export-ply');
+    const exportInset = document.getElementById('export-inset');
+    const exportStruts = document.getElementById('export-struts');
+    const exportFragments = document.getElementById('export-fragments');
     
     if (togglePoints) {
         togglePoints.addEventListener('click', () => {
@@ -51,6 +73,106 @@ function setupToggleButtons() {
             // (This is a UX decision - can be adjusted)
         });
     }
+    
+    if (toggleDelaunay) {
+        toggleDelaunay.addEventListener('click', () => {
+            const isActive = toggleDelaunay.classList.toggle('active');
+            api.toggleDelaunay(isActive);
+            updateToggleAccessibility(toggleDelaunay, isActive);
+        });
+    }
+    
+    if (toggleSurface) {
+        toggleSurface.addEventListener('click', () => {
+            const isActive = toggleSurface.classList.toggle('active');
+            api.toggleSurface(isActive);
+            updateToggleAccessibility(toggleSurface, isActive);
+        });
+    }
+    
+    if (toggleFracture) {
+        toggleFracture.addEventListener('click', () => {
+            const isActive = toggleFracture.classList.toggle('active');
+            api.toggleFracture(isActive);
+            updateToggleAccessibility(toggleFracture, isActive);
+        });
+    }
+    
+    if (toggleValidation) {
+        toggleValidation.addEventListener('click', () => {
+            const isActive = toggleValidation.classList.toggle('active');
+            api.toggleValidation(isActive);
+            updateToggleAccessibility(toggleValidation, isActive);
+        });
+    }
+    
+    if (toggleClipping) {
+        toggleClipping.addEventListener('click', () => {
+            const isActive = toggleClipping.classList.toggle('active');
+            api.toggleClipping(isActive);
+            updateToggleAccessibility(toggleClipping, isActive);
+        });
+    }
+    
+    if (toggleEditSeeds) {
+        toggleEditSeeds.addEventListener('click', () => {
+            const isActive = toggleEditSeeds.classList.toggle('active');
+            api.toggleSeedEditing(isActive);
+            updateToggleAccessibility(toggleEditSeeds, isActive);
+        });
+    }
+    
+    if (exportSection) {
+        exportSection.addEventListener('click', () => {
+            api.exportSectionSVG();
+        });
+    }
+    
+    if (toggleProbe) {
+        toggleProbe.addEventListener('click', () => {
+            const isActive = toggleProbe.classList.toggle('active');
+            api.toggleProbe(isActive);
+            updateToggleAccessibility(toggleProbe, isActive);
+        });
+    }
+    
+    if (toggleNeighbors) {
+        toggleNeighbors.addEventListener('click', () => {
+            const isActive = toggleNeighbors.classList.toggle('active');
+            api.toggleNeighbors(isActive);
+            updateToggleAccessibility(toggleNeighbors, isActive);
+        });
+    }
+    
+    if (exportOBJ) {
+        exportOBJ.addEventListener('click', () => {
+            api.exportMesh('obj');
+        });
+    }
+    
+    if (exportPLY) {
+        exportPLY.addEventListener('click', () => {
+            api.exportMesh('ply');
+        });
+    }
+    
+    if (exportInset) {
+        exportInset.addEventListener('click', () => {
+            api.exportPrintMesh('inset');
+        });
+    }
+    
+    if (exportStruts) {
+        exportStruts.addEventListener('click', () => {
+            api.exportPrintMesh('struts');
+        });
+    }
+    
+    if (exportFragments) {
+        exportFragments.addEventListener('click', () => {
+            api.exportFragments();
+        });
+    }
 }
 
 /**
@@ -181,6 +303,10 @@ function setupSliders() {
     const gridSizeValue = document.getElementById('grid-size-value');
     const layerSpacingSlider = document.getElementById('layer-spacing');
     const layerSpacingValue = document.getElementById('layer-spacing-value');
+    const stretchSlider = document.getElementById('stretch');
+    const stretchValue = document.getElementById('stretch-value');
+    const thicknessSlider = document.getElementById('print-thickness');
+    const thicknessValue = document.getElementById('print-thickness-value');
     
     if (gridSizeSlider && gridSizeValue) {
         // Set initial value display
@@ -209,6 +335,547 @@ function setupSliders() {
             api.setLayerSpacing(spacing);
         });
     }
+    
+    if (stretchSlider && stretchValue) {
+        updateStretchDisplay(stretchSlider.value, stretchValue);
+        
+        stretchSlider.addEventListener('input', (e) => {
+            updateStretchDisplay(e.target.value, stretchValue);
+        });
+        
+        stretchSlider.addEventListener('change', (e) => {
+            api.setStretch(parseFloat(e.target.value));
+        });
+    }
+    
+    if (thicknessSlider && thicknessValue) {
+        updateThicknessDisplay(thicknessSlider.value, thicknessValue);
+        
+        thicknessSlider.addEventListener('input', (e) => {
+            updateThicknessDisplay(e.target.value, thicknessValue);
+            api.setPrintThickness(parseFloat(e.target.value));
+        });
+    }
+}
+
+/**
+ * Set up container shape buttons
+ */
+function setupContainerSelector() {
+    const selector = document.getElementById('container-selector');
+    if (!selector) return;
+    
+    selector.addEventListener('click', (e) => {
+        const option = e.target.closest('[data-container]');
+        if (!option || option.classList.contains('active')) return;
+        
+        const shape = option.dataset.container;
+        api.setContainerShape(shape);
+        updateContainerSelector(shape);
+    });
+}
+
+/**
+ * Highlight the active container shape button
+ */
+function updateContainerSelector(shape) {
+    const selector = document.getElementById('container-selector');
+    if (!selector) return;
+    
+    selector.querySelectorAll('[data-container]').forEach(btn => {
+        const isActive = btn.dataset.container === shape;
+        btn.classList.toggle('active', isActive);
+        updateToggleAccessibility(btn, isActive);
+    });
+}
+
+/**
+ * Set up the fracture mesh buttons; Import opens a file picker for an OBJ
+ * or STL mesh
+ */
+function setupFractureControls() {
+    const selector = document.getElementById('fracture-shape-selector');
+    const fileInput = document.getElementById('fracture-file');
+    if (!selector) return;
+    
+    selector.addEventListener('click', (e) => {
+        const option = e.target.closest('[data-fracture-shape]');
+        if (!option) return;
+        
+        const shape = option.dataset.fractureShape;
+        if (shape === 'import') {
+            if (fileInput) fileInput.click();
+            return;
+        }
+        if (option.classList.contains('active')) return;
+        
+        api.setFractureShape(shape);
+        updateFractureShapeSelector(shape);
+    });
+    
+    if (fileInput) {
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            
+            api.importFractureMesh(file)
+                .then(() => updateFractureShapeSelector('import'))
+                .catch(error => {
+                    const hint = document.getElementById('fracture-hint');
+                    if (hint) hint.textContent = error.message;
+                });
+        });
+    }
+}
+
+/**
+ * Highlight the active fracture mesh button
+ */
+function updateFractureShapeSelector(shape) {
+    const selector = document.getElementById('fracture-shape-selector');
+    if (!selector) return;
+    
+    selector.querySelectorAll('[data-fracture-shape]').forEach(btn => {
+        const isActive = btn.dataset.fractureShape === shape;
+        btn.classList.toggle('active', isActive);
+        updateToggleAccessibility(btn, isActive);
+    });
+}
+
+/**
+ * Set up the subdivision depth buttons
+ */
+function setupSubdivisionSelector() {
+    const selector = document.getElementById('subdivision-selector');
+    if (!selector) return;
+    
+    selector.addEventListener('click', (e) => {
+        const option = e.target.closest('[data-subdivision-levels]');
+        if (!option || option.classList.contains('active')) return;
+        
+        const levels = parseInt(option.dataset.subdivisionLevels, 10);
+        api.setSubdivisionLevels(levels);
+        updateSubdivisionSelector(levels);
+    });
+}
+
+/**
+ * Highlight the active subdivision depth button
+ */
+function updateSubdivisionSelector(levels) {
+    const selector = document.getElementById('subdivision-selector');
+    if (!selector) return;
+    
+    selector.querySelectorAll('[data-subdivision-levels]').forEach(btn => {
+        const isActive = parseInt(btn.dataset.subdivisionLevels, 10) === levels;
+        btn.classList.toggle('active', isActive);
+        updateToggleAccessibility(btn, isActive);
+    });
+}
+
+/**
+ * Set up the cell color mode buttons
+ */
+function setupColorModeSelector() {
+    const selector = document.getElementById('color-mode-selector');
+    if (!selector) return;
+    
+    selector.addEventListener('click', (e) => {
+        const option = e.target.closest('[data-color-mode]');
+        if (!option || option.classList.contains('active')) return;
+        
+        const mode = option.dataset.colorMode;
+        api.setColorMode(mode);
+        updateColorModeSelector(mode);
+    });
+}
+
+/**
+ * Highlight the active color mode button
+ */
+function updateColorModeSelector(mode) {
+    const selector = document.getElementById('color-mode-selector');
+    if (!selector) return;
+    
+    selector.querySelectorAll('[data-color-mode]').forEach(btn => {
+        const isActive = btn.dataset.colorMode === mode;
+        btn.classList.toggle('active', isActive);
+        updateToggleAccessibility(btn, isActive);
+    });
+}
+
+/**
+ * Set up Lloyd relaxation step/play buttons
+ */
+function setupRelaxationControls() {
+    const stepBtn = document.getElementById('relax-step');
+    const playBtn = document.getElementById('relax-play');
+    
+    if (stepBtn) {
+        stepBtn.addEventListener('click', () => {
+            api.stepRelaxation();
+        });
+    }
+    
+    if (playBtn) {
+        playBtn.addEventListener('click', () => {
+            const isActive = playBtn.classList.toggle('active');
+            api.setRelaxationPlaying(isActive);
+            updateToggleAccessibility(playBtn, isActive);
+        });
+    }
+}
+
+/**
+ * Show relaxation progress: iteration, energy and its per-iteration curve
+ * @param {Object|null} status - Relaxation status with energyHistory, or null to reset
+ */
+export function updateRelaxationPanel(status) {
+    const statusText = document.getElementById('relax-status');
+    const chart = document.getElementById('relax-chart');
+    const playBtn = document.getElementById('relax-play');
+    
+    if (playBtn) {
+        const isPlaying = !!status?.playing;
+        playBtn.classList.toggle('active', isPlaying);
+        updateToggleAccessibility(playBtn, isPlaying);
+    }
+    
+    if (statusText) {
+        if (!status) {
+            statusText.textContent = 'Move each seed to its cell centroid';
+        } else {
+            const initial = status.energyHistory[0];
+            const change = initial > 0 ? (status.energy - initial) / initial * 100 : 0;
+            statusText.textContent = `Iteration ${status.iteration} · energy ${status.energy.toFixed(3)} ` +
+                `(${change.toFixed(1)}%)${status.converged ? ' · converged' : ''}`;
+        }
+    }
+    
+    if (chart) {
+        drawEnergyChart(chart, status ? status.energyHistory : []);
+    }
+}
+
+/**
+ * Draw the energy per iteration as a line chart
+ */
+function drawEnergyChart(canvas, energies) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+    
+    canvas.classList.toggle('visible', energies.length > 1);
+    if (energies.length < 2) return;
+    
+    const min = Math.min(...energies);
+    const max = Math.max(...energies);
+    const range = max - min || 1;
+    const pad = 4;
+    
+    ctx.strokeStyle = getComputedStyle(document.documentElement)
+        .getPropertyValue('--theme-primary').trim() || '#fbbf24';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    energies.forEach((energy, i) => {
+        const x = pad + (i / (energies.length - 1)) * (width - 2 * pad);
+        const y = pad + (1 - (energy - min) / range) * (height - 2 * pad);
+        if (i === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
+        }
+    });
+    ctx.stroke();
+}
+
+/**
+ * Describe the cell under the cursor on the clipping plane
+ * @param {{entry: Object|null, point: Object|null}|null} info - Located cell and
+ *        cursor position, or null when clipping is off
+ */
+export function updateCursorCell(info) {
+    const hint = document.getElementById('cursor-cell');
+    if (!hint) return;
+    
+    if (!info) {
+        hint.textContent = 'Clip the cells to pick the one under the cursor and drag the plane';
+    } else if (!info.entry) {
+        hint.textContent = 'No cell under the cursor';
+    } else {
+        const { entry, point } = info;
+        const neighbors = entry.neighbors.filter(n => n >= 0).length;
+        hint.textContent = `Cell #${entry.index} · volume ${entry.cell.getVolume().toFixed(3)} · ` +
+            `${neighbors} neighbors · at (${point.x.toFixed(2)}, ${point.y.toFixed(2)}, ${point.z.toFixed(2)})`;
+    }
+}
+
+/**
+ * List the cells crossed by the probe ray
+ * @param {Array|null} steps - Steps from traceRay, or null when probing is off
+ */
+export function updateProbePanel(steps) {
+    const hint = document.getElementById('probe-hint');
+    const list = document.getElementById('probe-cells');
+    if (!hint || !list) return;
+    
+    list.classList.toggle('visible', !!steps && steps.length > 0);
+    list.innerHTML = '';
+    
+    if (!steps) {
+        hint.textContent = 'Click the scene to shoot a ray along the view direction';
+        return;
+    }
+    if (steps.length === 0) {
+        hint.textContent = 'Click a cell to shoot a ray through it';
+        return;
+    }
+    
+    const last = steps[steps.length - 1];
+    hint.textContent = `${steps.length} cells crossed over ` +
+        `${(last.tExit - steps[0].tEnter).toFixed(3)} units`;
+    
+    const shown = steps.slice(0, 40);
+    list.innerHTML = shown.map(({ index, tEnter, tExit }) =>
+        `<div>#${index} · t ${tEnter.toFixed(2)}–${tExit.toFixed(2)} · length ${(tExit - tEnter).toFixed(3)}</div>`
+    ).join('') + (steps.length > shown.length ? `<div>… (+${steps.length - shown.length})</div>` : '');
+}
+
+/**
+ * Describe the adjacency graph and the neighbor shells of the selected cell
+ * @param {Object|null} report - { index, shells, path, target, degrees, componentCount }
+ *        with index the selected cell (or null), shells the sizes of its neighbor
+ *        shells, path the steps to the target cell (null if none or unreachable)
+ *        and degrees from CellGraph.getDegreeDistribution; null when picking is off
+ */
+export function updateNeighborPanel(report) {
+    const hint = document.getElementById('neighbor-hint');
+    const list = document.getElementById('neighbor-report');
+    if (!hint || !list) return;
+    
+    list.classList.toggle('visible', !!report);
+    list.innerHTML = '';
+    
+    if (!report) {
+        hint.textContent = 'Click a cell to show its neighbor shells in the adjacency graph';
+        return;
+    }
+    
+    const { index, shells, path, target, degrees, componentCount } = report;
+    if (index === null) {
+        hint.textContent = 'Click a cell to show its neighbor shells in the adjacency graph';
+    } else {
+        const [first = 0, second = 0] = shells;
+        hint.textContent = `Cell #${index} · ${first} neighbors · ${second} in the second shell`;
+        if (target !== null) {
+            hint.textContent += path !== null
+                ? ` · ${path} steps to #${target}`
+                : ` · #${target} not reachable`;
+        }
+    }
+    
+    const counts = [...degrees.counts].sort((a, b) => a[0] - b[0]);
+    list.innerHTML =
+        `<div>Coordination number: mean ${degrees.mean.toFixed(2)} · range ${degrees.min}–${degrees.max}</div>` +
+        `<div>${componentCount} connected component${componentCount === 1 ? '' : 's'}</div>` +
+        counts.map(([degree, count]) => `<div>${degree} neighbors · ${count} cells</div>`).join('');
+}
+
+/**
+ * Show the most common cell shapes by Voronoi index
+ * @param {Object} statistics - Output from computeVoronoiIndexStatistics with
+ *        interiorOnly set (cells on or next to the container left out)
+ */
+export function updateShapePanel(statistics) {
+    const hint = document.getElementById('shape-hint');
+    const list = document.getElementById('shape-types');
+    if (!hint || !list) return;
+    
+    const { cells, cellCount, types, faceOrders } = statistics;
+    list.classList.toggle('visible', cellCount > 0);
+    if (cellCount === 0) {
+        hint.textContent = cells.length === 0
+            ? 'No cells'
+            : `No interior cells: all ${cells.length} cells are on or next to the container (try a larger grid)`;
+        list.innerHTML = '';
+        return;
+    }
+    
+    const faceCount = faceOrders.reduce((sum, count) => sum + count, 0);
+    const edgeCount = faceOrders.reduce((sum, count, order) => sum + count * order, 0);
+    hint.textContent = `${cellCount} interior cells · ${types.length} types · ` +
+        `${(faceCount / cellCount).toFixed(1)} faces, ${(edgeCount / faceCount).toFixed(2)} edges per face`;
+    
+    const shown = types.slice(0, 5);
+    const orders = faceOrders
+        .map((count, order) => count > 0 ? `${order}: ${Math.round(100 * count / faceCount)}%` : null)
+        .filter(Boolean);
+    list.innerHTML = shown.map(({ name, voronoiIndex, count, fraction }) =>
+        `<div>${name ?? 'irregular'} ${formatVoronoiIndex(voronoiIndex)} · ${count} (${Math.round(100 * fraction)}%)</div>`
+    ).join('') +
+        (types.length > shown.length ? `<div>… (+${types.length - shown.length} types)</div>` : '') +
+        `<div class="validation-cells">Faces by edges: ${orders.join(' · ')}</div>`;
+}
+
+/**
+ * Report the region areas of the spherical Voronoi diagrams
+ * @param {Array<{radius, unbounded, distribution}>|null} spheres - One entry per
+ *        sphere (distribution from getAreaDistribution), or null when off
+ */
+export function updateSurfacePanel(spheres) {
+    const hint = document.getElementById('surface-hint');
+    const report = document.getElementById('surface-report');
+    const chart = document.getElementById('surface-chart');
+    if (!hint || !report) return;
+    
+    const hasRegions = !!spheres && spheres.some(({ distribution }) => distribution.count > 0);
+    report.classList.toggle('visible', hasRegions);
+    report.innerHTML = '';
+    
+    if (!spheres) {
+        hint.textContent = 'Voronoi regions on the spheres the seeds lie on';
+    } else if (spheres.length === 0) {
+        hint.textContent = 'No seeds share a sphere in this distribution';
+    } else {
+        const regionCount = spheres.reduce((sum, { distribution }) => sum + distribution.count, 0);
+        hint.textContent = `${spheres.length} sphere${spheres.length > 1 ? 's' : ''} · ${regionCount} regions`;
+        report.innerHTML = spheres.map(({ radius, unbounded, distribution: d }) =>
+            `<div>r ${radius.toFixed(2)} · ${d.count} regions · mean area ${d.mean.toFixed(3)} · ` +
+            `σ ${(100 * d.variation).toFixed(1)}% · min/max ${(d.max > 0 ? d.min / d.max : 0).toFixed(2)}` +
+            `${unbounded > 0 ? ` · ${unbounded} unbounded` : ''}</div>`
+        ).join('');
+    }
+    
+    // Histogram of the sphere with the most regions
+    if (chart) {
+        const largest = hasRegions
+            ? spheres.reduce((best, sphere) => sphere.distribution.count > best.distribution.count ? sphere : best)
+            : null;
+        drawHistogram(chart, largest ? largest.distribution.histogram : []);
+    }
+}
+
+/**
+ * Report the fragments of the fractured mesh
+ * @param {{convex, fragmentCount, interiorCount, rejectedCount}|{pending: true}|null} report -
+ *        Fracture summary, pending while the fragments are computed, or null when the
+ *        fracture view is off
+ */
+export function updateFracturePanel(report) {
+    const hint = document.getElementById('fracture-hint');
+    if (!hint) return;
+    
+    if (!report) {
+        hint.textContent = 'Shatter a mesh into the cells of the current seeds';
+    } else if (report.pending) {
+        hint.textContent = 'Shattering…';
+    } else {
+        hint.textContent = `${report.fragmentCount} fragments · ${report.interiorCount} interior triangles · ` +
+            `${report.convex ? 'convex, clipped by its planes' : 'non-convex, clipped as a polygon soup'}`;
+        if (report.rejectedCount > 0) {
+            hint.textContent += ` · ${report.rejectedCount} open fragments left out`;
+        }
+    }
+}
+
+/**
+ * Report the cells of the recursive subdivision
+ * @param {{cellCount, levelCounts}|null} report - Subdivision summary with the number
+ *        of leaf cells at each level, or null when subdivision is off
+ */
+export function updateSubdivisionPanel(report) {
+    const hint = document.getElementById('subdivision-hint');
+    if (!hint) return;
+    
+    if (!report) {
+        hint.textContent = 'Recursively split cells into multi-scale grains';
+    } else {
+        const levels = report.levelCounts
+            .map((count, level) => ({ count, level }))
+            .filter(({ count }) => count > 0)
+            .map(({ count, level }) => `${count} at level ${level}`);
+        hint.textContent = `${report.cellCount} cells · ${levels.join(' · ')}`;
+    }
+}
+
+/**
+ * Draw a histogram as bars
+ */
+function drawHistogram(canvas, counts) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+    
+    canvas.classList.toggle('visible', counts.length > 0);
+    if (counts.length === 0) return;
+    
+    const max = Math.max(...counts) || 1;
+    const pad = 4;
+    const barWidth = (width - 2 * pad) / counts.length;
+    
+    ctx.fillStyle = getComputedStyle(document.documentElement)
+        .getPropertyValue('--theme-primary').trim() || '#fbbf24';
+    counts.forEach((count, i) => {
+        const barHeight = (count / max) * (height - 2 * pad);
+        ctx.fillRect(pad + i * barWidth + 1, height - pad - barHeight, barWidth - 2, barHeight);
+    });
+}
+
+/**
+ * Show how many seeds have each crystal structure, as a color legend
+ * @param {Object|null} counts - Counts from classifyStructures, or null when
+ *        cells are not colored by structure
+ */
+export function updateStructurePanel(counts) {
+    const legend = document.getElementById('structure-legend');
+    if (!legend) return;
+    
+    legend.classList.toggle('visible', !!counts);
+    if (!counts) {
+        legend.innerHTML = '';
+        return;
+    }
+    
+    const toCSS = (color) => `#${color.toString(16).padStart(6, '0')}`;
+    legend.innerHTML = Object.values(STRUCTURE_TYPES).map(({ id, name, fill }) =>
+        `<div><span class="structure-swatch" style="background: ${toCSS(fill)}"></span>${name} · ${counts[id]}</div>`
+    ).join('');
+}
+
+/**
+ * Show a tessellation validation report in the debug panel
+ * @param {Object|null} report - Output from validateTessellation, or null to hide
+ */
+export function updateValidationPanel(report) {
+    const panel = document.getElementById('validation-report');
+    if (!panel) return;
+    
+    panel.classList.toggle('visible', !!report);
+    if (!report) {
+        panel.innerHTML = '';
+        return;
+    }
+    
+    panel.classList.toggle('invalid', !report.valid);
+    
+    const shownCells = report.brokenCells.slice(0, 24).join(', ');
+    const moreCells = report.brokenCells.length > 24 ? ` … (+${report.brokenCells.length - 24})` : '';
+    
+    panel.innerHTML = `
+        <div class="validation-status">${report.valid ? '✓ Tessellation is consistent' : '✗ Tessellation has errors'}</div>
+        <div>Volume error: ${report.volume.relativeError.toExponential(1)}</div>
+        <div>Unmatched faces: ${report.unmatchedFaces.length}</div>
+        <div>Euler failures: ${report.eulerFailures.length}</div>
+        <div>Open cells: ${report.openCells.length}</div>
+        <div>Seeds outside cell: ${report.seedsOutside.length}</div>
+        ${report.capFallbacks.length > 0
+            ? `<div>Angle-sorted caps: ${report.capFallbacks.length} cells</div>`
+            : ''}
+        ${report.brokenCells.length > 0
+            ? `<div class="validation-cells">Broken cells: ${shownCells}${moreCells}</div>`
+            : ''}
+    `;
 }
 
 /**
@@ -225,6 +892,20 @@ function updateLayerSpacingDisplay(value, element) {
     element.textContent = parseFloat(value).toFixed(1);
 }
 
+/**
+ * Update cell stretch display text
+ */
+function updateStretchDisplay(value, element) {
+    element.textContent = `${parseFloat(value).toFixed(1)}×`;
+}
+
+/**
+ * Update print thickness display text
+ */
+function updateThicknessDisplay(value, element) {
+    element.textContent = parseFloat(value).toFixed(2);
+}
+
 /**
  * Set up panel hide/show toggle
  */
@@ -238,6 +919,7 @@ function setupPanelToggle() {
     
     const togglePanel = (show) => {
         isPanelVisible = show;
+        api.setPanelVisible(show);
         panel.classList.toggle('hidden', !show);
         restoreBtn.classList.toggle('visible', !show);
         if (keyboardHint) {
@@ -359,6 +1041,14 @@ function setupKeyboardShortcuts() {
                 }
                 break;
                 
+            case 'd':
+                // Toggle Delaunay edges
+                const toggleDelaunay = document.getElementById('toggle-delaunay');
+                if (toggleDelaunay) {
+                    toggleDelaunay.click();
+                }
+                break;
+                
             case 'b':
                 // Toggle both
                 const tp = document.getElementById('toggle-points');
@@ -442,6 +1132,7 @@ function showKeyboardHelp() {
                     <h4>Visualization</h4>
                     <div class="shortcut-row"><kbd>P</kbd><span>Toggle seed points</span></div>
                     <div class="shortcut-row"><kbd>C</kbd><span>Toggle Voronoi cells</span></div>
+                    <div class="shortcut-row"><kbd>D</kbd><span>Toggle Delaunay edges</span></div>
                     <div class="shortcut-row"><kbd>B</kbd><span>Toggle both</span></div>
                 </div>
                 <div class="help-section">
@@ -711,8 +1402,11 @@ export function showNotification(message, duration = 2500) {
 export function syncUIState(state) {
     const togglePoints = document.getElementById('toggle-points');
     const toggleCells = document.getElementById('toggle-cells');
+    const toggleDelaunay = document.getElementById('toggle-delaunay');
     const gridSizeSlider = document.getElementById('grid-size');
     const layerSpacingSlider = document.getElementById('layer-spacing');
+    const stretchSlider = document.getElementById('stretch');
+    const thicknessSlider = document.getElementById('print-thickness');
     
     if (togglePoints) {
         togglePoints.classList.toggle('active', state.showPoints);
@@ -720,6 +1414,9 @@ export function syncUIState(state) {
     if (toggleCells) {
         toggleCells.classList.toggle('active', state.showCells);
     }
+    if (toggleDelaunay) {
+        toggleDelaunay.classList.toggle('active', state.showDelaunay);
+    }
     if (gridSizeSlider) {
         gridSizeSlider.value = state.gridSize;
         const display = document.getElementById('grid-size-value');
@@ -730,6 +1427,27 @@ export function syncUIState(state) {
         const display = document.getElementById('layer-spacing-value');
         if (display) updateLayerSpacingDisplay(state.layerSpacing, display);
     }
+    if (stretchSlider) {
+        stretchSlider.value = state.stretch;
+        const display = document.getElementById('stretch-value');
+        if (display) updateStretchDisplay(state.stretch, display);
+    }
+    if (thicknessSlider) {
+        thicknessSlider.value = state.printThickness;
+        const display = document.getElementById('print-thickness-value');
+        if (display) updateThicknessDisplay(state.printThickness, display);
+    }
+    
+    if (state.containerShape) {
+        updateContainerSelector(state.containerShape);
+    }
+    if (state.colorMode) {
+        updateColorModeSelector(state.colorMode);
+    }
+    if (state.fractureShape) {
+        updateFractureShapeSelector(state.fractureShape);
+    }
+    updateSubdivisionSelector(state.subdivisionLevels);
     
     // Update distribution selector
     const optionsContainer = document.getElementById('distribution-options');
@@ -0,0 +1,186 @@
+/**
+ * Tessellation Validation
+ *
+ * Consistency checks for the output of computeVoronoiCells:
+ * - the cell volumes add up to the container volume
+ * - every interior face is matched by a face of the same area in the
+ *   neighbor cell (through the opposite periodic image)
+ * - every cell is a topological sphere (V - E + F = 2) and a closed,
+ *   consistently oriented 2-manifold
+ * - every seed lies inside its own cell (not required of power cells)
+ *
+ * Cells whose robust cuts fell back to angle-sorted caps are listed too;
+ * they only count as broken if another check fails for them.
+ *
+ * Tolerances are relative: volumes to the container volume, lengths and
+ * areas to the typical cell size (container volume / cell count)^(1/3).
+ */
+
+import { ConvexPolyhedron, hasSeedWeight } from './voronoi3d.js';
+
+/**
+ * Check a tessellation for consistency
+ * @param {Array<{seed, index, cell}>} cells - Output from computeVoronoiCells
+ * @param {ConvexPolyhedron|Object} container - The container polyhedron, or the
+ *        { bounds, padding, walls } the cells were computed with
+ * @param {Object} options - Validation options
+ * @param {number} options.tolerance - Relative tolerance
+ * @returns {Object} Report: { valid, volume, unmatchedFaces, eulerFailures,
+ *          openCells, seedsOutside, capFallbacks, brokenCells } where the lists
+ *          name cells by seed index
+ */
+export function validateTessellation(cells, container, options = {}) {
+    const { tolerance = 1e-6 } = options;
+
+    const containerVolume = getContainerVolume(container);
+    const cellScale = Math.cbrt(containerVolume / Math.max(1, cells.length));
+    const lengthTolerance = tolerance * cellScale;
+    const areaTolerance = tolerance * cellScale * cellScale;
+
+    const faceProperties = new Map(cells.map(({ index, cell }) => [index, cell.getFaceProperties()]));
+
+    // Volumes
+    const totalVolume = cells.reduce((sum, { cell }) => sum + cell.getVolume(), 0);
+    const volumeError = containerVolume > 0
+        ? Math.abs(totalVolume - containerVolume) / containerVolume
+        : Math.abs(totalVolume);
+    const volume = {
+        expected: containerVolume,
+        actual: totalVolume,
+        relativeError: volumeError,
+        ok: volumeError <= tolerance,
+    };
+
+    // Interior faces: total area towards each (neighbor, image) pair must
+    // match the neighbor's total area back through the opposite image
+    const sharedAreas = new Map(cells.map(({ index, cell }) => [
+        index,
+        getSharedAreas(cell, faceProperties.get(index)),
+    ]));
+
+    const unmatchedFaces = [];
+    for (const { index, cell } of cells) {
+        cell.faces.forEach((face, f) => {
+            const neighbor = cell.faceNeighbors[f];
+            if (neighbor === null || neighbor === undefined || neighbor < 0) return;
+
+            const image = cell.faceImages[f];
+            const area = sharedAreas.get(index).get(pairKey(neighbor, image, 1));
+            const neighborArea = sharedAreas.get(neighbor)?.get(pairKey(index, image, -1)) ?? 0;
+
+            // Degenerate faces (zero area) need no partner
+            if (area <= areaTolerance && neighborArea <= areaTolerance) return;
+            if (Math.abs(area - neighborArea) > areaTolerance) {
+                unmatchedFaces.push({
+                    cell: index,
+                    face: f,
+                    neighbor,
+                    image: image ? { ...image } : null,
+                    area: faceProperties.get(index)[f].area,
+                    neighborArea,
+                });
+            }
+        });
+    }
+
+    // Topology
+    const eulerFailures = [];
+    for (const { index, cell } of cells) {
+        const vertexCount = new Set(cell.faces.flat()).size;
+        const edgeCount = cell.getEdges().length;
+        const characteristic = vertexCount - edgeCount + cell.faces.length;
+        if (characteristic !== 2) {
+            eulerFailures.push({
+                cell: index,
+                vertices: vertexCount,
+                edges: edgeCount,
+                faces: cell.faces.length,
+                characteristic,
+            });
+        }
+    }
+
+    const openCells = cells
+        .filter(({ cell }) => !cell.isClosedManifold())
+        .map(({ index }) => index);
+    const capFallbacks = cells
+        .filter(({ cell }) => cell.capFallbacks > 0)
+        .map(({ index, cell }) => ({ cell: index, count: cell.capFallbacks }));
+
+    // Seeds inside their cells (power cells need not contain their seed)
+    const seedsOutside = [];
+    for (const { seed, index } of cells) {
+        if (hasSeedWeight(seed)) continue;
+
+        let distance = -Infinity;
+        for (const { area, normal, centroid } of faceProperties.get(index)) {
+            if (area <= areaTolerance) continue;
+            distance = Math.max(distance,
+                normal.x * (seed.x - centroid.x) +
+                normal.y * (seed.y - centroid.y) +
+                normal.z * (seed.z - centroid.z));
+        }
+        if (distance > lengthTolerance) {
+            seedsOutside.push({ cell: index, distance });
+        }
+    }
+
+    const brokenCells = [...new Set([
+        ...unmatchedFaces.map(failure => failure.cell),
+        ...eulerFailures.map(failure => failure.cell),
+        ...openCells,
+        ...seedsOutside.map(failure => failure.cell),
+    ])].sort((a, b) => a - b);
+
+    return {
+        valid: volume.ok && brokenCells.length === 0,
+        volume,
+        unmatchedFaces,
+        eulerFailures,
+        openCells,
+        seedsOutside,
+        capFallbacks,
+        brokenCells,
+    };
+}
+
+/**
+ * Get the volume of a container polyhedron or of a { bounds, padding, walls } box
+ */
+function getContainerVolume(container) {
+    if (container instanceof ConvexPolyhedron) {
+        return container.getVolume();
+    }
+
+    const { bounds, padding = 0.5, walls = [] } = container;
+    const box = ConvexPolyhedron.createBox(
+        bounds.min.x - padding, bounds.min.y - padding, bounds.min.z - padding,
+        bounds.max.x + padding, bounds.max.y + padding, bounds.max.z + padding
+    );
+    const center = box.getVertexAverage();
+    walls.forEach(wall => wall.cut(box, center));
+    return box.getVolume();
+}
+
+/**
+ * Sum the face areas of a cell per (neighbor, periodic image) pair
+ */
+function getSharedAreas(cell, faceProperties) {
+    const areas = new Map();
+    cell.faces.forEach((face, f) => {
+        const neighbor = cell.faceNeighbors[f];
+        if (neighbor === null || neighbor === undefined || neighbor < 0) return;
+        const key = pairKey(neighbor, cell.faceImages[f], 1);
+        areas.set(key, (areas.get(key) ?? 0) + faceProperties[f].area);
+    });
+    return areas;
+}
+
+/**
+ * Key for a neighbor reached through `image` scaled by `sign`
+ */
+function pairKey(neighbor, image, sign) {
+    if (!image) return `${neighbor}`;
+    // Adding 0 turns -0 into 0
+    return `${neighbor}:${sign * image.x + 0},${sign * image.y + 0},${sign * image.z + 0}`;
+}
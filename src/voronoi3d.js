@@ -7,8 +7,40 @@
  * 3. The resulting convex polyhedron is the Voronoi cell
  */
 
+import { SpatialGrid } from './spatialGrid.js';
+import { CompactPolyhedron, NO_NEIGHBOR, NO_IMAGE } from './compactPolyhedron.js';
+import { createMetric, applyMetric, metricLengthSquared } from './metric.js';
+
 const EPSILON = 1e-10;
 
+/**
+ * Seed count from which computeVoronoiCells builds cells as CompactPolyhedron
+ */
+const COMPACT_SEED_COUNT = 1000;
+
+/**
+ * Neighbor id marking the cap face of the cut made by getSection
+ */
+const SECTION_FACE = 'section';
+
+/**
+ * Neighbor ids of the container box faces (negative, as in Voro++)
+ */
+const BOX_WALLS = {
+    xMin: -1,
+    xMax: -2,
+    yMin: -3,
+    yMax: -4,
+    zMin: -5,
+    zMax: -6,
+};
+
+/**
+ * Neighbor id given to container faces that have no negative id of their
+ * own, e.g. the faces of a cell being subdivided (far below any wall id)
+ */
+const CONTAINER_WALL = -0x40000000;
+
 /**
  * Represents a 3D vector
  */
@@ -97,6 +129,35 @@ class Plane {
         return Plane.fromPointAndNormal(midpoint, normal);
     }
     
+    /**
+     * Create the radical plane between two weighted points (power diagram)
+     * Points on the plane have equal power |x - p|² - w with respect to both,
+     * so it reduces to the perpendicular bisector when the weights are equal
+     */
+    static radicalPlane(p1, w1, p2, w2) {
+        const normal = new Vec3(p2.x - p1.x, p2.y - p1.y, p2.z - p1.z);
+        const distance = normal.length();
+        
+        // Offset of the plane from p1 along the normal
+        const t = (distance * distance + w1 - w2) / (2 * distance);
+        const point = p1.add(normal.scale(t / distance));
+        return Plane.fromPointAndNormal(point, normal);
+    }
+    
+    /**
+     * Create the radical plane between two weighted points with distances
+     * measured in a metric (see metric.js): points on the plane satisfy
+     * |x - p1|²_M - w1 = |x - p2|²_M - w2. Its normal is M(p2 - p1), so it
+     * is tilted against the line between the points unless M is isotropic.
+     */
+    static metricRadicalPlane(p1, w1, p2, w2, metric) {
+        const normal = applyMetric(metric, p2.sub(p1));
+        const length = Math.sqrt(normal.x * normal.x + normal.y * normal.y + normal.z * normal.z);
+        const offset = (metricLengthSquared(metric, p2.x, p2.y, p2.z) -
+            metricLengthSquared(metric, p1.x, p1.y, p1.z) + w1 - w2) / 2;
+        return new Plane(new Vec3(normal.x, normal.y, normal.z), -offset / length);
+    }
+    
     /**
      * Get signed distance from point to plane
      * Positive = in front of plane (in direction of normal)
@@ -114,6 +175,10 @@ class ConvexPolyhedron {
     constructor() {
         this.vertices = [];
         this.faces = [];  // Each face is an array of vertex indices (counter-clockwise when viewed from outside)
+        this.faceNeighbors = [];  // Per face: id of the neighbor seed that cut it, or a negative wall id
+        this.faceImages = [];  // Per face: periodic image {x, y, z} of the neighbor that cut it, or null
+        this.robust = false;  // Use cutWithPlaneRobust for every cut
+        this.capFallbacks = 0;  // Robust cuts whose cap couldn't be stitched and was sorted by angle
     }
     
     /**
@@ -143,10 +208,43 @@ class ConvexPolyhedron {
             [0, 4, 7, 3], // left (x = minX)
             [1, 2, 6, 5], // right (x = maxX)
         ];
+        poly.faceNeighbors = [
+            BOX_WALLS.zMin,
+            BOX_WALLS.zMax,
+            BOX_WALLS.yMin,
+            BOX_WALLS.yMax,
+            BOX_WALLS.xMin,
+            BOX_WALLS.xMax,
+        ];
+        poly.faceImages = poly.faces.map(() => null);
         
         return poly;
     }
     
+    /**
+     * Convert a CompactPolyhedron into a ConvexPolyhedron
+     */
+    static fromCompact(compact) {
+        const poly = new ConvexPolyhedron();
+        const P = compact.positions;
+        for (let i = 0; i < compact.vertexCount; i++) {
+            poly.vertices.push(new Vec3(P[3 * i], P[3 * i + 1], P[3 * i + 2]));
+        }
+        for (let f = 0; f < compact.faceCount; f++) {
+            poly.faces.push(Array.from(
+                compact.faceVertices.subarray(compact.faceStart[f], compact.faceStart[f + 1])
+            ));
+            const neighbor = compact.faceNeighbors[f];
+            poly.faceNeighbors.push(neighbor === NO_NEIGHBOR ? null : neighbor);
+            poly.faceImages.push(compact.faceImages[3 * f] === NO_IMAGE ? null : {
+                x: compact.faceImages[3 * f],
+                y: compact.faceImages[3 * f + 1],
+                z: compact.faceImages[3 * f + 2]
+            });
+        }
+        return poly;
+    }
+    
     /**
      * Clone this polyhedron
      */
@@ -154,14 +252,26 @@ class ConvexPolyhedron {
         const poly = new ConvexPolyhedron();
         poly.vertices = this.vertices.map(v => v.clone());
         poly.faces = this.faces.map(f => [...f]);
+        poly.faceNeighbors = [...this.faceNeighbors];
+        poly.faceImages = this.faceImages.map(image => image && { ...image });
+        poly.robust = this.robust;
+        poly.capFallbacks = this.capFallbacks;
         return poly;
     }
     
     /**
      * Cut the polyhedron with a plane, keeping the negative half-space
      * (the side opposite to the plane normal)
+     * @param {Plane} plane - Cutting plane
+     * @param {number|null} neighbor - Neighbor seed id (or negative wall id) recorded on the new cap face
+     * @param {Object|null} image - Periodic image recorded on the new cap face
      */
-    cutWithPlane(plane) {
+    cutWithPlane(plane, neighbor = null, image = null) {
+        if (this.robust) {
+            this.cutWithPlaneRobust(plane, neighbor, image);
+            return;
+        }
+        
         // Classify each vertex as inside (negative), outside (positive), or on the plane
         const distances = this.vertices.map(v => plane.signedDistance(v));
         const INSIDE = -1, ON = 0, OUTSIDE = 1;
@@ -187,12 +297,16 @@ class ConvexPolyhedron {
             // All vertices are outside or on the plane - cell is completely cut away
             this.vertices = [];
             this.faces = [];
+            this.faceNeighbors = [];
+            this.faceImages = [];
             return;
         }
         
         // We need to cut - create new vertices and faces
         const newVertices = [];
         const newFaces = [];
+        const newFaceNeighbors = [];
+        const newFaceImages = [];
         const edgeIntersections = new Map(); // Maps edge string to new vertex index
         
         // Helper to get intersection point on an edge
@@ -236,7 +350,8 @@ class ConvexPolyhedron {
         // Process each face
         const capEdges = []; // Edges that will form the new cap face
         
-        for (const face of this.faces) {
+        for (let f = 0; f < this.faces.length; f++) {
+            const face = this.faces[f];
             const newFace = [];
             const n = face.length;
             
@@ -275,6 +390,8 @@ class ConvexPolyhedron {
             // Add the face if it has at least 3 vertices
             if (newFace.length >= 3) {
                 newFaces.push(newFace);
+                newFaceNeighbors.push(this.faceNeighbors[f] ?? null);
+                newFaceImages.push(this.faceImages[f] ?? null);
             }
         }
         
@@ -283,11 +400,238 @@ class ConvexPolyhedron {
             const capFace = this.buildCapFace(capEdges, newVertices, plane);
             if (capFace && capFace.length >= 3) {
                 newFaces.push(capFace);
+                newFaceNeighbors.push(neighbor);
+                newFaceImages.push(image);
             }
         }
         
         this.vertices = newVertices;
         this.faces = newFaces;
+        this.faceNeighbors = newFaceNeighbors;
+        this.faceImages = newFaceImages;
+    }
+    
+    /**
+     * Cut the polyhedron with a plane like cutWithPlane, but tolerant of
+     * degenerate input (vertices on or extremely close to the plane).
+     * 
+     * The tolerance scales with the coordinates, intersection points that
+     * land within it of an existing on-plane vertex are merged into it, and
+     * the cap face is stitched from the cut faces' on-plane edges instead of
+     * being sorted by angle, so the result stays a closed 2-manifold with
+     * outward (counter-clockwise) faces.
+     * 
+     * If the edges don't chain into one loop, the cap is sorted by angle
+     * after all and capFallbacks is incremented: such a cell may not be
+     * closed (see isClosedManifold).
+     */
+    cutWithPlaneRobust(plane, neighbor = null, image = null) {
+        const tolerance = this.getTolerance();
+        const mergeDistance = 10 * tolerance;
+        
+        const distances = this.vertices.map(v => plane.signedDistance(v));
+        const INSIDE = -1, ON = 0, OUTSIDE = 1;
+        const classifications = distances.map(d => {
+            if (d < -tolerance) return INSIDE;
+            if (d > tolerance) return OUTSIDE;
+            return ON;
+        });
+        
+        if (!classifications.includes(OUTSIDE)) return;
+        
+        if (!classifications.includes(INSIDE)) {
+            this.vertices = [];
+            this.faces = [];
+            this.faceNeighbors = [];
+            this.faceImages = [];
+            return;
+        }
+        
+        // Keep inside and on-plane vertices
+        const newVertices = [];
+        const vertexMap = new Map(); // old index -> new index
+        const onPlane = new Set();   // new indices lying on the cutting plane
+        for (let i = 0; i < this.vertices.length; i++) {
+            if (classifications[i] === OUTSIDE) continue;
+            vertexMap.set(i, newVertices.length);
+            if (classifications[i] === ON) onPlane.add(newVertices.length);
+            newVertices.push(this.vertices[i].clone());
+        }
+        
+        // Intersection points, shared between the two faces of each edge
+        const edgeIntersections = new Map();
+        const getIntersection = (inside, outside) => {
+            const key = inside * this.vertices.length + outside;
+            if (edgeIntersections.has(key)) return edgeIntersections.get(key);
+            
+            const v1 = this.vertices[inside];
+            const v2 = this.vertices[outside];
+            const t = distances[inside] / (distances[inside] - distances[outside]);
+            const point = new Vec3(
+                v1.x + t * (v2.x - v1.x),
+                v1.y + t * (v2.y - v1.y),
+                v1.z + t * (v2.z - v1.z)
+            );
+            
+            // Merge with an on-plane vertex (or the edge's inside end) it coincides with
+            let index = -1;
+            for (const candidate of [...onPlane, vertexMap.get(inside)]) {
+                if (point.sub(newVertices[candidate]).length() <= mergeDistance) {
+                    index = candidate;
+                    break;
+                }
+            }
+            if (index === -1) {
+                index = newVertices.length;
+                newVertices.push(point);
+            }
+            onPlane.add(index);
+            edgeIntersections.set(key, index);
+            return index;
+        };
+        
+        const newFaces = [];
+        const newFaceNeighbors = [];
+        const newFaceImages = [];
+        
+        for (let f = 0; f < this.faces.length; f++) {
+            const face = this.faces[f];
+            const n = face.length;
+            const loop = [];
+            
+            for (let i = 0; i < n; i++) {
+                const curr = face[i];
+                const next = face[(i + 1) % n];
+                const currClass = classifications[curr];
+                const nextClass = classifications[next];
+                
+                if (currClass !== OUTSIDE) loop.push(vertexMap.get(curr));
+                
+                if (currClass === INSIDE && nextClass === OUTSIDE) {
+                    loop.push(getIntersection(curr, next));
+                } else if (currClass === OUTSIDE && nextClass === INSIDE) {
+                    loop.push(getIntersection(next, curr));
+                }
+            }
+            
+            // Merging can repeat a vertex; drop the repeats
+            const newFace = loop.filter((v, i) => v !== loop[(i + 1) % loop.length]);
+            if (newFace.length < 3 || new Set(newFace).size !== newFace.length) continue;
+            
+            // A face lying in the cutting plane is superseded by the cap
+            if (newFace.every(v => onPlane.has(v))) continue;
+            
+            newFaces.push(newFace);
+            newFaceNeighbors.push(this.faceNeighbors[f] ?? null);
+            newFaceImages.push(this.faceImages[f] ?? null);
+        }
+        
+        // The cap borders every kept face along that face's on-plane edges,
+        // traversed in the opposite direction. Opposite pairs cancel out.
+        const capEdges = new Map(); // "from,to" -> [from, to]
+        for (const face of newFaces) {
+            for (let i = 0; i < face.length; i++) {
+                const a = face[i];
+                const b = face[(i + 1) % face.length];
+                if (!onPlane.has(a) || !onPlane.has(b)) continue;
+                
+                const reverseKey = `${a},${b}`;
+                if (capEdges.has(reverseKey)) {
+                    capEdges.delete(reverseKey);
+                } else {
+                    capEdges.set(`${b},${a}`, [b, a]);
+                }
+            }
+        }
+        
+        let capFace = this.stitchCapFace([...capEdges.values()]);
+        if (!capFace) {
+            capFace = this.buildCapFace([...onPlane].map(v => [v]), newVertices, plane);
+            if (capFace && capFace.length >= 3) this.capFallbacks++;
+        }
+        if (capFace && capFace.length >= 3) {
+            newFaces.push(capFace);
+            newFaceNeighbors.push(neighbor);
+            newFaceImages.push(image);
+        }
+        
+        // Drop vertices that no face uses any more
+        const used = new Map();
+        const compactVertices = [];
+        for (const face of newFaces) {
+            for (let i = 0; i < face.length; i++) {
+                if (!used.has(face[i])) {
+                    used.set(face[i], compactVertices.length);
+                    compactVertices.push(newVertices[face[i]]);
+                }
+                face[i] = used.get(face[i]);
+            }
+        }
+        
+        this.vertices = compactVertices;
+        this.faces = newFaces;
+        this.faceNeighbors = newFaceNeighbors;
+        this.faceImages = newFaceImages;
+    }
+    
+    /**
+     * Chain directed cap edges into a single closed loop
+     * @returns {Array<number>|null} The loop, or null if the edges don't form one
+     */
+    stitchCapFace(edges) {
+        if (edges.length < 3) return null;
+        
+        const next = new Map();
+        for (const [from, to] of edges) {
+            if (next.has(from)) return null;
+            next.set(from, to);
+        }
+        
+        const start = edges[0][0];
+        const loop = [start];
+        for (let v = next.get(start); v !== start; v = next.get(v)) {
+            if (v === undefined || loop.length > edges.length) return null;
+            loop.push(v);
+        }
+        
+        return loop.length === edges.length ? loop : null;
+    }
+    
+    /**
+     * Distance below which a vertex counts as lying on a cutting plane,
+     * relative to the magnitude of the coordinates
+     */
+    getTolerance() {
+        let scale = 0;
+        for (const v of this.vertices) {
+            scale = Math.max(scale, Math.abs(v.x), Math.abs(v.y), Math.abs(v.z));
+        }
+        return scale > 0 ? EPSILON * scale : EPSILON;
+    }
+    
+    /**
+     * Check that the faces form a closed, consistently oriented 2-manifold:
+     * every directed edge appears once and is matched by its reverse
+     */
+    isClosedManifold() {
+        if (this.faces.length < 4) return false;
+        
+        const directedEdges = new Set();
+        for (const face of this.faces) {
+            if (face.length < 3 || new Set(face).size !== face.length) return false;
+            for (let i = 0; i < face.length; i++) {
+                const key = `${face[i]},${face[(i + 1) % face.length]}`;
+                if (directedEdges.has(key)) return false;
+                directedEdges.add(key);
+            }
+        }
+        
+        for (const key of directedEdges) {
+            const [a, b] = key.split(',');
+            if (!directedEdges.has(`${b},${a}`)) return false;
+        }
+        
+        return true;
     }
     
     /**
@@ -313,8 +657,9 @@ class ConvexPolyhedron {
         center.z /= capVertexIndices.length;
         
         // Use plane normal to determine winding direction
-        // We want counter-clockwise when viewed from the inside (opposite to plane normal)
-        const normal = plane.normal.scale(-1); // Inward normal for the cap
+        // Like every other face, the cap is counter-clockwise when viewed from
+        // outside, i.e. looking against the plane normal (the cut-away side)
+        const normal = plane.normal; // Outward normal for the cap
         
         // Find a tangent vector on the plane
         let tangent;
@@ -337,6 +682,20 @@ class ConvexPolyhedron {
         return capVertexIndices;
     }
     
+    /**
+     * Get the ids of all neighbors sharing a face with this cell, in face
+     * order and without duplicates (negative ids are container walls)
+     */
+    getNeighbors() {
+        const neighbors = [];
+        for (const neighbor of this.faceNeighbors) {
+            if (neighbor !== null && neighbor !== undefined && !neighbors.includes(neighbor)) {
+                neighbors.push(neighbor);
+            }
+        }
+        return neighbors;
+    }
+    
     /**
      * Get edges as pairs of vertex indices
      */
@@ -386,9 +745,51 @@ class ConvexPolyhedron {
     }
     
     /**
-     * Get the centroid of the polyhedron
+     * Check whether the polyhedron has been cut away entirely
      */
-    getCentroid() {
+    isEmpty() {
+        return this.vertices.length === 0;
+    }
+    
+    /**
+     * Remove all vertices and faces
+     */
+    clear() {
+        this.vertices = [];
+        this.faces = [];
+        this.faceNeighbors = [];
+        this.faceImages = [];
+    }
+    
+    /**
+     * Get the largest signed distance of a vertex from a plane
+     */
+    maxSignedDistance(plane) {
+        let maxDist = -Infinity;
+        for (const v of this.vertices) {
+            maxDist = Math.max(maxDist, plane.signedDistance(v));
+        }
+        return maxDist;
+    }
+    
+    /**
+     * Get the squared distance from a point to the furthest vertex
+     */
+    getMaxRadiusSquared(point) {
+        let maxSq = 0;
+        for (const v of this.vertices) {
+            const dx = v.x - point.x;
+            const dy = v.y - point.y;
+            const dz = v.z - point.z;
+            maxSq = Math.max(maxSq, dx * dx + dy * dy + dz * dz);
+        }
+        return maxSq;
+    }
+    
+    /**
+     * Get the average of the vertices (a point inside the polyhedron)
+     */
+    getVertexAverage() {
         if (this.vertices.length === 0) return new Vec3(0, 0, 0);
         
         const sum = new Vec3(0, 0, 0);
@@ -404,21 +805,325 @@ class ConvexPolyhedron {
             sum.z / this.vertices.length
         );
     }
+    
+    /**
+     * Call visit(a, b, c, volume) for each tetrahedron of a decomposition
+     * into tetrahedra sharing the apex `apex`, where a, b, c are the other
+     * corners relative to the apex
+     */
+    forEachTetrahedron(apex, visit) {
+        for (const face of this.faces) {
+            if (face.length < 3) continue;
+            
+            const a = this.vertices[face[0]].sub(apex);
+            for (let i = 1; i < face.length - 1; i++) {
+                const b = this.vertices[face[i]].sub(apex);
+                const c = this.vertices[face[i + 1]].sub(apex);
+                visit(a, b, c, a.dot(b.cross(c)) / 6);
+            }
+        }
+    }
+    
+    /**
+     * Get the centroid (center of mass) of the solid polyhedron
+     */
+    getCentroid() {
+        const apex = this.getVertexAverage();
+        if (this.faces.length < 4) return apex;
+        
+        // Volume-weighted average of the tetrahedron centroids
+        let volume = 0;
+        const moment = new Vec3(0, 0, 0);
+        this.forEachTetrahedron(apex, (a, b, c, tetVolume) => {
+            volume += tetVolume;
+            moment.x += tetVolume * (a.x + b.x + c.x) / 4;
+            moment.y += tetVolume * (a.y + b.y + c.y) / 4;
+            moment.z += tetVolume * (a.z + b.z + c.z) / 4;
+        });
+        
+        if (Math.abs(volume) < EPSILON * EPSILON) return apex;
+        return apex.add(moment.scale(1 / volume));
+    }
+    
+    /**
+     * Get the inertia tensor about the centroid, for unit density
+     * @returns {Array<Array<number>>} 3×3 matrix
+     */
+    getInertiaTensor() {
+        const centroid = this.getCentroid();
+        
+        // Second moment ∫ r rᵀ dV, summed over tetrahedra (0, a, b, c):
+        // (det / 120) * (a aᵀ + b bᵀ + c cᵀ + s sᵀ) with s = a + b + c
+        const m = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        this.forEachTetrahedron(centroid, (a, b, c, tetVolume) => {
+            const s = a.add(b).add(c);
+            const factor = tetVolume * 6 / 120;
+            for (const v of [a, b, c, s]) {
+                const components = [v.x, v.y, v.z];
+                for (let i = 0; i < 3; i++) {
+                    for (let j = 0; j < 3; j++) {
+                        m[i][j] += factor * components[i] * components[j];
+                    }
+                }
+            }
+        });
+        
+        const trace = m[0][0] + m[1][1] + m[2][2];
+        return m.map((row, i) => row.map((value, j) => (i === j ? trace : 0) - value));
+    }
+    
+    /**
+     * Get the area, unit outward normal and centroid of every face
+     * @returns {Array<{area: number, normal: Vec3, centroid: Vec3}>}
+     */
+    getFaceProperties() {
+        return this.faces.map(face => {
+            const v0 = this.vertices[face[0]];
+            const areaVector = new Vec3(0, 0, 0);
+            const moment = new Vec3(0, 0, 0);
+            let weight = 0;
+            
+            // Fan triangulation: area vectors and area-weighted triangle centroids
+            for (let i = 1; i < face.length - 1; i++) {
+                const v1 = this.vertices[face[i]];
+                const v2 = this.vertices[face[i + 1]];
+                const triangle = v1.sub(v0).cross(v2.sub(v0)).scale(0.5);
+                areaVector.x += triangle.x;
+                areaVector.y += triangle.y;
+                areaVector.z += triangle.z;
+                
+                const triangleArea = triangle.length();
+                weight += triangleArea;
+                moment.x += triangleArea * (v0.x + v1.x + v2.x) / 3;
+                moment.y += triangleArea * (v0.y + v1.y + v2.y) / 3;
+                moment.z += triangleArea * (v0.z + v1.z + v2.z) / 3;
+            }
+            
+            return {
+                area: areaVector.length(),
+                normal: areaVector.normalize(),
+                centroid: weight > 0 ? moment.scale(1 / weight) : v0.clone()
+            };
+        });
+    }
+    
+    /**
+     * Check whether a point lies inside the polyhedron (or on its boundary)
+     * @param {{x, y, z}} point - Point to test
+     * @param {number} tolerance - Distance a point may lie outside a face
+     */
+    containsPoint(point, tolerance = this.getTolerance()) {
+        if (this.faces.length < 4) return false;
+        
+        return this.getFaceProperties().every(({ area, normal, centroid }) =>
+            area === 0 ||
+            normal.x * (point.x - centroid.x) +
+            normal.y * (point.y - centroid.y) +
+            normal.z * (point.z - centroid.z) <= tolerance
+        );
+    }
+    
+    /**
+     * Get the total surface area
+     */
+    getSurfaceArea() {
+        return this.getFaceProperties().reduce((sum, face) => sum + face.area, 0);
+    }
+    
+    /**
+     * Intersect the polyhedron with a plane. The section is the cap face a
+     * cut with the plane would create, counter-clockwise when viewed from
+     * the plane normal's side; each of its edges lies on a face of this
+     * polyhedron and carries that face's neighbor and periodic image (where
+     * the plane runs exactly along an edge, one of the two faces meeting
+     * there). A plane containing a face gives that face, from the cell on
+     * the plane's negative side.
+     * @param {Plane} plane - Section plane
+     * @returns {{vertices: Array<Vec3>, neighbors: Array, images: Array}|null}
+     *          The section polygon, where edge i runs from vertex i to i + 1,
+     *          or null if the plane misses the polyhedron
+     */
+    getSection(plane) {
+        const tolerance = this.getTolerance();
+        let minDist = Infinity;
+        let maxDist = -Infinity;
+        for (const v of this.vertices) {
+            const d = plane.signedDistance(v);
+            minDist = Math.min(minDist, d);
+            maxDist = Math.max(maxDist, d);
+        }
+        if (minDist >= -tolerance || maxDist < -tolerance) return null;
+        
+        let cut = this;
+        let cap;
+        if (maxDist <= tolerance) {
+            cap = this.faces.findIndex(face =>
+                face.every(v => Math.abs(plane.signedDistance(this.vertices[v])) <= tolerance)
+            );
+        } else {
+            cut = this.clone();
+            cut.cutWithPlane(plane, SECTION_FACE);
+            cap = cut.faceNeighbors.indexOf(SECTION_FACE);
+        }
+        if (cap === -1) return null;
+        
+        // The other face on each cap edge runs along it in reverse
+        const faceOfEdge = new Map();
+        cut.faces.forEach((face, f) => {
+            for (let i = 0; i < face.length; i++) {
+                faceOfEdge.set(`${face[(i + 1) % face.length]},${face[i]}`, f);
+            }
+        });
+        
+        const loop = cut.faces[cap];
+        const neighbors = [];
+        const images = [];
+        for (let i = 0; i < loop.length; i++) {
+            const f = faceOfEdge.get(`${loop[i]},${loop[(i + 1) % loop.length]}`);
+            neighbors.push(f === undefined ? null : cut.faceNeighbors[f] ?? null);
+            images.push(f === undefined ? null : cut.faceImages[f] ?? null);
+        }
+        
+        return {
+            vertices: loop.map(v => cut.vertices[v]),
+            neighbors,
+            images,
+        };
+    }
+    
+    /**
+     * Shrink the polyhedron by moving every face inward along its normal.
+     * Faces of a convex polyhedron move independently, so the inset is
+     * the polyhedron cut by each face plane shifted inward; faces whose
+     * planes become redundant disappear. Faces keep their neighbor and
+     * periodic image.
+     * @param {number} distance - Inward offset of faces between cells
+     * @param {number} wallDistance - Inward offset of faces on the container
+     *        (negative neighbor ids)
+     * @returns {ConvexPolyhedron} The inset polyhedron (empty if the
+     *          offset swallows it)
+     */
+    getInset(distance, wallDistance = distance) {
+        const inset = this.clone();
+        const tolerance = this.getTolerance();
+        
+        this.getFaceProperties().forEach(({ area, normal, centroid }, f) => {
+            // Degenerate faces have no reliable normal
+            if (area <= tolerance * tolerance) return;
+            
+            const neighbor = this.faceNeighbors[f] ?? null;
+            const offset = neighbor !== null && neighbor < 0 ? wallDistance : distance;
+            const plane = Plane.fromPointAndNormal(centroid.sub(normal.scale(offset)), normal);
+            inset.cutWithPlane(plane, neighbor, this.faceImages[f] ?? null);
+        });
+        
+        return inset;
+    }
 }
 
 /**
  * Compute 3D Voronoi cells for a set of seed points
  * 
- * @param {Array<{x: number, y: number, z: number}>} seeds - Seed points
- * @param {Object} bounds - Bounding box for the tessellation
- * @param {number} padding - Padding around the bounds
- * @returns {Array<{seed: Object, cell: ConvexPolyhedron}>} Voronoi cells
+ * Neighbors are found through a SpatialGrid: bins are visited in growing
+ * rings around each seed and the search stops once the nearest unvisited
+ * bin is further than twice the cell's largest vertex radius, since a
+ * bisector plane that far away can't cut the cell (Voro++'s radius of
+ * security test). Seeds are still cut in order of increasing distance,
+ * so the cells match an exhaustive search exactly.
+ * 
+ * Any axis of the padded box can be made periodic. Along a periodic axis
+ * the box is one period of an infinite repeating lattice: cells are cut
+ * by periodic images of the seeds instead of the box faces, so boundary
+ * cells wrap across the box (their vertices may lie outside it). Seeds
+ * must lie inside the box along periodic axes. Each cell records in
+ * faceImages which image of its neighbor produced each face.
+ * 
+ * Every face records in faceNeighbors the index (into `seeds`) of the
+ * seed whose plane produced it, or a negative BOX_WALLS id for faces of
+ * the container box. Each result lists the same ids in `neighbors`.
+ * 
+ * Extra walls (see walls.js) clip the container further, e.g. to a
+ * sphere or cylinder. Faces they create carry the wall's id (user walls
+ * without an id are numbered -7, -8, ...), and seeds outside any wall
+ * are left out of the tessellation.
+ * 
+ * Robust mode (for degenerate input such as perfect lattices) cuts every
+ * cell with cutWithPlaneRobust, which merges coincident vertices and
+ * stitches cap faces topologically so each cell is a closed 2-manifold.
+ * 
+ * Seeds may carry a `radius` (or a `weight`, equal to radius²), giving a
+ * power (Laguerre) diagram: cells are cut by radical planes instead of
+ * bisectors. A power cell need not contain its seed and can vanish
+ * entirely; seeds whose cell vanishes get no entry in the result.
+ * Unweighted input is tessellated exactly as before.
+ * 
+ * A `metric` tensor (symmetric positive-definite 3×3) or per-axis
+ * `axisScale` measures distances anisotropically, |d|² = dᵀ M d, so cells
+ * come out stretched where distances count less. Cells are cut by the
+ * metric bisectors (or radical planes), which are still planes, and the
+ * radius of security is widened by the metric's condition number.
+ * 
+ * `seedRange` restricts the computation to the cells of seeds
+ * start..end-1 (all seeds still act as neighbors), so the work can be
+ * split between workers; `seedIndices` picks an arbitrary list of cells
+ * instead. `onProgress(completed, total)` is called after each cell.
+ * A `grid` (SpatialGrid over exactly these seeds, with the same periodic
+ * box) is searched instead of building a new one, so callers computing a
+ * few cells at a time (IncrementalVoronoi) can keep one across calls.
+ * 
+ * Instead of a box, `bounds` may be any ConvexPolyhedron, e.g. a cell of
+ * another tessellation to subdivide it. Every cell then starts as a copy
+ * of the container (padding is ignored) and seeds outside it are left
+ * out. Container faces keep their negative ids and all others become
+ * CONTAINER_WALL, so they can't be mistaken for seed indices. A container
+ * can't be periodic.
+ * 
+ * Cells are built as typed-array CompactPolyhedrons (identical results,
+ * far fewer allocations) once there are COMPACT_SEED_COUNT seeds, or
+ * always/never with `compact: true/false`, and converted to
+ * ConvexPolyhedron when done. Robust mode and containers always use
+ * ConvexPolyhedron.
+ * 
+ * @param {Array<{x: number, y: number, z: number, radius?: number, weight?: number}>} seeds - Seed points
+ * @param {Object|ConvexPolyhedron} bounds - Bounding box for the tessellation, or a
+ *        convex container
+ * @param {number} padding - Padding around the bounds (ignored for a container)
+ * @param {Object} options - Tessellation options
+ * @param {{x: boolean, y: boolean, z: boolean}} options.periodic - Periodic axes
+ * @param {Array<Object>} options.walls - Walls with cut(cell, seed, id) and contains(point)
+ * @param {boolean} options.robust - Use tolerant, topology-based cutting
+ * @param {Array<number>} options.seedRange - [start, end) of the seeds whose cells to compute
+ * @param {Array<number>} options.seedIndices - Seeds whose cells to compute (overrides seedRange)
+ * @param {Function} options.onProgress - Called with (completed, total) after each cell
+ * @param {SpatialGrid} options.grid - Spatial grid over the seeds to search
+ * @param {boolean|string} options.compact - Build cells as CompactPolyhedron (true, false or 'auto')
+ * @param {Array<Array<number>>} options.metric - Metric tensor for anisotropic distances
+ * @param {{x: number, y: number, z: number}} options.axisScale - Per-axis distance scales
+ *        (a diagonal metric; ignored when a metric tensor is given)
+ * @returns {Array<{seed: Object, index: number, cell: ConvexPolyhedron, neighbors: Array<number>}>} Voronoi cells
  */
-export function computeVoronoiCells(seeds, bounds, padding = 0.5) {
+export function computeVoronoiCells(seeds, bounds, padding = 0.5, options = {}) {
     if (seeds.length === 0) return [];
     
+    const {
+        periodic = { x: false, y: false, z: false },
+        walls = [],
+        robust = false,
+        seedRange = [0, seeds.length],
+        seedIndices = null,
+        onProgress = null,
+        compact = 'auto',
+    } = options;
+    const wallIds = walls.map((wall, k) => wall.id ?? -7 - k);
+    const metric = createMetric(options);
+    
+    const container = bounds instanceof ConvexPolyhedron ? createContainer(bounds) : null;
+    if (container && (periodic.x || periodic.y || periodic.z)) {
+        throw new Error('A container polyhedron cannot be periodic');
+    }
+    
     // Expand bounds with padding
-    const expandedBounds = {
+    const expandedBounds = container ? getVertexBounds(container) : {
         min: {
             x: bounds.min.x - padding,
             y: bounds.min.y - padding,
@@ -431,68 +1136,625 @@ export function computeVoronoiCells(seeds, bounds, padding = 0.5) {
         }
     };
     
+    // Box lengths, i.e. the period along periodic axes
+    const period = {
+        x: expandedBounds.max.x - expandedBounds.min.x,
+        y: expandedBounds.max.y - expandedBounds.min.y,
+        z: expandedBounds.max.z - expandedBounds.min.z
+    };
+    
+    const grid = options.grid ?? new SpatialGrid(seeds, { bounds: expandedBounds, periodic });
     const cells = [];
     
-    for (const seed of seeds) {
+    // Power diagram weights (all zero for an ordinary Voronoi diagram)
+    const weighted = seeds.some(hasSeedWeight);
+    const weights = seeds.map(getSeedWeight);
+    const maxWeight = weights.reduce((max, w) => Math.max(max, w), -Infinity);
+    
+    // Seeds outside the container or walls take no part in the tessellation
+    // (checked as they are met, since only a few cells may be wanted)
+    const insideState = new Int8Array(seeds.length);  // 0 unchecked, 1 inside, -1 outside
+    const isInside = (j) => {
+        if (insideState[j] === 0) {
+            const seed = seeds[j];
+            const inside = (!container || container.containsPoint(seed)) && walls.every(wall => wall.contains(seed));
+            insideState[j] = inside ? 1 : -1;
+        }
+        return insideState[j] > 0;
+    };
+    
+    const useCompact = !robust && !container && (compact === 'auto' ? seeds.length >= COMPACT_SEED_COUNT : compact);
+    const boxFaceIds = [
+        BOX_WALLS.zMin, BOX_WALLS.zMax,
+        BOX_WALLS.yMin, BOX_WALLS.yMax,
+        BOX_WALLS.xMin, BOX_WALLS.xMax,
+    ];
+    
+    const targets = seedIndices ??
+        Array.from({ length: seedRange[1] - seedRange[0] }, (_, k) => seedRange[0] + k);
+    
+    for (let k = 0; k < targets.length; k++) {
+        const i = targets[k];
+        if (onProgress && k > 0) onProgress(k, targets.length);
+        if (!isInside(i)) continue;
+        
+        const seed = seeds[i];
         const seedVec = new Vec3(seed.x, seed.y, seed.z);
         
-        // Initialize cell as bounding box
-        let cell = ConvexPolyhedron.createBox(
-            expandedBounds.min.x, expandedBounds.min.y, expandedBounds.min.z,
-            expandedBounds.max.x, expandedBounds.max.y, expandedBounds.max.z
-        );
+        // Initialize cell as the container or bounding box. Periodic axes
+        // are left open to one period either side; the seed's own images
+        // close them.
+        const boxMin = { ...expandedBounds.min };
+        const boxMax = { ...expandedBounds.max };
+        for (const axis of ['x', 'y', 'z']) {
+            if (periodic[axis]) {
+                boxMin[axis] = seed[axis] - period[axis];
+                boxMax[axis] = seed[axis] + period[axis];
+            }
+        }
+        let cell;
+        if (container) {
+            cell = container.clone();
+        } else if (useCompact) {
+            cell = CompactPolyhedron.createBox(
+                boxMin.x, boxMin.y, boxMin.z,
+                boxMax.x, boxMax.y, boxMax.z,
+                boxFaceIds
+            );
+        } else {
+            cell = ConvexPolyhedron.createBox(
+                boxMin.x, boxMin.y, boxMin.z,
+                boxMax.x, boxMax.y, boxMax.z
+            );
+        }
+        cell.robust = robust;
+        walls.forEach((wall, k) => wall.cut(cell, seed, wallIds[k]));
+        
+        const [bx, by, bz] = grid.binOf(seed);
+        const home = grid.imageOf(seed); // Seeds on the upper box faces are binned one period down
+        let pending = []; // Neighbors found but not yet used for cutting
         
-        // Sort other seeds by distance to this seed (cut with closest first)
-        const otherSeeds = seeds
-            .filter(s => s !== seed)
-            .map(s => ({
-                seed: s,
-                distance: Math.sqrt(
-                    Math.pow(s.x - seed.x, 2) +
-                    Math.pow(s.y - seed.y, 2) +
-                    Math.pow(s.z - seed.z, 2)
-                )
-            }))
-            .sort((a, b) => a.distance - b.distance);
-        
-        // Cut with perpendicular bisector planes
-        for (const other of otherSeeds) {
-            if (cell.vertices.length === 0) break;
+        for (let ring = 0; !cell.isEmpty(); ring++) {
+            grid.forEachInRing(bx, by, bz, ring, (j, ix, iy, iz) => {
+                ix += home.x;
+                iy += home.y;
+                iz += home.z;
+                if (!isInside(j) || (j === i && ix === 0 && iy === 0 && iz === 0)) return;
+                const s = seeds[j];
+                const position = {
+                    x: s.x + ix * period.x,
+                    y: s.y + iy * period.y,
+                    z: s.z + iz * period.z
+                };
+                pending.push({
+                    position,
+                    image: { x: ix, y: iy, z: iz },
+                    index: j,
+                    distance: Math.sqrt(
+                        Math.pow(position.x - seed.x, 2) +
+                        Math.pow(position.y - seed.y, 2) +
+                        Math.pow(position.z - seed.z, 2)
+                    )
+                });
+            });
             
-            // Early termination: if the closest vertex to the other seed
-            // is further than twice the distance to the bisector plane,
-            // no more cuts are needed from seeds at this distance or further
-            const otherVec = new Vec3(other.seed.x, other.seed.y, other.seed.z);
-            const bisector = Plane.perpendicularBisector(seedVec, otherVec);
+            // Every seed closer than the clearance has been found, so the
+            // pending ones inside it can be cut in their final order
+            const clearance = grid.ringClearance(seed, bx, by, bz, ring);
+            pending.sort((a, b) => a.distance - b.distance || a.index - b.index);
             
-            // Check if any vertex could possibly be cut
-            const maxDist = Math.max(...cell.vertices.map(v => bisector.signedDistance(v)));
-            if (maxDist < -EPSILON) {
-                // All vertices are on the inside - but we should continue
-                // checking other seeds as they might still cut
-                continue;
+            let cutCount = 0;
+            while (cutCount < pending.length && pending[cutCount].distance < clearance) {
+                if (cell.isEmpty()) break;
+                const other = pending[cutCount++];
+                if (metric) {
+                    cutWithMetricPlane(cell, seedVec, weights[i], other, weights[other.index], metric);
+                } else if (weighted) {
+                    cutWithRadicalPlane(cell, seedVec, weights[i], other, weights[other.index]);
+                } else {
+                    cutWithBisector(cell, seedVec, other);
+                }
             }
+            pending = pending.slice(cutCount);
+            
+            if (cell.isEmpty()) break;
             
-            cell.cutWithPlane(bisector);
+            // Radius of security: seeds at least twice the furthest vertex
+            // distance away can't cut the cell any further. With weights the
+            // nearest possible radical plane is at (d² + wi - wmax) / 2d.
+            // In a metric, Euclidean distances shrink or grow by at most
+            // minScale and maxScale, so both tests use the worst case.
+            if (clearance === Infinity) break;
+            if (metric) {
+                const reach = clearance * metric.minScale;
+                const maxRadius = Math.sqrt(cell.getMaxRadiusSquared(seedVec)) * metric.maxScale;
+                if (reach > 0 && (reach * reach + weights[i] - maxWeight) / (2 * reach) >= maxRadius) {
+                    break;
+                }
+                continue;
+            }
+            const maxRadius = Math.sqrt(cell.getMaxRadiusSquared(seedVec));
+            if (weighted) {
+                if (clearance > 0 &&
+                    (clearance * clearance + weights[i] - maxWeight) / (2 * clearance) >= maxRadius) {
+                    break;
+                }
+            } else if (clearance >= 2 * maxRadius) {
+                break;
+            }
         }
         
-        if (cell.vertices.length > 0) {
+        if (!cell.isEmpty()) {
+            if (useCompact) cell = ConvexPolyhedron.fromCompact(cell);
             cells.push({
                 seed: seed,
-                cell: cell
+                index: i,
+                cell: cell,
+                neighbors: cell.getNeighbors()
             });
         }
     }
+    if (onProgress) onProgress(targets.length, targets.length);
     
     return cells;
 }
 
 /**
- * Convert a Voronoi cell to mesh data for Three.js
+ * Copy a container polyhedron with every face it doesn't mark as a wall
+ * (negative id) retagged CONTAINER_WALL
+ */
+function createContainer(polyhedron) {
+    const container = polyhedron.clone();
+    container.faceNeighbors = container.faces.map((face, f) => {
+        const neighbor = polyhedron.faceNeighbors[f] ?? null;
+        return neighbor !== null && neighbor < 0 ? neighbor : CONTAINER_WALL;
+    });
+    container.faceImages = container.faces.map(() => null);
+    return container;
+}
+
+/**
+ * Axis-aligned bounds of a polyhedron's vertices
+ */
+function getVertexBounds(polyhedron) {
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+    for (const v of polyhedron.vertices) {
+        for (const axis of ['x', 'y', 'z']) {
+            min[axis] = Math.min(min[axis], v[axis]);
+            max[axis] = Math.max(max[axis], v[axis]);
+        }
+    }
+    return { min, max };
+}
+
+/**
+ * Cut a cell with the perpendicular bisector between its seed and another seed
+ * (or one of its periodic images)
+ * @param {ConvexPolyhedron} cell - Cell being built
+ * @param {Vec3} seedVec - The cell's seed
+ * @param {{position: Object, index: number, image: Object}} other - Neighbor seed
+ */
+function cutWithBisector(cell, seedVec, other) {
+    const otherVec = new Vec3(other.position.x, other.position.y, other.position.z);
+    const bisector = Plane.perpendicularBisector(seedVec, otherVec);
+    
+    // Check if any vertex could possibly be cut
+    if (cell.maxSignedDistance(bisector) < -EPSILON) {
+        // All vertices are on the inside - nothing to cut
+        return;
+    }
+    
+    cell.cutWithPlane(bisector, other.index, other.image);
+}
+
+/**
+ * Cut a power cell with the radical plane between its seed and another seed
+ */
+function cutWithRadicalPlane(cell, seedVec, seedWeight, other, otherWeight) {
+    const otherVec = new Vec3(other.position.x, other.position.y, other.position.z);
+    
+    // Coincident seeds have no radical plane: the heavier one takes the
+    // whole cell, equal weights leave both cells alone
+    if (otherVec.sub(seedVec).length() < EPSILON) {
+        if (otherWeight > seedWeight) {
+            cell.clear();
+        }
+        return;
+    }
+    
+    const plane = Plane.radicalPlane(seedVec, seedWeight, otherVec, otherWeight);
+    
+    // Check if any vertex could possibly be cut
+    if (cell.maxSignedDistance(plane) < -EPSILON) return;
+    
+    cell.cutWithPlane(plane, other.index, other.image);
+}
+
+/**
+ * Cut a cell with the metric radical plane (the metric bisector when the
+ * weights are equal) between its seed and another seed
+ */
+function cutWithMetricPlane(cell, seedVec, seedWeight, other, otherWeight, metric) {
+    const otherVec = new Vec3(other.position.x, other.position.y, other.position.z);
+    
+    if (otherVec.sub(seedVec).length() < EPSILON) {
+        if (otherWeight > seedWeight) {
+            cell.clear();
+        }
+        return;
+    }
+    
+    const plane = Plane.metricRadicalPlane(seedVec, seedWeight, otherVec, otherWeight, metric);
+    if (cell.maxSignedDistance(plane) < -EPSILON) return;
+    
+    cell.cutWithPlane(plane, other.index, other.image);
+}
+
+/**
+ * Check whether a seed carries a power diagram weight
+ */
+export function hasSeedWeight(seed) {
+    return typeof seed.weight === 'number' || typeof seed.radius === 'number';
+}
+
+/**
+ * Get a seed's power diagram weight (its squared radius)
+ */
+export function getSeedWeight(seed) {
+    if (typeof seed.weight === 'number') return seed.weight;
+    if (typeof seed.radius === 'number') return seed.radius * seed.radius;
+    return 0;
+}
+
+/**
+ * Derive the dual Delaunay complex from computed Voronoi cells
+ * 
+ * Every face between two cells is a Delaunay edge between their seeds,
+ * and every Voronoi vertex where four cells meet is a Delaunay
+ * tetrahedron. Degenerate vertices shared by more than four cells
+ * (cospherical seeds, e.g. the 8 corners of a cubic lattice cell) are
+ * split into tetrahedra by pulling from their lowest seed, which picks
+ * the same diagonal on polygons shared by neighboring vertices. Vertices
+ * closer than a small scale-relative tolerance are treated as one, so
+ * cells from non-robust cutting still give a consistent complex.
+ * 
+ * The dual is that of the computed (clipped) tessellation: tetrahedra
+ * whose Voronoi vertex lies on the container boundary are left out.
+ * Power diagrams give the regular (weighted Delaunay) triangulation.
+ * 
+ * In periodic tessellations each seed reference carries the periodic
+ * image it was reached through, and `period` must give the box lengths
+ * (as used by computeVoronoiCells) along the periodic axes.
+ * 
+ * @param {Array<{seed, index, cell}>} cells - Output from computeVoronoiCells
+ * @param {Object} options - Dual options
+ * @param {{x: number, y: number, z: number}} options.period - Box lengths along periodic axes
+ * @returns {{edges: Array<{a: number, b: number, image: Object, area: number}>,
+ *            tetrahedra: Array<{seeds: Array<number>, images: Array<Object>, center: Object}>}}
+ *          Edges from seed a to (image of) seed b with the area of their shared face, and
+ *          positively oriented tetrahedra with their Voronoi vertex
+ */
+export function computeDelaunayDual(cells, options = {}) {
+    const { period = null } = options;
+    const zero = { x: 0, y: 0, z: 0 };
+    const seedsByIndex = new Map(cells.map(({ seed, index }) => [index, seed]));
+    
+    // Scale-relative tolerance for merging Voronoi vertices
+    let scale = 0;
+    for (const { cell } of cells) {
+        for (const v of cell.vertices) {
+            scale = Math.max(scale, Math.abs(v.x), Math.abs(v.y), Math.abs(v.z));
+        }
+    }
+    const tolerance = 1e-7 * Math.max(scale, 1);
+    const minArea = tolerance * tolerance;
+    
+    const shift = (axis) => period && period[axis] ? period[axis] : 0;
+    const imageKey = (image) => `${image.x},${image.y},${image.z}`;
+    const seedPosition = ({ index, image }) => {
+        const s = seedsByIndex.get(index);
+        return new Vec3(
+            s.x + image.x * shift('x'),
+            s.y + image.y * shift('y'),
+            s.z + image.z * shift('z')
+        );
+    };
+    
+    // Edges: one per face between two seeds, reported from the lower index
+    // (self-neighbors across a periodic boundary from the positive image)
+    const edges = [];
+    const edgeKeys = new Set();
+    for (const { index, cell } of cells) {
+        const faceProperties = cell.getFaceProperties();
+        cell.faces.forEach((face, f) => {
+            const neighbor = cell.faceNeighbors[f];
+            if (neighbor === null || neighbor === undefined || neighbor < 0) return;
+            if (faceProperties[f].area <= minArea) return;
+            
+            const image = cell.faceImages[f] ?? zero;
+            if (neighbor < index) return;
+            if (neighbor === index && compareImages(image, zero) < 0) return;
+            
+            const key = `${index}:${neighbor}:${imageKey(image)}`;
+            if (edgeKeys.has(key)) return;
+            edgeKeys.add(key);
+            edges.push({ a: index, b: neighbor, image: { ...image }, area: faceProperties[f].area });
+        });
+    }
+    
+    // Voronoi vertices: the seeds meeting at each vertex of each cell,
+    // merged across cells by position
+    const groups = [];
+    const buckets = new Map();
+    const bucketSize = 4 * tolerance;
+    const bucketOf = (v) => [
+        Math.floor(v.x / bucketSize), Math.floor(v.y / bucketSize), Math.floor(v.z / bucketSize)
+    ];
+    
+    const findGroup = (v) => {
+        const [bx, by, bz] = bucketOf(v);
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    for (const group of buckets.get(`${bx + dx},${by + dy},${bz + dz}`) ?? []) {
+                        if (group.center.sub(v).length() <= tolerance) return group;
+                    }
+                }
+            }
+        }
+        const group = { center: v, seeds: new Map(), onBoundary: false };
+        const key = `${bx},${by},${bz}`;
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(group);
+        groups.push(group);
+        return group;
+    };
+    
+    for (const { index, cell } of cells) {
+        const incidentFaces = cell.vertices.map(() => []);
+        cell.faces.forEach((face, f) => {
+            for (const v of face) incidentFaces[v].push(f);
+        });
+        
+        cell.vertices.forEach((vertex, v) => {
+            if (incidentFaces[v].length === 0) return;
+            
+            // Translate periodic vertices back into the base period so every
+            // cell sees the same vertex at the same place
+            const offset = { x: 0, y: 0, z: 0 };
+            for (const axis of ['x', 'y', 'z']) {
+                const length = shift(axis);
+                if (length > 0) offset[axis] = Math.floor((vertex[axis] + tolerance) / length);
+            }
+            const center = new Vec3(
+                vertex.x - offset.x * shift('x'),
+                vertex.y - offset.y * shift('y'),
+                vertex.z - offset.z * shift('z')
+            );
+            
+            const group = findGroup(center);
+            const addSeed = (seedIndex, image) => {
+                const translated = {
+                    x: image.x - offset.x,
+                    y: image.y - offset.y,
+                    z: image.z - offset.z
+                };
+                group.seeds.set(`${seedIndex}:${imageKey(translated)}`, { index: seedIndex, image: translated });
+            };
+            
+            addSeed(index, zero);
+            for (const f of incidentFaces[v]) {
+                const neighbor = cell.faceNeighbors[f];
+                if (neighbor === null || neighbor === undefined || neighbor < 0) {
+                    group.onBoundary = true;
+                } else {
+                    addSeed(neighbor, cell.faceImages[f] ?? zero);
+                }
+            }
+        });
+    }
+    
+    // Tetrahedra: one per generic vertex, a pulling triangulation otherwise
+    const tetrahedra = [];
+    for (const group of groups) {
+        if (group.onBoundary || group.seeds.size < 4) continue;
+        
+        const seeds = [...group.seeds.values()].sort(compareSeedRefs);
+        const positions = seeds.map(seedPosition);
+        const simplices = seeds.length === 4
+            ? [[0, 1, 2, 3]]
+            : pullingTetrahedra(positions, tolerance);
+        
+        for (const simplex of simplices) {
+            const [a, b, c, d] = simplex.map(k => positions[k]);
+            const volume = b.sub(a).dot(c.sub(a).cross(d.sub(a))) / 6;
+            if (Math.abs(volume) <= tolerance * minArea) continue;
+            
+            // Positive orientation
+            if (volume < 0) [simplex[2], simplex[3]] = [simplex[3], simplex[2]];
+            
+            tetrahedra.push({
+                seeds: simplex.map(k => seeds[k].index),
+                images: simplex.map(k => ({ ...seeds[k].image })),
+                center: { x: group.center.x, y: group.center.y, z: group.center.z }
+            });
+        }
+    }
+    
+    return { edges, tetrahedra };
+}
+
+/**
+ * Lexicographic order on periodic images
+ */
+function compareImages(a, b) {
+    return a.x - b.x || a.y - b.y || a.z - b.z;
+}
+
+/**
+ * Order seed references by index, then image (translation invariant)
+ */
+function compareSeedRefs(a, b) {
+    return a.index - b.index || compareImages(a.image, b.image);
+}
+
+/**
+ * Split the convex hull of points (sorted so point 0 is the lowest) into
+ * tetrahedra by joining point 0 to every hull facet it doesn't lie on.
+ * Facets are fanned from their lowest point.
+ * @param {Array<Vec3>} points - Points in convex position, e.g. on a sphere
+ * @param {number} tolerance - Coplanarity tolerance
+ * @returns {Array<Array<number>>} Tetrahedra as point indices
+ */
+function pullingTetrahedra(points, tolerance) {
+    const tetrahedra = [];
+    for (const polygon of getHullFacets(points, tolerance)) {
+        if (polygon.includes(0)) continue;
+        
+        const start = polygon.indexOf(Math.min(...polygon));
+        const fan = [...polygon.slice(start), ...polygon.slice(0, start)];
+        for (let t = 1; t < fan.length - 1; t++) {
+            tetrahedra.push([0, fan[0], fan[t], fan[t + 1]]);
+        }
+    }
+    return tetrahedra;
+}
+
+/**
+ * Find the facets of the convex hull of points by gift wrapping: starting
+ * from one facet, the facet across each of its edges is the plane through
+ * the edge that all points lie behind, found in one pass over the points.
+ * Coplanar points make up one polygonal facet. Takes O(n) per facet edge
+ * instead of testing every triple of points.
+ * @param {Array<Vec3>} points - Points spanning a volume
+ * @param {number} tolerance - Coplanarity tolerance
+ * @returns {Array<Array<number>>} Facets as point indices, counter-clockwise
+ *          seen from outside
+ */
+function getHullFacets(points, tolerance) {
+    const n = points.length;
+    
+    // Points within tolerance of the plane through `origin` with unit
+    // `normal`, or null if some point lies in front of it
+    const getMembers = (origin, normal) => {
+        const members = [];
+        for (let m = 0; m < n; m++) {
+            const d = normal.dot(points[m].sub(origin));
+            if (d > tolerance) return null;
+            if (d >= -tolerance) members.push(m);
+        }
+        return members;
+    };
+    
+    // Outward unit normal of the supporting plane through the line from
+    // `from` to `to` that has the hull on its left: start the plane at any
+    // point off the line and swing it to every point found in front of it
+    const wrap = (from, to) => {
+        const edge = to.sub(from);
+        let normal = null;
+        for (const point of points) {
+            const r = point.sub(from);
+            const cross = edge.cross(r);
+            if (cross.length() <= tolerance * edge.length()) continue;
+            if (!normal || normal.dot(r) > tolerance) normal = cross.normalize();
+        }
+        return normal;
+    };
+    
+    // First facet: the lexicographically lowest point is a hull vertex, and
+    // the plane x = min through it supports the hull. Swing that plane about
+    // a vertical line through the point onto a hull face, and if that face is
+    // only an edge, about the edge onto a facet.
+    let lowest = 0;
+    for (let m = 1; m < n; m++) {
+        const p = points[m], q = points[lowest];
+        if (p.x < q.x || (p.x === q.x && (p.y < q.y || (p.y === q.y && p.z < q.z)))) lowest = m;
+    }
+    let normal = wrap(points[lowest], points[lowest].add(new Vec3(0, 0, 1)));
+    if (!normal) return [];
+    
+    let members = getMembers(points[lowest], normal);
+    if (!members) return [];
+    if (!hasArea(points, members, tolerance)) {
+        const edgeEnd = members.find(m => points[m].sub(points[lowest]).length() > tolerance);
+        normal = wrap(points[lowest], points[edgeEnd]);
+        members = normal && getMembers(points[lowest], normal);
+        if (!members || !hasArea(points, members, tolerance)) return [];
+    }
+    
+    const facets = [];
+    const facetKeys = new Set();
+    const doneEdges = new Set();
+    const queue = [orderFacet(points, members, normal)];
+    while (queue.length > 0) {
+        const polygon = queue.pop();
+        const key = [...polygon].sort((a, b) => a - b).join(',');
+        if (facetKeys.has(key)) continue;
+        facetKeys.add(key);
+        facets.push(polygon);
+        
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % polygon.length];
+            doneEdges.add(`${a},${b}`);
+            if (doneEdges.has(`${b},${a}`)) continue;
+            
+            // The neighbor facet runs b -> a
+            const next = wrap(points[b], points[a]);
+            const nextMembers = next && getMembers(points[a], next);
+            if (!nextMembers || !hasArea(points, nextMembers, tolerance)) continue;
+            queue.push(orderFacet(points, nextMembers, next));
+        }
+    }
+    return facets;
+}
+
+/**
+ * Whether points (by index) span a plane rather than a line
+ */
+function hasArea(points, members, tolerance) {
+    const origin = points[members[0]];
+    let direction = null;
+    for (const m of members) {
+        const r = points[m].sub(origin);
+        if (!direction) {
+            if (r.length() > tolerance) direction = r.normalize();
+        } else if (direction.cross(r).length() > tolerance) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Order coplanar points (by index) counter-clockwise around a normal
+ */
+function orderFacet(points, members, normal) {
+    const center = new Vec3(0, 0, 0);
+    for (const m of members) {
+        center.x += points[m].x / members.length;
+        center.y += points[m].y / members.length;
+        center.z += points[m].z / members.length;
+    }
+    const u = points[members[0]].sub(center).normalize();
+    const w = normal.cross(u);
+    const angle = (m) => {
+        const r = points[m].sub(center);
+        const a = Math.atan2(r.dot(w), r.dot(u));
+        return a < 0 ? a + 2 * Math.PI : a;
+    };
+    return [...members].sort((a, b) => angle(a) - angle(b));
+}
+
+/**
+ * Convert a Voronoi cell to mesh data for Three.js, along with its
+ * geometric properties (volume, centroid, surface area, inertia tensor)
  * @param {ConvexPolyhedron} cell - The Voronoi cell
+ * @param {{x: number, y: number, z: number}} seed - The cell's seed, for maxRadius
  * @returns {Object} Object with vertices, faces, and edges arrays
  */
-export function cellToMeshData(cell) {
+export function cellToMeshData(cell, seed = null) {
     // Vertices as flat array [x1, y1, z1, x2, y2, z2, ...]
     const vertices = [];
     for (const v of cell.vertices) {
@@ -514,8 +1776,14 @@ export function cellToMeshData(cell) {
     const edges = cell.getEdges();
     
     // Face data for potential face coloring
-    const faceData = cell.faces.map(face => ({
+    const faceProperties = cell.getFaceProperties();
+    const faceData = cell.faces.map((face, faceIndex) => ({
         vertices: face,
+        area: faceProperties[faceIndex].area,
+        normal: faceProperties[faceIndex].normal,
+        centroid: faceProperties[faceIndex].centroid,
+        neighbor: cell.faceNeighbors[faceIndex] ?? null,
+        image: cell.faceImages[faceIndex] ?? null,
         center: (() => {
             const center = new Vec3(0, 0, 0);
             for (const idx of face) {
@@ -536,12 +1804,18 @@ export function cellToMeshData(cell) {
         indices,
         edges,
         faceData,
+        neighbors: cell.getNeighbors(),
         vertexCount: cell.vertices.length,
         faceCount: cell.faces.length,
         volume: cell.getVolume(),
-        centroid: cell.getCentroid()
+        centroid: cell.getCentroid(),
+        surfaceArea: faceProperties.reduce((sum, face) => sum + face.area, 0),
+        inertiaTensor: cell.getInertiaTensor(),
+        maxRadius: seed
+            ? Math.sqrt(cell.getMaxRadiusSquared(seed))
+            : null
     };
 }
 
-export { Vec3, Plane, ConvexPolyhedron };
+export { Vec3, Plane, ConvexPolyhedron, BOX_WALLS, CONTAINER_WALL, getHullFacets };
 
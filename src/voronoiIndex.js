@@ -0,0 +1,170 @@
+/**
+ * Voronoi Index and Face-Order Statistics
+ *
+ * The Voronoi index ⟨n3, n4, n5, n6, …⟩ of a cell counts its faces by
+ * number of edges: n3 triangles, n4 quadrilaterals, and so on. It is the
+ * usual fingerprint of local structure in crystals and packings: BCC
+ * cells are truncated octahedra ⟨0,6,0,8⟩, FCC cells rhombic dodecahedra
+ * ⟨0,12⟩ and icosahedral clusters pentagonal dodecahedra ⟨0,0,12⟩.
+ *
+ * Perfect lattices put four or more cells around a vertex, which plane
+ * cutting may resolve into a tiny edge, and a cut through an existing
+ * vertex leaves a straight angle in the face. Neither is a real corner,
+ * so edges shorter than the tolerance are merged and straight angles
+ * skipped before counting; faces of negligible area are dropped.
+ */
+
+/**
+ * Names of common Voronoi polyhedra by index signature
+ */
+export const POLYHEDRON_NAMES = {
+    '4': 'tetrahedron',
+    '2,3': 'triangular prism',
+    '0,6': 'cube',
+    '8': 'octahedron',
+    '0,5,2': 'pentagonal prism',
+    '0,6,0,2': 'hexagonal prism',
+    '0,9,0,1': 'honeycomb cell',
+    '0,12': 'rhombic dodecahedron',
+    '0,6,0,8': 'truncated octahedron',
+    '0,0,12': 'pentagonal dodecahedron',
+    '0,2,8': 'bicapped square antiprism',
+    '0,3,6': 'tricapped trigonal prism',
+    '0,2,8,1': 'Z11 Frank-Kasper cell',
+    '0,0,12,2': 'Z14 Frank-Kasper cell',
+    '0,0,12,3': 'Z15 Frank-Kasper cell',
+    '0,0,12,4': 'Z16 Frank-Kasper cell',
+};
+
+/**
+ * Compute the Voronoi index of a cell
+ * @param {ConvexPolyhedron} cell - The cell
+ * @param {Object} options - Index options
+ * @param {number} options.tolerance - Shortest counted edge and smallest counted
+ *        face, relative to the cell size (cube root of its volume)
+ * @returns {Array<number>} Face counts [n3, n4, n5, …] without trailing zeros
+ */
+export function getVoronoiIndex(cell, options = {}) {
+    const { tolerance = 1e-5 } = options;
+
+    const size = Math.cbrt(Math.max(cell.getVolume(), 0));
+    const minLength = tolerance * size;
+    const minArea = tolerance * size * size;
+    const faceProperties = cell.getFaceProperties();
+
+    const counts = [];
+    cell.faces.forEach((face, f) => {
+        if (faceProperties[f].area <= minArea) return;
+
+        const order = countCorners(face.map(v => cell.vertices[v]), minLength);
+        if (order < 3) return;
+        while (counts.length <= order - 3) counts.push(0);
+        counts[order - 3]++;
+    });
+
+    return counts;
+}
+
+/**
+ * Format a Voronoi index as ⟨n3,n4,n5,…⟩
+ */
+export function formatVoronoiIndex(voronoiIndex) {
+    return `⟨${voronoiIndex.join(',')}⟩`;
+}
+
+/**
+ * Collect Voronoi indices and face-order histograms for a tessellation
+ * @param {Array<{seed, index, cell}>} cells - Output from computeVoronoiCells
+ * @param {Object} options - Statistics options
+ * @param {boolean} options.interiorOnly - Leave out cells on the container and their
+ *        neighbors from the histograms. Cells on the container are cut by the wall,
+ *        not the seeds; their neighbors miss the faces that seeds beyond the wall
+ *        would give them (e.g. the second-shell faces of BCC cells), so neither
+ *        shows the bulk structure
+ * @param {number} options.tolerance - Relative tolerance, as in getVoronoiIndex
+ * @returns {Object} Statistics: { cells, cellCount, types, faceOrders, faceCounts }
+ *          where cells lists { index, voronoiIndex, signature, name, interior } for
+ *          every cell, cellCount is the number of cells in the histograms, types are
+ *          { signature, voronoiIndex, name, count, fraction } from most to least
+ *          common, faceOrders[n] counts faces with n edges and faceCounts[n] cells
+ *          with n faces
+ */
+export function computeVoronoiIndexStatistics(cells, options = {}) {
+    const { interiorOnly = false, tolerance = 1e-5 } = options;
+
+    const records = [];
+    const types = new Map();
+    const faceOrders = [];
+    const faceCounts = [];
+    let cellCount = 0;
+
+    // Cells on the container, and with them the cells next to them
+    const onContainer = new Set(cells
+        .filter(({ cell }) => cell.faceNeighbors.some(neighbor => neighbor !== null && neighbor < 0))
+        .map(({ index }) => index));
+
+    for (const { index, cell } of cells) {
+        const voronoiIndex = getVoronoiIndex(cell, { tolerance });
+        const signature = voronoiIndex.join(',');
+        const interior = !onContainer.has(index) &&
+            cell.faceNeighbors.every(neighbor => neighbor === null || !onContainer.has(neighbor));
+        const name = POLYHEDRON_NAMES[signature] ?? null;
+        records.push({ index, voronoiIndex, signature, name, interior });
+
+        if (interiorOnly && !interior) continue;
+        cellCount++;
+
+        if (!types.has(signature)) {
+            types.set(signature, { signature, voronoiIndex, name, count: 0, fraction: 0 });
+        }
+        types.get(signature).count++;
+
+        let faceCount = 0;
+        voronoiIndex.forEach((count, k) => {
+            addCount(faceOrders, k + 3, count);
+            faceCount += count;
+        });
+        addCount(faceCounts, faceCount, 1);
+    }
+
+    const sortedTypes = [...types.values()].sort((a, b) =>
+        b.count - a.count || a.signature.localeCompare(b.signature)
+    );
+    for (const type of sortedTypes) {
+        type.fraction = type.count / cellCount;
+    }
+
+    return { cells: records, cellCount, types: sortedTypes, faceOrders, faceCounts };
+}
+
+/**
+ * Count the corners of a face loop, merging edges shorter than minLength
+ * and skipping straight angles
+ */
+function countCorners(points, minLength) {
+    const loop = [];
+    for (const p of points) {
+        const last = loop[loop.length - 1];
+        if (!last || p.sub(last).length() > minLength) loop.push(p);
+    }
+    while (loop.length > 1 && loop[0].sub(loop[loop.length - 1]).length() <= minLength) loop.pop();
+
+    let corners = 0;
+    for (let i = 0; i < loop.length; i++) {
+        const prev = loop[(i + loop.length - 1) % loop.length];
+        const next = loop[(i + 1) % loop.length];
+        const a = loop[i].sub(prev);
+        const b = next.sub(loop[i]);
+        // Height of the corner above the line through its neighbors
+        if (a.cross(b).length() > minLength * (a.length() + b.length())) corners++;
+    }
+    return corners;
+}
+
+/**
+ * Add to a histogram bin, growing the histogram as needed
+ */
+function addCount(histogram, bin, count) {
+    while (histogram.length <= bin) histogram.push(0);
+    histogram[bin] += count;
+}
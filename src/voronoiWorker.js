@@ -0,0 +1,38 @@
+/**
+ * Voronoi Web Worker
+ *
+ * Computes the cells of one range of seeds off the main thread and posts
+ * them back as transferable typed arrays (see cellBuffers.js). Walls
+ * arrive as their toJSON() descriptions.
+ *
+ * Messages in:  { jobId, seeds, bounds, padding, options, seedRange }
+ * Messages out: { type: 'progress', jobId, completed, total }
+ *               { type: 'result', jobId, packed }
+ */
+
+import { computeVoronoiCells } from './voronoi3d.js';
+import { wallFromJSON } from './walls.js';
+import { packCells, getTransferables } from './cellBuffers.js';
+
+// Minimum time between progress messages (ms)
+const PROGRESS_INTERVAL = 50;
+
+self.onmessage = (event) => {
+    const { jobId, seeds, bounds, padding, options, seedRange } = event.data;
+
+    let lastReport = 0;
+    const cells = computeVoronoiCells(seeds, bounds, padding, {
+        ...options,
+        walls: (options.walls || []).map(wallFromJSON),
+        seedRange,
+        onProgress: (completed, total) => {
+            const now = performance.now();
+            if (now - lastReport < PROGRESS_INTERVAL && completed < total) return;
+            lastReport = now;
+            self.postMessage({ type: 'progress', jobId, completed, total });
+        },
+    });
+
+    const packed = packCells(cells);
+    self.postMessage({ type: 'result', jobId, packed }, getTransferables(packed));
+};
@@ -0,0 +1,164 @@
+/**
+ * Voronoi Worker Pool
+ *
+ * Runs computeVoronoiCells in a pool of Web Workers so the page stays
+ * responsive. The seed list is split into contiguous ranges, one per
+ * worker; every worker sees all seeds as potential neighbors and sends
+ * its cells back as transferable typed arrays.
+ *
+ * Only one computation runs at a time: starting a new one cancels the
+ * one in flight. A worker busy with its cell loop can't be interrupted,
+ * so cancelling terminates the workers and new ones are started on the
+ * next request.
+ */
+
+import { computeVoronoiCells, ConvexPolyhedron } from './voronoi3d.js';
+import { unpackCells } from './cellBuffers.js';
+
+/**
+ * Pool of Voronoi workers with progress reporting and cancellation
+ */
+export class VoronoiWorkerPool {
+    /**
+     * @param {Object} options - Pool options
+     * @param {number} options.size - Maximum number of workers
+     * @param {number} options.minSeedsPerWorker - Don't split smaller jobs further than this
+     */
+    constructor(options = {}) {
+        const {
+            size = Math.max(1, Math.min(4, (globalThis.navigator?.hardwareConcurrency || 2) - 1)),
+            minSeedsPerWorker = 64,
+        } = options;
+
+        this.size = size;
+        this.minSeedsPerWorker = minSeedsPerWorker;
+        this.workers = [];
+        this.job = null;
+        this.nextJobId = 1;
+    }
+
+    /**
+     * Compute Voronoi cells in the workers, cancelling any computation in flight.
+     * Takes the same arguments as computeVoronoiCells; walls must provide toJSON().
+     * Tessellations of a container polyhedron are computed on this thread.
+     * @param {Function} options.onProgress - Called with (completed, total) cells
+     * @returns {Promise<Array>} Resolves to the cells computeVoronoiCells would return,
+     *          rejects with an AbortError if cancelled
+     */
+    compute(seeds, bounds, padding = 0.5, options = {}) {
+        this.cancel();
+
+        const { onProgress = null, walls = [], ...voronoiOptions } = options;
+
+        // Without worker support, or for a container polyhedron (which
+        // doesn't survive structured cloning), compute on this thread
+        if (typeof Worker === 'undefined' || bounds instanceof ConvexPolyhedron) {
+            return Promise.resolve(computeVoronoiCells(seeds, bounds, padding, options));
+        }
+
+        const jobId = this.nextJobId++;
+        const chunkCount = Math.max(1, Math.min(
+            this.size,
+            Math.ceil(seeds.length / this.minSeedsPerWorker)
+        ));
+
+        return new Promise((resolve, reject) => {
+            const job = {
+                id: jobId,
+                reject,
+                results: new Array(chunkCount),
+                completed: new Array(chunkCount).fill(0),
+                remaining: chunkCount,
+            };
+            this.job = job;
+
+            const reportProgress = () => {
+                if (onProgress) {
+                    onProgress(job.completed.reduce((sum, n) => sum + n, 0), seeds.length);
+                }
+            };
+
+            for (let k = 0; k < chunkCount; k++) {
+                const start = Math.floor(k * seeds.length / chunkCount);
+                const end = Math.floor((k + 1) * seeds.length / chunkCount);
+                const worker = this.getWorker(k);
+
+                worker.onmessage = (event) => {
+                    const message = event.data;
+                    if (message.jobId !== jobId || this.job !== job) return;
+
+                    if (message.type === 'progress') {
+                        job.completed[k] = message.completed;
+                        reportProgress();
+                        return;
+                    }
+
+                    job.results[k] = message.packed;
+                    job.completed[k] = end - start;
+                    reportProgress();
+
+                    if (--job.remaining === 0) {
+                        this.job = null;
+                        resolve(job.results.flatMap(packed => unpackCells(packed, seeds)));
+                    }
+                };
+
+                worker.onerror = (error) => {
+                    if (this.job !== job) return;
+                    this.job = null;
+                    this.terminateWorkers();
+                    reject(error);
+                };
+
+                worker.postMessage({
+                    jobId,
+                    seeds,
+                    bounds,
+                    padding,
+                    options: { ...voronoiOptions, walls: walls.map(wall => wall.toJSON()) },
+                    seedRange: [start, end],
+                });
+            }
+        });
+    }
+
+    /**
+     * Cancel the computation in flight, if any
+     */
+    cancel() {
+        if (!this.job) return;
+
+        const { reject } = this.job;
+        this.job = null;
+        this.terminateWorkers();
+        reject(new DOMException('Voronoi computation cancelled', 'AbortError'));
+    }
+
+    /**
+     * Cancel any computation and shut down all workers
+     */
+    terminate() {
+        this.cancel();
+        this.terminateWorkers();
+    }
+
+    /**
+     * Get the k-th worker, starting it if needed
+     */
+    getWorker(k) {
+        if (!this.workers[k]) {
+            this.workers[k] = new Worker(new URL('./voronoiWorker.js', import.meta.url), { type: 'module' });
+        }
+        return this.workers[k];
+    }
+
+    /**
+     * Stop all workers
+     */
+    terminateWorkers() {
+        for (const worker of this.workers) {
+            if (worker) worker.terminate();
+        }
+        this.workers = [];
+    }
+}
@@ -0,0 +1,298 @@
+/**
+ * Container Walls for the Voronoi Tessellation
+ *
+ * Walls clip every cell to a convex region on top of the bounding box,
+ * in the spirit of Voro++'s wall classes. Each wall is represented by a
+ * set of planes whose negative half-spaces form the allowed region:
+ * curved walls (sphere, cylinder) use a fixed set of tangent planes, so
+ * neighboring cells are clipped by exactly the same polyhedral surface.
+ *
+ * Faces created by a wall are tagged with the wall's (negative) id.
+ */
+
+import { Vec3, Plane, ConvexPolyhedron } from './voronoi3d.js';
+import { generateFibonacciSpherePoints } from './pointDistributions.js';
+
+/**
+ * Id given to the first user wall (ids -1 to -6 are the box faces)
+ */
+export const FIRST_WALL_ID = -7;
+
+/**
+ * Convert a plain {x, y, z} object to a Vec3
+ */
+function toVec3(p) {
+    return new Vec3(p.x, p.y, p.z);
+}
+
+/**
+ * Base class for walls made of a set of planes
+ */
+class Wall {
+    /**
+     * @param {Array<Plane>} planes - Planes with outward normals
+     * @param {number|undefined} id - Negative id for the faces this wall creates
+     */
+    constructor(planes, id) {
+        this.planes = planes;
+        this.id = id;
+    }
+
+    /**
+     * Check whether a point is inside the wall
+     */
+    contains(point) {
+        const p = toVec3(point);
+        return this.planes.every(plane => plane.signedDistance(p) <= 0);
+    }
+
+    /**
+     * Clip a cell to the inside of the wall
+     * @param {ConvexPolyhedron} cell - Cell to clip
+     * @param {{x: number, y: number, z: number}} center - Point inside the cell (its seed)
+     * @param {number} id - Wall id recorded on the new faces
+     */
+    cut(cell, center, id = this.id) {
+        const c = toVec3(center);
+        const maxRadius = Math.sqrt(cell.getMaxRadiusSquared(c));
+
+        for (const plane of this.planes) {
+            if (cell.isEmpty()) return;
+
+            // Planes further away than the furthest vertex can't touch the cell
+            if (plane.signedDistance(c) + maxRadius <= 0) continue;
+
+            cell.cutWithPlane(plane, id);
+        }
+    }
+
+    /**
+     * Describe the wall as plain data (e.g. to post it to a worker)
+     */
+    toJSON() {
+        return {
+            type: this.type,
+            id: this.id,
+            planes: this.planes.map(({ normal, d }) => ({
+                normal: { x: normal.x, y: normal.y, z: normal.z },
+                d,
+            })),
+        };
+    }
+}
+
+/**
+ * Rebuild a wall from its toJSON() description. The result clips and
+ * tests points exactly like the original wall.
+ */
+export function wallFromJSON(data) {
+    const planes = data.planes.map(({ normal, d }) => new Plane(toVec3(normal), d));
+    const wall = new Wall(planes, data.id);
+    wall.type = data.type;
+    return wall;
+}
+
+/**
+ * Half-space wall: keeps the side opposite to the normal
+ */
+export class PlaneWall extends Wall {
+    /**
+     * @param {{x, y, z}} point - Point on the plane
+     * @param {{x, y, z}} normal - Outward normal (points away from the kept side)
+     * @param {Object} options - { id }
+     */
+    constructor(point, normal, options = {}) {
+        super([Plane.fromPointAndNormal(toVec3(point), toVec3(normal))], options.id);
+        this.type = 'plane';
+    }
+}
+
+/**
+ * Spherical wall, approximated by tangent planes at Fibonacci sphere directions
+ */
+export class SphereWall extends Wall {
+    /**
+     * @param {{x, y, z}} center - Sphere center
+     * @param {number} radius - Sphere radius
+     * @param {Object} options - { id, resolution: number of tangent planes }
+     */
+    constructor(center, radius, options = {}) {
+        const { id, resolution = 256 } = options;
+        const c = toVec3(center);
+        const directions = generateFibonacciSpherePoints(resolution, 1).points;
+
+        const planes = directions.map(d => {
+            const normal = toVec3(d);
+            return Plane.fromPointAndNormal(c.add(normal.scale(radius)), normal);
+        });
+
+        super(planes, id);
+        this.type = 'sphere';
+        this.center = c;
+        this.radius = radius;
+    }
+}
+
+/**
+ * Infinite cylindrical wall, approximated by tangent planes around its axis
+ */
+export class CylinderWall extends Wall {
+    /**
+     * @param {{x, y, z}} point - Point on the axis
+     * @param {{x, y, z}} axis - Axis direction
+     * @param {number} radius - Cylinder radius
+     * @param {Object} options - { id, resolution: number of tangent planes }
+     */
+    constructor(point, axis, radius, options = {}) {
+        const { id, resolution = 64 } = options;
+        const p = toVec3(point);
+        const a = toVec3(axis).normalize();
+
+        // Orthonormal frame around the axis
+        const tangent = (Math.abs(a.x) < 0.9 ? new Vec3(1, 0, 0) : new Vec3(0, 1, 0))
+            .cross(a).normalize();
+        const bitangent = a.cross(tangent);
+
+        const planes = [];
+        for (let i = 0; i < resolution; i++) {
+            const angle = (i / resolution) * 2 * Math.PI;
+            const normal = tangent.scale(Math.cos(angle)).add(bitangent.scale(Math.sin(angle)));
+            planes.push(Plane.fromPointAndNormal(p.add(normal.scale(radius)), normal));
+        }
+
+        super(planes, id);
+        this.type = 'cylinder';
+        this.point = p;
+        this.axis = a;
+        this.radius = radius;
+    }
+}
+
+/**
+ * Wall given by the faces of a closed convex mesh
+ */
+export class ConvexHullWall extends Wall {
+    /**
+     * @param {{vertices: Array<{x, y, z}>, faces: Array<Array<number>>}} mesh - Convex mesh
+     *        (a ConvexPolyhedron works too); face winding doesn't matter
+     * @param {Object} options - { id }
+     */
+    constructor(mesh, options = {}) {
+        const vertices = mesh.vertices.map(toVec3);
+
+        // Any interior point orients the face normals outward
+        const inside = new Vec3(0, 0, 0);
+        for (const v of vertices) {
+            inside.x += v.x / vertices.length;
+            inside.y += v.y / vertices.length;
+            inside.z += v.z / vertices.length;
+        }
+
+        const planes = [];
+        for (const face of mesh.faces) {
+            if (face.length < 3) continue;
+
+            // Newell's method gives a robust normal for any planar polygon
+            const normal = new Vec3(0, 0, 0);
+            const center = new Vec3(0, 0, 0);
+            for (let i = 0; i < face.length; i++) {
+                const a = vertices[face[i]];
+                const b = vertices[face[(i + 1) % face.length]];
+                normal.x += (a.y - b.y) * (a.z + b.z);
+                normal.y += (a.z - b.z) * (a.x + b.x);
+                normal.z += (a.x - b.x) * (a.y + b.y);
+                center.x += a.x / face.length;
+                center.y += a.y / face.length;
+                center.z += a.z / face.length;
+            }
+            if (normal.length() === 0) continue;
+
+            let plane = Plane.fromPointAndNormal(center, normal);
+            if (plane.signedDistance(inside) > 0) {
+                plane = Plane.fromPointAndNormal(center, normal.scale(-1));
+            }
+            planes.push(plane);
+        }
+
+        super(planes, options.id);
+        this.type = 'convexHull';
+    }
+}
+
+/**
+ * Build the walls for a named container shape fitted around a set of points
+ * @param {string} shape - 'box', 'sphere' or 'cylinder' (vertical y axis)
+ * @param {Array<{x, y, z}>} points - Seed points the container must enclose
+ * @param {number} padding - Clearance between the outermost points and the wall
+ * @returns {Array<Wall>} Walls to pass to computeVoronoiCells (empty for 'box')
+ */
+export function createContainerWalls(shape, points, padding = 0.5) {
+    if (points.length === 0) return [];
+
+    const center = { x: 0, y: 0, z: 0 };
+    for (const p of points) {
+        center.x += p.x / points.length;
+        center.y += p.y / points.length;
+        center.z += p.z / points.length;
+    }
+
+    switch (shape) {
+        case 'sphere': {
+            const radius = Math.max(...points.map(p => Math.hypot(
+                p.x - center.x, p.y - center.y, p.z - center.z
+            )));
+            return [new SphereWall(center, radius + padding, { id: FIRST_WALL_ID })];
+        }
+        case 'cylinder': {
+            const radius = Math.max(...points.map(p => Math.hypot(
+                p.x - center.x, p.z - center.z
+            )));
+            return [new CylinderWall(center, { x: 0, y: 1, z: 0 }, radius + padding, { id: FIRST_WALL_ID })];
+        }
+        default:
+            return [];
+    }
+}
+
+/**
+ * Get the box padding that keeps the box faces clear of the walls, so
+ * that the walls, not the box, bound the outer cells. The walls' extent
+ * is measured on a far larger box clipped to them (tangent-plane walls
+ * reach a little past their nominal radius). Along axes where the walls
+ * are unbounded, e.g. a cylinder's axis, the box bounds the cells and
+ * only minPadding applies.
+ * @param {Array<Wall>} walls - Walls, e.g. from createContainerWalls
+ * @param {{min: {x, y, z}, max: {x, y, z}}} bounds - Bounding box of the seeds
+ * @param {number} minPadding - Smallest padding to return
+ * @returns {number} Padding to pass to computeVoronoiCells along with the walls
+ */
+export function getWallPadding(walls, bounds, minPadding = 0) {
+    const { min, max } = bounds;
+    const size = Math.max(max.x - min.x, max.y - min.y, max.z - min.z, 1);
+    const reach = 100 * size;
+    const clearance = 1e-3 * size;
+
+    const region = ConvexPolyhedron.createBox(
+        min.x - reach, min.y - reach, min.z - reach,
+        max.x + reach, max.y + reach, max.z + reach
+    );
+    const center = {
+        x: (min.x + max.x) / 2,
+        y: (min.y + max.y) / 2,
+        z: (min.z + max.z) / 2,
+    };
+    walls.forEach(wall => wall.cut(region, center));
+    if (region.isEmpty()) return minPadding;
+
+    let padding = minPadding;
+    for (const axis of ['x', 'y', 'z']) {
+        const values = region.vertices.map(v => v[axis]);
+        const low = Math.min(...values);
+        const high = Math.max(...values);
+
+        // Sides still out at the far box are unbounded
+        if (low > min[axis] - reach / 2) padding = Math.max(padding, min[axis] - low + clearance);
+        if (high < max[axis] + reach / 2) padding = Math.max(padding, high - max[axis] + clearance);
+    }
+    return padding;
+}
@@ -0,0 +1,81 @@
+/**
+ * Cell Complex Regression Tests
+ *
+ * Welds periodic lattices and random seeds into a CellComplex and checks
+ * the Euler characteristic V - E + F - C: 0 for a periodic complex (a
+ * 3-torus), 1 for a box (a ball).
+ *
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeVoronoiCells } from '../src/voronoi3d.js';
+import { CellComplex } from '../src/cellComplex.js';
+import { generatePoints } from '../src/pointDistributions.js';
+
+const FCC = [[0, 0, 0], [0.5, 0.5, 0], [0.5, 0, 0.5], [0, 0.5, 0.5]];
+const MOTIFS = {
+    simpleCubic: [[0, 0, 0]],
+    bcc: [[0, 0, 0], [0.5, 0.5, 0.5]],
+    fcc: FCC,
+    diamond: [...FCC, ...FCC.map(([x, y, z]) => [x + 0.25, y + 0.25, z + 0.25])],
+};
+const PERIODIC = { x: true, y: true, z: true };
+
+function getCharacteristic(complex) {
+    return complex.vertices.length - complex.edges.length + complex.faces.length - complex.cells.length;
+}
+
+/**
+ * Seeds of n × n × n unit cells of a lattice, filling the box [0, n]³
+ */
+function createLattice(motif, n) {
+    const points = [];
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            for (let k = 0; k < n; k++) {
+                for (const [x, y, z] of motif) {
+                    points.push({ x: i + x + 0.1, y: j + y + 0.1, z: k + z + 0.1 });
+                }
+            }
+        }
+    }
+    return points;
+}
+
+for (const [id, motif] of Object.entries(MOTIFS)) {
+    for (const n of [1, 2, 3]) {
+        test(`periodic ${id} ${n}×${n}×${n}: Euler characteristic 0`, () => {
+            const bounds = { min: { x: 0, y: 0, z: 0 }, max: { x: n, y: n, z: n } };
+            const cells = computeVoronoiCells(createLattice(motif, n), bounds, 0, { periodic: PERIODIC, robust: true });
+            const complex = new CellComplex(cells, { period: { x: n, y: n, z: n } });
+            assert.equal(complex.cells.length, motif.length * n ** 3);
+            assert.equal(getCharacteristic(complex), 0);
+        });
+    }
+}
+
+for (const id of ['simpleCubic', 'bcc', 'fcc', 'random']) {
+    test(`periodic ${id} distribution: Euler characteristic 0`, () => {
+        const padding = 0.5;
+        const { points, boundingBox: { min, max } } = generatePoints(id, 3);
+        const cells = computeVoronoiCells(points, { min, max }, padding, { periodic: PERIODIC, robust: true });
+        const complex = new CellComplex(cells, {
+            period: {
+                x: max.x - min.x + 2 * padding,
+                y: max.y - min.y + 2 * padding,
+                z: max.z - min.z + 2 * padding,
+            },
+        });
+        assert.equal(getCharacteristic(complex), 0);
+    });
+
+    test(`boxed ${id} distribution: Euler characteristic 1, watertight`, () => {
+        const { points, boundingBox } = generatePoints(id, 3);
+        const complex = new CellComplex(computeVoronoiCells(points, boundingBox, 0.5, { robust: true }));
+        assert.equal(getCharacteristic(complex), 1);
+        assert.ok(complex.isWatertight());
+    });
+}
@@ -0,0 +1,141 @@
+/**
+ * Cell Graph Regression Tests
+ *
+ * Builds the adjacency graph of simple cubic lattices, boxed and periodic,
+ * where graph distances are Manhattan distances between the lattice
+ * sites, and of random seeds, and checks degrees, breadth-first distances,
+ * rings, shortest paths and connected components.
+ *
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeVoronoiCells } from '../src/voronoi3d.js';
+import { CellGraph } from '../src/cellGraph.js';
+
+const N = 4;
+const BOX = { min: { x: 0, y: 0, z: 0 }, max: { x: N, y: N, z: N } };
+
+/**
+ * Park-Miller generator, so failures can be reproduced
+ */
+function createRandom(seed) {
+    let state = seed;
+    return () => (state = (state * 16807) % 2147483647) / 2147483647;
+}
+
+/**
+ * Sites of an N × N × N simple cubic lattice, index i + N j + N² k
+ */
+function createLattice() {
+    const points = [];
+    for (let k = 0; k < N; k++) {
+        for (let j = 0; j < N; j++) {
+            for (let i = 0; i < N; i++) points.push({ x: i + 0.5, y: j + 0.5, z: k + 0.5 });
+        }
+    }
+    return points;
+}
+
+function site(index) {
+    return [index % N, Math.floor(index / N) % N, Math.floor(index / (N * N))];
+}
+
+/**
+ * Lattice steps between two sites, the short way round on periodic axes
+ */
+function latticeDistance(a, b, periodic) {
+    const [p, q] = [site(a), site(b)];
+    return p.reduce((sum, value, axis) => {
+        const d = Math.abs(value - q[axis]);
+        return sum + (periodic ? Math.min(d, N - d) : d);
+    }, 0);
+}
+
+function assertPath(graph, path, from, to) {
+    assert.equal(path[0], from);
+    assert.equal(path[path.length - 1], to);
+    for (let k = 1; k < path.length; k++) {
+        assert.ok(graph.getNeighbors(path[k - 1]).includes(path[k]), `path step ${path[k - 1]} -> ${path[k]} is not an edge`);
+    }
+}
+
+for (const periodic of [false, true]) {
+    test(`${periodic ? 'periodic' : 'boxed'} simple cubic lattice: graph distances are lattice distances`, () => {
+        const options = periodic ? { periodic: { x: true, y: true, z: true }, robust: true } : { robust: true };
+        const graph = new CellGraph(computeVoronoiCells(createLattice(), BOX, 0, options));
+        const nodes = graph.getNodes();
+        assert.equal(nodes.length, N ** 3);
+
+        for (const index of nodes) {
+            const expected = periodic ? 6 : site(index).filter(value => value > 0 && value < N - 1).length + 3;
+            assert.equal(graph.getDegree(index), expected, `degree of cell ${index}`);
+        }
+
+        for (const start of [0, 21, N ** 3 - 1]) {
+            const distances = graph.getDistances(start);
+            assert.equal(distances.size, N ** 3);
+            for (const [index, distance] of distances) {
+                assert.equal(distance, latticeDistance(start, index, periodic), `distance from ${start} to ${index}`);
+            }
+
+            const rings = graph.getRings(start, 2);
+            assert.equal(rings.length, 3);
+            assert.deepEqual(rings[0], [start]);
+            rings.forEach((ring, k) => ring.forEach(index => assert.equal(latticeDistance(start, index, periodic), k)));
+
+            for (const end of [1, 42, N ** 3 - 4]) {
+                const path = graph.getShortestPath(start, end);
+                assert.equal(path.length, latticeDistance(start, end, periodic) + 1);
+                assertPath(graph, path, start, end);
+            }
+        }
+
+        const { mean, min, max, counts } = graph.getDegreeDistribution();
+        assert.equal(min, periodic ? 6 : 3);
+        assert.equal(max, 6);
+        assert.equal([...counts.values()].reduce((sum, count) => sum + count, 0), N ** 3);
+        assert.ok(mean >= min && mean <= max);
+    });
+}
+
+test('cells computed in separate slabs form separate components', () => {
+    // The first and last layers of the lattice along z
+    const layer = N * N;
+    const seedIndices = [...Array(layer).keys(), ...Array.from({ length: layer }, (_, k) => (N - 1) * layer + k)];
+    const graph = new CellGraph(computeVoronoiCells(createLattice(), BOX, 0, { robust: true, seedIndices }));
+
+    const components = graph.getConnectedComponents();
+    assert.equal(components.length, 2);
+    assert.deepEqual(components.map(component => component.length), [layer, layer]);
+    assert.equal(graph.getShortestPath(0, N ** 3 - 1), null);
+    assert.deepEqual(graph.getShortestPath(0, 0), [0]);
+    assert.equal(graph.getShortestPath(0, layer), null);  // Not computed, so not in the graph
+});
+
+test('breadth-first distances of random cells are consistent along every edge', () => {
+    const random = createRandom(1);
+    const seeds = Array.from({ length: 80 }, () => ({ x: N * random(), y: N * random(), z: N * random() }));
+    const cells = computeVoronoiCells(seeds, BOX, 0);
+    const graph = new CellGraph(cells);
+    assert.deepEqual(graph.getConnectedComponents().map(component => component.length), [seeds.length]);
+
+    for (const { index, neighbors } of cells) {
+        for (const neighbor of neighbors.filter(n => n >= 0)) {
+            assert.ok(graph.getNeighbors(neighbor).includes(index), `edge ${index}-${neighbor} is one-way`);
+        }
+    }
+
+    const distances = graph.getDistances(0);
+    for (const [index, distance] of distances) {
+        const around = graph.getNeighbors(index).map(n => distances.get(n));
+        assert.ok(around.every(d => Math.abs(d - distance) <= 1));
+        if (index !== 0) assert.ok(around.includes(distance - 1), `cell ${index} has no neighbor one step closer`);
+
+        const path = graph.getShortestPath(0, index);
+        assert.equal(path.length, distance + 1);
+        assertPath(graph, path, 0, index);
+    }
+});
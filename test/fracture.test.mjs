@@ -0,0 +1,80 @@
+/**
+ * Fracture Regression Tests
+ *
+ * Shatters convex and non-convex built-in shapes with random and lattice
+ * seeds and checks that every fragment comes out closed with its volume,
+ * that the fragments add up to the volume of the mesh, and that clipping
+ * a convex mesh as a polygon soup agrees with clipping it exactly.
+ *
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { fractureMesh, isConvexMesh } from '../src/fracture.js';
+import { generatePoints } from '../src/pointDistributions.js';
+import { createShapeMesh, fitMeshToBounds, getMeshVolume, isClosedMesh } from '../src/triangleMesh.js';
+
+/**
+ * Park-Miller generator, so failures can be reproduced
+ */
+function createRandom(seed) {
+    let state = seed;
+    return () => (state = (state * 16807) % 2147483647) / 2147483647;
+}
+
+/**
+ * Seeds for a shape: random ones in its box, or a lattice it is fitted to
+ */
+function getSeeds(kind) {
+    if (kind === 'random') {
+        const random = createRandom(1);
+        const points = Array.from({ length: 30 }, () => ({
+            x: 2 * random() - 1,
+            y: 2 * random() - 1,
+            z: 2 * random() - 1,
+        }));
+        return { points, boundingBox: { min: { x: -1, y: -1, z: -1 }, max: { x: 1, y: 1, z: 1 } } };
+    }
+    return generatePoints(kind, 3);
+}
+
+function assertFragmentsFill(mesh, fragments, rejected) {
+    assert.deepEqual(rejected, []);
+    let total = 0;
+    for (const fragment of fragments) {
+        assert.ok(isClosedMesh(fragment), `fragment ${fragment.index} is not closed`);
+        assert.ok(Math.abs(fragment.volume - getMeshVolume(fragment)) < 1e-9);
+        assert.ok(fragment.volume > 0);
+        total += fragment.volume;
+    }
+    const volume = getMeshVolume(mesh);
+    assert.ok(Math.abs(total - volume) < 1e-6 * volume, `fragments fill ${total}, expected ${volume}`);
+}
+
+for (const shape of ['box', 'sphere', 'torus']) {
+    for (const kind of ['random', 'bcc']) {
+        test(`${shape} shattered by ${kind} seeds: fragments are closed and fill the mesh`, () => {
+            const { points, boundingBox } = getSeeds(kind);
+            const mesh = fitMeshToBounds(createShapeMesh(shape, { segments: 16 }), boundingBox);
+            assert.equal(isConvexMesh(mesh), shape !== 'torus');
+
+            const { fragments, rejected } = fractureMesh(mesh, points);
+            assertFragmentsFill(mesh, fragments, rejected);
+        });
+    }
+}
+
+test('a convex mesh clipped as a polygon soup gives the exact fragments', () => {
+    const { points, boundingBox } = getSeeds('random');
+    const mesh = fitMeshToBounds(createShapeMesh('sphere', { segments: 16 }), boundingBox);
+    const exact = fractureMesh(mesh, points, { convex: true });
+    const soup = fractureMesh(mesh, points, { convex: false });
+    assertFragmentsFill(mesh, soup.fragments, soup.rejected);
+
+    assert.deepEqual(soup.fragments.map(({ index }) => index), exact.fragments.map(({ index }) => index));
+    soup.fragments.forEach((fragment, k) => {
+        assert.ok(Math.abs(fragment.volume - exact.fragments[k].volume) < 1e-9);
+    });
+});
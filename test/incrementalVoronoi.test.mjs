@@ -0,0 +1,134 @@
+/**
+ * Incremental Tessellation Regression Tests
+ *
+ * Applies random inserts, removals and moves to an IncrementalVoronoi and
+ * checks after every edit that its cells match a full recompute of the
+ * same seeds, and that a copy kept up to date from the change events
+ * matches too.
+ *
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeVoronoiCells } from '../src/voronoi3d.js';
+import { IncrementalVoronoi } from '../src/incrementalVoronoi.js';
+import { createContainerWalls } from '../src/walls.js';
+
+const BOUNDS = { min: { x: -2, y: -2, z: -2 }, max: { x: 2, y: 2, z: 2 } };
+const PADDING = 0.5;
+const EDITS = 60;
+
+/**
+ * Park-Miller generator, so failures can be reproduced
+ */
+function createRandom(seed) {
+    let state = seed;
+    return () => (state = (state * 16807) % 2147483647) / 2147483647;
+}
+
+/**
+ * Uniform point in the bounds, with a radius for power diagrams
+ */
+function randomPoint(random, weighted) {
+    const point = {
+        x: BOUNDS.min.x + random() * (BOUNDS.max.x - BOUNDS.min.x),
+        y: BOUNDS.min.y + random() * (BOUNDS.max.y - BOUNDS.min.y),
+        z: BOUNDS.min.z + random() * (BOUNDS.max.z - BOUNDS.min.z),
+    };
+    if (weighted) point.radius = 0.2 + 0.6 * random();
+    return point;
+}
+
+/**
+ * Compare the tessellation with a full recompute of its seeds
+ */
+function assertMatchesFullRecompute(tessellation, options) {
+    const ids = [...tessellation.seeds.keys()];
+    const expected = computeVoronoiCells(ids.map(id => tessellation.seeds.get(id)), BOUNDS, PADDING, options);
+    const actual = tessellation.cells;
+
+    assert.deepEqual(actual.map(({ id }) => id), expected.map(({ index }) => ids[index]));
+    expected.forEach(({ cell }, k) => {
+        const entry = actual[k];
+        const volume = cell.getVolume();
+        assert.ok(Math.abs(entry.cell.getVolume() - volume) <= 1e-9 * Math.max(1, volume),
+            `cell ${entry.id} has volume ${entry.cell.getVolume()}, expected ${volume}`);
+
+        const neighbors = cell.getNeighbors().map(n => (n >= 0 ? ids[n] : n)).sort((a, b) => a - b);
+        assert.deepEqual([...entry.neighbors].sort((a, b) => a - b), neighbors, `neighbors of cell ${entry.id}`);
+    });
+}
+
+/**
+ * Run random edits, checking after each one
+ */
+function runEdits({ seed, count, weighted = false, options = {} }) {
+    const random = createRandom(seed);
+    const tessellation = new IncrementalVoronoi(
+        Array.from({ length: count }, () => randomPoint(random, weighted)),
+        BOUNDS,
+        PADDING,
+        options
+    );
+
+    // Cells as a view would see them through the change events
+    const mirror = new Map(tessellation.cells.map(entry => [entry.id, entry.cell]));
+    tessellation.on('change', ({ added, updated, removed }) => {
+        for (const id of removed) mirror.delete(id);
+        for (const entry of [...added, ...updated]) mirror.set(entry.id, entry.cell);
+    });
+
+    for (let edit = 0; edit < EDITS; edit++) {
+        const ids = [...tessellation.seeds.keys()];
+        const id = ids[Math.floor(random() * ids.length)];
+        const action = random();
+        if (action < 0.4 || ids.length < 4) {
+            tessellation.insert(randomPoint(random, weighted));
+        } else if (action < 0.7) {
+            tessellation.remove(id);
+        } else {
+            tessellation.move(id, randomPoint(random, false));
+        }
+
+        assertMatchesFullRecompute(tessellation, options);
+        assert.deepEqual([...mirror.keys()].sort((a, b) => a - b), tessellation.cells.map(({ id }) => id));
+        for (const { id, cell } of tessellation.cells) {
+            assert.equal(mirror.get(id), cell, `change events missed cell ${id}`);
+        }
+    }
+}
+
+test('random edits match a full recompute', () => {
+    runEdits({ seed: 1, count: 40 });
+});
+
+test('random edits of a growing tessellation rebuild the grid', () => {
+    runEdits({ seed: 2, count: 3 });
+});
+
+test('random edits match a full recompute in a periodic box', () => {
+    runEdits({ seed: 3, count: 40, options: { periodic: { x: true, y: false, z: true } } });
+});
+
+test('random edits match a full recompute in a power diagram', () => {
+    runEdits({ seed: 4, count: 40, weighted: true });
+});
+
+test('random edits match a full recompute inside a sphere wall', () => {
+    // Smaller than the box, so some seeds fall outside it
+    const points = [{ x: -1, y: -1, z: -1 }, { x: 1, y: 1, z: 1 }];
+    runEdits({ seed: 5, count: 40, options: { walls: createContainerWalls('sphere', points, 0.5) } });
+});
+
+test('precomputed cells are taken over as they are', () => {
+    const random = createRandom(6);
+    const seeds = Array.from({ length: 30 }, () => randomPoint(random, false));
+    const cells = computeVoronoiCells(seeds, BOUNDS, PADDING);
+    const tessellation = new IncrementalVoronoi(seeds, BOUNDS, PADDING, { cells });
+
+    assert.deepEqual(tessellation.cells.map(({ cell }) => cell), cells.map(({ cell }) => cell));
+    tessellation.insert(randomPoint(random, false));
+    assertMatchesFullRecompute(tessellation, {});
+});
@@ -0,0 +1,89 @@
+/**
+ * Anisotropic Metric Regression Tests
+ *
+ * Tessellates random seeds with per-axis scales and full metric tensors,
+ * with and without seed radii, and checks against brute force that
+ * random points lie in the cell of the seed nearest in the metric
+ * (least (p - s)ᵀ M (p - s) - r²), and that the cells fill the box.
+ *
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeVoronoiCells } from '../src/voronoi3d.js';
+import { createMetric, metricLengthSquared } from '../src/metric.js';
+
+const BOUNDS = { min: { x: -2, y: -2, z: -2 }, max: { x: 2, y: 2, z: 2 } };
+const PADDING = 0.5;
+const SIZE = 4 + 2 * PADDING;
+
+/**
+ * Park-Miller generator, so failures can be reproduced
+ */
+function createRandom(seed) {
+    let state = seed;
+    return () => (state = (state * 16807) % 2147483647) / 2147483647;
+}
+
+/**
+ * Uniform point in the padded box
+ */
+function randomPoint(random) {
+    return {
+        x: BOUNDS.min.x - PADDING + random() * SIZE,
+        y: BOUNDS.min.y - PADDING + random() * SIZE,
+        z: BOUNDS.min.z - PADDING + random() * SIZE,
+    };
+}
+
+const CASES = [
+    { name: 'per-axis scales', options: { axisScale: { x: 0.4, y: 1, z: 2 } } },
+    { name: 'metric tensor', options: { metric: [[2, 0.6, -0.3], [0.6, 1, 0.2], [-0.3, 0.2, 0.5]] } },
+    { name: 'strongly anisotropic tensor', options: { metric: [[10, 3, 0], [3, 1, 0], [0, 0, 0.1]] } },
+];
+
+for (const { name, options } of CASES) {
+    for (const weighted of [false, true]) {
+        test(`${name}${weighted ? ' with radii' : ''}: points lie in the cell of the nearest seed`, () => {
+            const random = createRandom(weighted ? 2 : 1);
+            const seeds = Array.from({ length: 60 }, () => {
+                const seed = randomPoint(random);
+                if (weighted) seed.radius = 0.1 + 0.6 * random();
+                return seed;
+            });
+            const cells = computeVoronoiCells(seeds, BOUNDS, PADDING, options);
+            const volume = cells.reduce((sum, { cell }) => sum + cell.getVolume(), 0);
+            assert.ok(Math.abs(volume - SIZE ** 3) < 1e-9, `cells fill ${volume}, expected ${SIZE ** 3}`);
+
+            const metric = createMetric(options);
+            const cellOf = new Map(cells.map(entry => [entry.index, entry.cell]));
+            for (let sample = 0; sample < 300; sample++) {
+                const point = randomPoint(random);
+                let best = -1;
+                let bestDistance = Infinity;
+                seeds.forEach((seed, index) => {
+                    const distance = metricLengthSquared(metric, point.x - seed.x, point.y - seed.y, point.z - seed.z) -
+                        (seed.radius ?? 0) ** 2;
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        best = index;
+                    }
+                });
+                assert.ok(cellOf.has(best), `seed ${best} is nearest to point ${sample} but has no cell`);
+                assert.ok(cellOf.get(best).containsPoint(point), `point ${sample} is not in the cell of seed ${best}`);
+            }
+        });
+    }
+}
+
+test('unit scales give the Euclidean cells', () => {
+    const random = createRandom(3);
+    const seeds = Array.from({ length: 40 }, () => randomPoint(random));
+    const expected = computeVoronoiCells(seeds, BOUNDS, PADDING);
+    const cells = computeVoronoiCells(seeds, BOUNDS, PADDING, { axisScale: { x: 1, y: 1, z: 1 } });
+    cells.forEach(({ cell }, k) => {
+        assert.ok(Math.abs(cell.getVolume() - expected[k].cell.getVolume()) < 1e-12);
+    });
+});
@@ -0,0 +1,103 @@
+/**
+ * Periodic Tessellation Regression Tests
+ *
+ * Tessellates random seeds in boxes periodic along some or all axes and
+ * checks that the cells fill the padded box exactly once, that random
+ * points lie in the cell of their nearest seed image, and that every face
+ * two cells share is listed by both, through opposite images.
+ *
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeVoronoiCells } from '../src/voronoi3d.js';
+
+const BOUNDS = { min: { x: -1, y: -1, z: -1 }, max: { x: 1, y: 1, z: 1 } };
+const PADDING = 0.5;
+const PERIOD = 2 + 2 * PADDING;
+const AXES = ['x', 'y', 'z'];
+
+/**
+ * Park-Miller generator, so failures can be reproduced
+ */
+function createRandom(seed) {
+    let state = seed;
+    return () => (state = (state * 16807) % 2147483647) / 2147483647;
+}
+
+/**
+ * Uniform point in the padded box
+ */
+function randomPoint(random) {
+    const point = {};
+    for (const axis of AXES) point[axis] = BOUNDS.min[axis] - PADDING + random() * PERIOD;
+    return point;
+}
+
+const CASES = [
+    { x: true, y: true, z: true },
+    { x: true, y: false, z: false },
+    { x: true, y: false, z: true },
+];
+
+for (const periodic of CASES) {
+    const name = AXES.filter(axis => periodic[axis]).join('');
+
+    for (const robust of [false, true]) {
+        test(`periodic ${name}${robust ? ' (robust)' : ''}: cells fill the box and share faces both ways`, () => {
+            const random = createRandom(robust ? 2 : 1);
+            const seeds = Array.from({ length: 40 }, () => randomPoint(random));
+            const cells = computeVoronoiCells(seeds, BOUNDS, PADDING, { periodic, robust });
+            assert.equal(cells.length, seeds.length);
+
+            const volume = cells.reduce((sum, { cell }) => sum + cell.getVolume(), 0);
+            assert.ok(Math.abs(volume - PERIOD ** 3) < 1e-9, `cells fill ${volume}, expected ${PERIOD ** 3}`);
+
+            // Faces seen from each side, keyed by cell, neighbor and image
+            const faces = new Map();
+            const count = (key, change) => faces.set(key, (faces.get(key) ?? 0) + change);
+            for (const { index, cell } of cells) {
+                cell.faceNeighbors.forEach((neighbor, f) => {
+                    if (neighbor < 0) return;
+                    const { x = 0, y = 0, z = 0 } = cell.faceImages[f] ?? {};
+                    count(`${index}>${neighbor}:${x},${y},${z}`, 1);
+                    count(`${neighbor}>${index}:${-x || 0},${-y || 0},${-z || 0}`, -1);
+                });
+            }
+            for (const [key, balance] of faces) assert.equal(balance, 0, `face ${key} is listed by one side only`);
+        });
+    }
+
+    test(`periodic ${name}: points lie in the cell of their nearest seed image`, () => {
+        const random = createRandom(3);
+        const seeds = Array.from({ length: 40 }, () => randomPoint(random));
+        const cells = computeVoronoiCells(seeds, BOUNDS, PADDING, { periodic });
+        const offsets = AXES.map(axis => (periodic[axis] ? [-1, 0, 1] : [0]));
+
+        for (let sample = 0; sample < 200; sample++) {
+            const point = randomPoint(random);
+            let nearest = null;
+            seeds.forEach((seed, index) => {
+                for (const i of offsets[0]) {
+                    for (const j of offsets[1]) {
+                        for (const k of offsets[2]) {
+                            const distance = Math.hypot(
+                                seed.x + i * PERIOD - point.x,
+                                seed.y + j * PERIOD - point.y,
+                                seed.z + k * PERIOD - point.z
+                            );
+                            if (!nearest || distance < nearest.distance) nearest = { distance, index, image: [i, j, k] };
+                        }
+                    }
+                }
+            });
+
+            // The cell lies around its seed, so the point is moved by the opposite image
+            const [i, j, k] = nearest.image;
+            const moved = { x: point.x - i * PERIOD, y: point.y - j * PERIOD, z: point.z - k * PERIOD };
+            assert.ok(cells[nearest.index].cell.containsPoint(moved), `point ${sample} is not in the cell of seed ${nearest.index}`);
+        }
+    });
+}
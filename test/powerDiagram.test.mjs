@@ -0,0 +1,105 @@
+/**
+ * Power Diagram Regression Tests
+ *
+ * Tessellates seeds with radii and checks that the power cells fill the
+ * box, that random points lie in the cell of the seed of least power
+ * distance |p - s|² - r², that a seed swamped by a larger neighbor gets
+ * no cell, and that equal radii give the ordinary Voronoi cells.
+ *
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeVoronoiCells } from '../src/voronoi3d.js';
+
+const BOUNDS = { min: { x: -2, y: -2, z: -2 }, max: { x: 2, y: 2, z: 2 } };
+const PADDING = 0.5;
+const SIZE = 4 + 2 * PADDING;
+
+/**
+ * Park-Miller generator, so failures can be reproduced
+ */
+function createRandom(seed) {
+    let state = seed;
+    return () => (state = (state * 16807) % 2147483647) / 2147483647;
+}
+
+/**
+ * Uniform point in the padded box
+ */
+function randomPoint(random) {
+    return {
+        x: BOUNDS.min.x - PADDING + random() * SIZE,
+        y: BOUNDS.min.y - PADDING + random() * SIZE,
+        z: BOUNDS.min.z - PADDING + random() * SIZE,
+    };
+}
+
+function randomSeeds(random, count) {
+    return Array.from({ length: count }, () => ({ ...randomPoint(random), radius: 0.1 + 0.9 * random() }));
+}
+
+function getVolume(cells) {
+    return cells.reduce((sum, { cell }) => sum + cell.getVolume(), 0);
+}
+
+for (const robust of [false, true]) {
+    test(`power cells${robust ? ' (robust)' : ''} fill the box and contain the points of least power`, () => {
+        const random = createRandom(robust ? 2 : 1);
+        const seeds = randomSeeds(random, 60);
+        const cells = computeVoronoiCells(seeds, BOUNDS, PADDING, { robust });
+        assert.ok(Math.abs(getVolume(cells) - SIZE ** 3) < 1e-9);
+
+        const cellOf = new Map(cells.map(entry => [entry.index, entry.cell]));
+        for (let sample = 0; sample < 300; sample++) {
+            const point = randomPoint(random);
+            let best = -1;
+            let bestPower = Infinity;
+            seeds.forEach((seed, index) => {
+                const power = (seed.x - point.x) ** 2 + (seed.y - point.y) ** 2 + (seed.z - point.z) ** 2 -
+                    seed.radius ** 2;
+                if (power < bestPower) {
+                    bestPower = power;
+                    best = index;
+                }
+            });
+            assert.ok(cellOf.has(best), `seed ${best} has the least power at point ${sample} but no cell`);
+            assert.ok(cellOf.get(best).containsPoint(point), `point ${sample} is not in the cell of seed ${best}`);
+        }
+    });
+}
+
+test('a seed swamped by a larger neighbor gets no cell', () => {
+    // Seed 1 only wins where x > 5, outside the box
+    const seeds = [
+        { x: 0, y: 0, z: 0, radius: 1 },
+        { x: 0.1, y: 0, z: 0, radius: 0.1 },
+        { x: 1.5, y: 1.5, z: 1.5, radius: 0.5 },
+        { x: -1.5, y: -1.5, z: 1.5, radius: 0.5 },
+    ];
+    const cells = computeVoronoiCells(seeds, BOUNDS, PADDING);
+    assert.deepEqual(cells.map(({ index }) => index), [0, 2, 3]);
+    assert.ok(cells.every(({ cell }) => !cell.getNeighbors().includes(1)));
+    assert.ok(Math.abs(getVolume(cells) - SIZE ** 3) < 1e-9);
+});
+
+test('equal radii or weights give the ordinary Voronoi cells', () => {
+    const random = createRandom(3);
+    const points = Array.from({ length: 40 }, () => randomPoint(random));
+    const expected = computeVoronoiCells(points, BOUNDS, PADDING);
+
+    for (const weighted of [points.map(p => ({ ...p, radius: 0.7 })), points.map(p => ({ ...p, weight: 0.49 }))]) {
+        const cells = computeVoronoiCells(weighted, BOUNDS, PADDING);
+        assert.equal(cells.length, expected.length);
+        cells.forEach(({ index, cell }, k) => {
+            assert.equal(index, expected[k].index);
+            assert.ok(Math.abs(cell.getVolume() - expected[k].cell.getVolume()) < 1e-9);
+            assert.deepEqual(
+                cell.getNeighbors().sort((a, b) => a - b),
+                expected[k].cell.getNeighbors().sort((a, b) => a - b)
+            );
+        });
+    }
+});
@@ -0,0 +1,72 @@
+/**
+ * Printable Mesh Regression Tests
+ *
+ * Builds strut lattices of crystalline and random tessellations, with
+ * struts thick enough for short edges to be contracted, and checks that
+ * the welded mesh is one closed, consistently oriented shell enclosing a
+ * positive volume.
+ *
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeVoronoiCells } from '../src/voronoi3d.js';
+import { createStrutMesh } from '../src/printableMesh.js';
+import { generatePoints } from '../src/pointDistributions.js';
+import { getMeshVolume, isClosedMesh, weldMesh } from '../src/triangleMesh.js';
+
+const BOUNDS = { min: { x: -1, y: -1, z: -1 }, max: { x: 1, y: 1, z: 1 } };
+
+/**
+ * Park-Miller generator, so failures can be reproduced
+ */
+function createRandom(seed) {
+    let state = seed;
+    return () => (state = (state * 16807) % 2147483647) / 2147483647;
+}
+
+/**
+ * Number of connected pieces of a mesh, joined through shared vertices
+ */
+function countShells(mesh) {
+    const parent = Array.from({ length: mesh.positions.length / 3 }, (_, v) => v);
+    const find = (v) => {
+        while (parent[v] !== v) v = parent[v] = parent[parent[v]];
+        return v;
+    };
+    for (let t = 0; t < mesh.indices.length; t += 3) {
+        parent[find(mesh.indices[t])] = find(mesh.indices[t + 1]);
+        parent[find(mesh.indices[t + 1])] = find(mesh.indices[t + 2]);
+    }
+    return new Set(mesh.indices.map(find)).size;
+}
+
+function assertOneShell(cells, radius) {
+    const mesh = weldMesh(createStrutMesh(cells, { radius }));
+    assert.ok(isClosedMesh(mesh), 'the strut mesh is not closed');
+    assert.equal(countShells(mesh), 1);
+    assert.ok(getMeshVolume(mesh) > 0);
+}
+
+for (const id of ['simpleCubic', 'bcc', 'fcc']) {
+    test(`${id} strut lattice is one closed shell`, () => {
+        const { points, boundingBox } = generatePoints(id, 3);
+        assertOneShell(computeVoronoiCells(points, boundingBox, 0.5, { robust: true }), 0.05);
+    });
+}
+
+for (const seed of [1, 2, 3, 4]) {
+    test(`random strut lattice ${seed} is one closed shell`, () => {
+        const random = createRandom(seed);
+        const points = Array.from({ length: 30 }, () => ({
+            x: BOUNDS.min.x + random() * (BOUNDS.max.x - BOUNDS.min.x),
+            y: BOUNDS.min.y + random() * (BOUNDS.max.y - BOUNDS.min.y),
+            z: BOUNDS.min.z + random() * (BOUNDS.max.z - BOUNDS.min.z),
+        }));
+        const cells = computeVoronoiCells(points, BOUNDS, 0, { robust: true });
+        assertOneShell(cells, 0.03);
+        assertOneShell(cells, 0.08);
+    });
+}
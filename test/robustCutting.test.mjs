@@ -0,0 +1,56 @@
+/**
+ * Robust Cutting Regression Tests
+ *
+ * Tessellates every crystalline distribution (whose vertices land exactly
+ * on bisector planes) at several grid sizes in robust mode and checks that
+ * every cell is a closed 2-manifold whose cap faces were all stitched, and
+ * that the cells fill the box.
+ *
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeVoronoiCells } from '../src/voronoi3d.js';
+import { generatePoints, DISTRIBUTIONS } from '../src/pointDistributions.js';
+import { generateHoneycombPoints } from '../src/hexGrid.js';
+
+const GRID_SIZES = [2, 3, 4, 5, 6, 8];
+const PADDING = 1.0;
+
+const lattices = [
+    ...Object.values(DISTRIBUTIONS)
+        .filter(({ category }) => category === 'crystalline')
+        .map(({ id }) => ({ id, generate: (gridSize) => generatePoints(id, gridSize) })),
+    {
+        id: 'honeycomb',
+        generate: (gridSize) => {
+            const { points, metadata } = generateHoneycombPoints(gridSize, 1.0, 1.0);
+            return { points, boundingBox: metadata.boundingBox };
+        },
+    },
+];
+
+for (const { id, generate } of lattices) {
+    for (const gridSize of GRID_SIZES) {
+        test(`${id} ${gridSize}×${gridSize}: closed cells filling the box`, () => {
+            const { points, boundingBox } = generate(gridSize);
+            const cells = computeVoronoiCells(points, boundingBox, PADDING, { robust: true });
+            assert.equal(cells.length, points.length);
+
+            for (const { index, cell } of cells) {
+                assert.equal(cell.capFallbacks, 0, `cell ${index} has angle-sorted caps`);
+                assert.ok(cell.isClosedManifold(), `cell ${index} is not a closed 2-manifold`);
+            }
+
+            const { min, max } = boundingBox;
+            const boxVolume = (max.x - min.x + 2 * PADDING) *
+                (max.y - min.y + 2 * PADDING) *
+                (max.z - min.z + 2 * PADDING);
+            const totalVolume = cells.reduce((sum, { cell }) => sum + cell.getVolume(), 0);
+            assert.ok(Math.abs(totalVolume - boxVolume) <= 1e-9 * boxVolume,
+                `cell volumes add up to ${totalVolume}, box is ${boxVolume}`);
+        });
+    }
+}
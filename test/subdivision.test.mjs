@@ -0,0 +1,98 @@
+/**
+ * Subdivision Regression Tests
+ *
+ * Subdivides random cells down several levels and checks that the
+ * children of every cell fill it exactly, with faces between siblings
+ * listed by both, that scattered seeds lie inside their cell, and that
+ * only selected cells are split.
+ *
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeVoronoiCells } from '../src/voronoi3d.js';
+import { subdivideCells, getLeafCells, scatterInCell } from '../src/subdivision.js';
+
+const BOUNDS = { min: { x: -1, y: -1, z: -1 }, max: { x: 1, y: 1, z: 1 } };
+
+/**
+ * Park-Miller generator, so failures can be reproduced
+ */
+function createRandom(seed) {
+    let state = seed;
+    return () => (state = (state * 16807) % 2147483647) / 2147483647;
+}
+
+function createCells(random, count) {
+    const seeds = Array.from({ length: count }, () => ({
+        x: 2 * random() - 1,
+        y: 2 * random() - 1,
+        z: 2 * random() - 1,
+    }));
+    return computeVoronoiCells(seeds, BOUNDS, 0);
+}
+
+/**
+ * Check every split cell of a tree against its children, recursively
+ */
+function assertChildrenFill(node) {
+    if (node.children.length === 0) return;
+
+    const volume = node.cell.getVolume();
+    const total = node.children.reduce((sum, child) => sum + child.cell.getVolume(), 0);
+    assert.ok(Math.abs(total - volume) < 1e-9 * Math.max(1, volume),
+        `children of a level ${node.level} cell fill ${total}, expected ${volume}`);
+
+    const faces = new Map();
+    for (const child of node.children) {
+        assert.equal(child.parent, node);
+        assert.equal(child.level, node.level + 1);
+        for (const neighbor of child.cell.faceNeighbors) {
+            if (neighbor < 0) continue;
+            const key = `${Math.min(child.index, neighbor)}-${Math.max(child.index, neighbor)}`;
+            faces.set(key, (faces.get(key) ?? 0) + (child.index < neighbor ? 1 : -1));
+        }
+    }
+    for (const [key, balance] of faces) assert.equal(balance, 0, `sibling face ${key} is listed by one side only`);
+
+    node.children.forEach(assertChildrenFill);
+}
+
+for (const robust of [false, true]) {
+    test(`subdivided cells${robust ? ' (robust)' : ''} are filled by their children`, () => {
+        const random = createRandom(robust ? 2 : 1);
+        const roots = subdivideCells(createCells(random, 6), { levels: 2, count: 5, random, robust });
+        roots.forEach(assertChildrenFill);
+
+        const leaves = getLeafCells(roots);
+        assert.equal(leaves.length, 6 * 5 * 5);
+        const volume = leaves.reduce((sum, { cell }) => sum + cell.getVolume(), 0);
+        assert.ok(Math.abs(volume - 8) < 1e-9, `leaves fill ${volume}, expected 8`);
+    });
+}
+
+test('only selected cells are subdivided', () => {
+    const random = createRandom(3);
+    const select = (node, level) => level === 0 ? node.index % 2 === 0 : node.index === 0;
+    const roots = subdivideCells(createCells(random, 6), { levels: 2, count: 4, random, select });
+    roots.forEach(assertChildrenFill);
+
+    for (const root of roots) {
+        assert.equal(root.children.length > 0, root.index % 2 === 0);
+        for (const child of root.children) {
+            assert.equal(child.children.length > 0, child.index === 0);
+        }
+    }
+    assert.equal(getLeafCells(roots).length, 3 + 3 * (3 + 4));
+});
+
+test('scattered seeds lie inside their cell', () => {
+    const random = createRandom(4);
+    for (const { cell } of createCells(random, 10)) {
+        const points = scatterInCell(cell, 50, random);
+        assert.equal(points.length, 50);
+        assert.ok(points.every(point => cell.containsPoint(point)));
+    }
+});